@@ -0,0 +1,113 @@
+// ============================================
+// Generation Benchmark — puzzle throughput per difficulty
+// ============================================
+// Usage: node bench/generation.js [--seconds N] [--size N] [--against <git revision>]
+//
+// Runs generation attempts (random solution, symmetric removal, logic rating) for a
+// fixed time per difficulty and reports attempts per second and how many of them land
+// in the difficulty's rating range. With --against, the engine from that revision runs
+// the same benchmark for a before/after comparison (e.g. --against HEAD~1).
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { execFileSync } = require('child_process');
+const { DIFFICULTY_CONFIG } = require('../difficulties.js'); // The app's tiers
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Parse command line options
+ * @param {string[]} argv
+ * @returns {{seconds: number, size: number, against: ?string}}
+ */
+function parseArgs(argv) {
+    const options = { seconds: 5, size: 9, against: null };
+    for (let i = 0; i < argv.length; i += 2) {
+        const [flag, value] = [argv[i], argv[i + 1]];
+        if (flag === '--seconds' && Number(value) > 0) options.seconds = Number(value);
+        else if (flag === '--size' && Number.isInteger(Number(value))) options.size = Number(value);
+        else if (flag === '--against' && value) options.against = value;
+        else throw new Error(`Unknown or incomplete option: ${flag}`);
+    }
+    return options;
+}
+
+/**
+ * Run a browser script in a fresh context. The app's files are classic scripts
+ * (globals, no exports), so this is how Node gets at them.
+ * @param {string} source
+ * @param {object} [globals] - Extra globals for the script
+ * @returns {vm.Context}
+ */
+function loadScript(source, globals = {}) {
+    const context = vm.createContext({ console, ...globals });
+    vm.runInContext(source, context);
+    return context;
+}
+
+/**
+ * Engine source of the working tree, or of a git revision
+ * @param {?string} revision
+ * @returns {string}
+ */
+function readEngine(revision) {
+    if (!revision) return fs.readFileSync(path.join(ROOT, 'sudoku-engine.js'), 'utf8');
+    return execFileSync('git', ['show', `${revision}:sudoku-engine.js`], { cwd: ROOT, encoding: 'utf8' });
+}
+
+/**
+ * Generate for `seconds` with one difficulty config
+ * @param {vm.Context} engine - Context with sudoku-engine.js loaded
+ * @param {object} config - Difficulty config (with size)
+ * @param {number} seconds
+ * @returns {{attempts: number, inRange: number, elapsedMs: number}}
+ */
+function measure(engine, config, seconds) {
+    const attempt = vm.runInContext('generatePuzzleAttempt', engine);
+    const isLevelMatch = vm.runInContext('isLevelMatch', engine);
+    const start = Date.now();
+    let attempts = 0;
+    let inRange = 0;
+
+    // At least one attempt, however slow
+    do {
+        const result = attempt(config);
+        attempts++;
+        if (result && result.analysis.solved && isLevelMatch(result.analysis, config)) inRange++;
+    } while (Date.now() - start < seconds * 1000);
+
+    return { attempts, inRange, elapsedMs: Date.now() - start };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const engines = [['working tree', loadScript(readEngine(null))]];
+    if (options.against) engines.push([options.against, loadScript(readEngine(options.against))]);
+
+    console.log(`Generation throughput, ${options.size}×${options.size}, ${options.seconds} s per difficulty and engine\n`);
+    const columns = ['difficulty', 'engine', 'attempts', 'attempts/s', 'ms/attempt', 'in range', 'in range/min'];
+    const widths = [12, 14, 10, 12, 12, 10, 13];
+    const formatRow = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('');
+    console.log(formatRow(columns));
+
+    for (const [key, difficulty] of Object.entries(DIFFICULTY_CONFIG)) {
+        const config = { ...difficulty, size: options.size };
+        for (const [name, engine] of engines) {
+            const { attempts, inRange, elapsedMs } = measure(engine, config, options.seconds);
+            console.log(formatRow([
+                key,
+                name,
+                attempts,
+                (attempts / elapsedMs * 1000).toFixed(1),
+                (elapsedMs / attempts).toFixed(1),
+                inRange,
+                (inRange / elapsedMs * 60000).toFixed(1)
+            ]));
+        }
+    }
+}
+
+main();
@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+// ============================================
+// DiverSoku CLI — the puzzle engine from the terminal
+// ============================================
+// Usage:
+//   diversoku generate --difficulty <name> [--count N] [--format sdk|sdm|json] [--out file]
+//                      [--size N] [--variant name] [--seed text] [--technique name] [--max-runs N]
+//   diversoku solve <puzzle> [--variant name]
+//   diversoku rate <file> [--variant name] [--json]
+//   diversoku validate <file> [--variant name]
+//   diversoku pack <file> --id <id> --name <name> [--description text] [--out file]
+//   Any command: --engine <path> runs another copy of sudoku-engine.js
+//
+// <file> is any collection the app can import (.sdk, .sdm, one puzzle string per
+// line); '-' reads standard input. `pack` turns one into a bundled puzzle pack
+// (see packs/ and loadPuzzlePacks in script.js); given a pack, it rates it again.
+// --engine takes e.g. the output of `git show <rev>:sudoku-engine.js` to compare versions.
+// `generate` gives up after --max-runs generator runs (100 per puzzle by default), since
+// some requests can't be met: a tier out of reach of a small board, a technique the tier's
+// range excludes.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { DIFFICULTY_CONFIG } = require('../difficulties.js'); // The app's tiers
+
+const ROOT = path.join(__dirname, '..');
+const FORMATS = ['sdk', 'sdm', 'json'];
+const FLAGS = ['json', 'help']; // Options without a value
+
+// ============================================
+// Arguments & Input
+// ============================================
+
+/**
+ * Split argv into a command, positional arguments and --options
+ * @param {string[]} argv
+ * @returns {{command: ?string, args: string[], options: object}}
+ */
+function parseArgs(argv) {
+    const args = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            args.push(arg);
+            continue;
+        }
+        const name = arg.slice(2);
+        if (FLAGS.includes(name)) {
+            options[name] = true;
+        } else if (i + 1 < argv.length) {
+            options[name] = argv[++i];
+        } else {
+            throw new Error(`Missing value for --${name}`);
+        }
+    }
+    return { command: args.shift() || null, args, options };
+}
+
+/** Whole file, or standard input for '-' */
+function readInput(file) {
+    if (!file) throw new Error('Missing input file (use - for standard input)');
+    return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+// Engine functions and constants the commands use
+const ENGINE_API = [
+    'BOARD_SIZES', 'DIGIT_SYMBOLS', 'TECHNIQUE_NAMES', 'getRules', 'isSupportedRules', 'getStrategies',
+    'findSolution', 'countSolutions', 'solvePuzzleWithLogic', 'generatePuzzleSync', 'isLevelMatch',
+    'ratingDistance', 'isRatingInRange', 'parsePuzzleString', 'puzzleToString', 'parsePuzzleCollection'
+];
+
+/**
+ * Engine API: this checkout's module, or another engine file run in its own context.
+ * Older engines have no exports, so their globals are read instead; what they lack
+ * (newer parsers, rule sets) comes from this checkout.
+ * @param {string} [file]
+ * @returns {object}
+ */
+function loadEngine(file) {
+    if (!file) return require('../sudoku-engine.js');
+    const context = vm.createContext({ console });
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    const current = require('../sudoku-engine.js');
+    return Object.fromEntries(ENGINE_API.map(name =>
+        [name, vm.runInContext(`typeof ${name} === 'undefined' ? undefined : ${name}`, context) || current[name]]));
+}
+
+/**
+ * Rule set for --size / --variant
+ * @param {object} engine
+ * @param {object} options
+ * @param {number} [size] - Board size, taken from --size when omitted
+ */
+function getRulesOption(engine, options, size = Number(options.size || 9)) {
+    const variant = options.variant || 'classic';
+    if (!engine.isSupportedRules(size, variant)) throw new Error(`Unsupported rules: ${size}x${size} ${variant}`);
+    return engine.getRules({ size, variant });
+}
+
+/** A puzzle pack's contents (see the pack command), or null for other collections */
+function readPack(text) {
+    if (!text.trimStart().startsWith('{')) return null;
+    const pack = JSON.parse(text);
+    if (!Array.isArray(pack.puzzles)) throw new Error('Not a puzzle pack: no puzzles list');
+    return pack;
+}
+
+/** Puzzle strings of a collection or pack, parsed (invalid ones are null) */
+function readPuzzles(engine, text) {
+    const pack = readPack(text);
+    const puzzles = pack ? pack.puzzles.map(entry => String(entry.puzzle)) : engine.parsePuzzleCollection(text);
+    if (puzzles.length === 0) throw new Error('No puzzles found in the input');
+    return puzzles.map(source => ({ source, board: engine.parsePuzzleString(source) }));
+}
+
+// ============================================
+// Output Formats
+// ============================================
+
+/** .sdk grid: 9 lines of 9 cells with box separators */
+function toSdk(board) {
+    const lines = [];
+    board.forEach((row, r) => {
+        if (r > 0 && r % 3 === 0) lines.push('---+---+---');
+        const cells = row.map(v => (v === 0 ? '.' : String(v)));
+        lines.push([0, 3, 6].map(c => cells.slice(c, c + 3).join('')).join('|'));
+    });
+    return lines.join('\n');
+}
+
+/** Human-readable grid, any size */
+function toGrid(engine, board) {
+    const size = board.length;
+    const { boxRows, boxCols } = engine.BOARD_SIZES[size];
+    const lines = [];
+    board.forEach((row, r) => {
+        if (r > 0 && r % boxRows === 0) lines.push('');
+        const cells = row.map((v, c) => (c > 0 && c % boxCols === 0 ? ' ' : '') + (v === 0 ? '.' : engine.DIGIT_SYMBOLS[v - 1]));
+        lines.push(cells.join(' '));
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Closest tier for a rating (same rule as difficultyForRating in script.js)
+ * @returns {string} Difficulty key
+ */
+function tierForRating(engine, difficulties, rating) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const [key, config] of Object.entries(difficulties)) {
+        if (engine.isRatingInRange(rating, config)) return key;
+        const distance = engine.ratingDistance(rating, config);
+        if (distance < bestDistance) {
+            best = key;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+// ============================================
+// Commands
+// ============================================
+
+/**
+ * Generate puzzles of a difficulty. Only puzzles whose rating is in the tier's
+ * range are kept; with --seed the output is reproducible.
+ */
+function generate(engine, options, out) {
+    if (!Object.hasOwn(DIFFICULTY_CONFIG, options.difficulty)) {
+        throw new Error(`--difficulty must be one of: ${Object.keys(DIFFICULTY_CONFIG).join(', ')}`);
+    }
+    const difficulty = DIFFICULTY_CONFIG[options.difficulty];
+    const format = options.format || 'sdm';
+    if (!FORMATS.includes(format)) throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+    const count = Number(options.count || 1);
+    if (!Number.isInteger(count) || count < 1) throw new Error('--count must be a positive integer');
+    const size = Number(options.size || 9);
+    if (format === 'sdk' && size !== 9) throw new Error('The sdk format only holds 9x9 puzzles');
+    const rules = getRulesOption(engine, options, size);
+    // Techniques the solver tries under these rules
+    const techniques = [...new Set(engine.getStrategies(rules).map(strategy => engine.TECHNIQUE_NAMES[strategy.level]))];
+    if (options.technique !== undefined && !techniques.includes(options.technique)) {
+        throw new Error(`--technique must be one of: ${techniques.join(', ')}`);
+    }
+    const maxRuns = Number(options['max-runs'] || count * 100);
+    if (!Number.isInteger(maxRuns) || maxRuns < 1) throw new Error('--max-runs must be a positive integer');
+
+    const config = { ...difficulty, size, variant: options.variant || 'classic', requiredTechnique: options.technique };
+    const puzzles = [];
+    const started = Date.now();
+    for (let run = 0; puzzles.length < count; run++) {
+        if (run === maxRuns) {
+            if (puzzles.length > 0) process.stderr.write('\n'); // End the progress line
+            throw new Error(`Only ${puzzles.length}/${count} puzzles in ${maxRuns} runs: ` +
+                'this difficulty (and technique) may be out of reach for these rules');
+        }
+        const seed = options.seed !== undefined ? `${options.seed}:${run}` : undefined;
+        const result = engine.generatePuzzleSync({ ...config, seed });
+        if (!engine.isLevelMatch(result.analysis, config)) continue;
+        if (options.technique && !result.analysis.techniquesUsed.includes(options.technique)) continue;
+        puzzles.push(result);
+        process.stderr.write(`\rGenerated ${puzzles.length}/${count} (${run + 1} runs, ${((Date.now() - started) / 1000).toFixed(1)} s)`);
+    }
+    process.stderr.write('\n');
+
+    if (format === 'json') {
+        out(JSON.stringify(puzzles.map(({ puzzle, solution, analysis }) => ({
+            puzzle: engine.puzzleToString(puzzle),
+            solution: engine.puzzleToString(solution),
+            rating: analysis.rating,
+            maxLevel: analysis.maxLevel,
+            techniques: analysis.techniquesUsed
+        })), null, 2));
+    } else if (format === 'sdk') {
+        out(puzzles.map(({ puzzle }) => toSdk(puzzle)).join('\n\n'));
+    } else {
+        out(puzzles.map(({ puzzle }) => engine.puzzleToString(puzzle)).join('\n'));
+    }
+    return 0;
+}
+
+/** Solve one puzzle: its solution, whether it is unique, and how logic fares */
+function solve(engine, options, out, args) {
+    const board = engine.parsePuzzleString(args[0] || '');
+    if (!board) throw new Error('Expected a puzzle string (16, 36, 81, 144 or 256 cells)');
+    const rules = getRulesOption(engine, options, board.length);
+
+    const solution = engine.findSolution(board, rules);
+    if (!solution) {
+        out('No solution.');
+        return 1;
+    }
+    const unique = engine.countSolutions(board, 2, rules) === 1;
+    const analysis = engine.solvePuzzleWithLogic(board, { rules });
+
+    out(toGrid(engine, solution));
+    out('');
+    out(`Solution: ${engine.puzzleToString(solution)}${unique ? '' : ' (one of several)'}`);
+    out(`Logic: ${analysis.solved ? 'solved' : 'stuck'}, level ${analysis.maxLevel}, ` +
+        `rating ${analysis.rating} (${analysis.techniquesUsed.join(', ')})`);
+    return unique ? 0 : 1;
+}
+
+/** Rate every puzzle of a file with the logic solver, then sum up the tiers */
+function rate(engine, options, out, args) {
+    const rows = readPuzzles(engine, readInput(args[0])).map(({ source, board }, i) => {
+        if (!board) return { index: i + 1, puzzle: source, error: 'invalid puzzle' };
+        const analysis = engine.solvePuzzleWithLogic(board, { rules: getRulesOption(engine, options, board.length) });
+        return {
+            index: i + 1,
+            puzzle: source,
+            solved: analysis.solved,
+            maxLevel: analysis.maxLevel,
+            rating: analysis.rating,
+            // Puzzles logic can't finish go to the hardest tier, like imports in the app
+            tier: analysis.solved ? tierForRating(engine, DIFFICULTY_CONFIG, analysis.rating) : Object.keys(DIFFICULTY_CONFIG).pop(),
+            techniques: analysis.techniquesUsed
+        };
+    });
+
+    const tiers = {};
+    for (const key of Object.keys(DIFFICULTY_CONFIG)) tiers[key] = 0;
+    for (const row of rows) if (row.tier) tiers[row.tier]++;
+    const unsolved = rows.filter(row => row.solved === false).length;
+
+    if (options.json) {
+        out(JSON.stringify({ puzzles: rows, tiers, unsolved }, null, 2));
+    } else {
+        out(['#', 'solved', 'level', 'rating', 'tier', 'techniques'].join('\t'));
+        for (const row of rows) {
+            out(row.error
+                ? `${row.index}\t${row.error}`
+                : [row.index, row.solved ? 'yes' : 'no', row.maxLevel, row.rating, row.tier, row.techniques.join(', ')].join('\t'));
+        }
+        out('');
+        out(`${rows.length} puzzles, ${unsolved} not solved by logic`);
+        for (const [key, n] of Object.entries(tiers)) {
+            out(`${key.padEnd(10)}${String(n).padStart(6)}  ${rows.length ? (n / rows.length * 100).toFixed(1) : '0.0'}%`);
+        }
+    }
+    return rows.some(row => row.error) ? 1 : 0;
+}
+
+/** Check that every puzzle of a file has exactly one solution */
+function validate(engine, options, out, args) {
+    const puzzles = readPuzzles(engine, readInput(args[0]));
+    let failures = 0;
+    puzzles.forEach(({ source, board }, i) => {
+        let status = 'invalid puzzle';
+        if (board) {
+            const solutions = engine.countSolutions(board, 2, getRulesOption(engine, options, board.length));
+            status = ['no solution', 'unique', 'multiple solutions'][solutions];
+        }
+        if (status !== 'unique') failures++;
+        out(`${i + 1}\t${status}\t${source}`);
+    });
+    out('');
+    out(`${puzzles.length - failures}/${puzzles.length} unique`);
+    return failures > 0 ? 1 : 0;
+}
+
+/**
+ * Build a puzzle pack: every puzzle must be unique, classic and solvable by logic,
+ * and is stored with its solution and rating so the app needn't work them out.
+ * Given a pack file, its puzzles are rated again (and --id/--name default to the pack's).
+ */
+function pack(engine, options, out, args) {
+    const text = readInput(args[0]);
+    const source = readPack(text);
+    const meta = {
+        id: options.id || (source && source.id),
+        name: options.name || (source && source.name),
+        description: options.description || (source && source.description) || ''
+    };
+    if (!/^[a-z0-9-]+$/.test(meta.id || '')) throw new Error('--id must be lowercase letters, digits and dashes');
+    if (!meta.name) throw new Error('Missing --name');
+
+    const entries = readPuzzles(engine, text).map(({ source: puzzle, board }, i) => {
+        if (!board) throw new Error(`Puzzle ${i + 1} is not a puzzle string`);
+        const rules = getRulesOption(engine, {}, board.length);
+        if (engine.countSolutions(board, 2, rules) !== 1) throw new Error(`Puzzle ${i + 1} has no unique solution`);
+        const analysis = engine.solvePuzzleWithLogic(board, { rules });
+        if (!analysis.solved) throw new Error(`Puzzle ${i + 1} can't be solved by logic`);
+        return {
+            puzzle: engine.puzzleToString(board),
+            solution: engine.puzzleToString(engine.findSolution(board, rules)),
+            rating: analysis.rating,
+            maxLevel: analysis.maxLevel,
+            techniques: analysis.techniquesUsed
+        };
+    });
+
+    // One puzzle per line keeps the file readable and its diffs small
+    out(`{\n  "id": ${JSON.stringify(meta.id)},\n  "name": ${JSON.stringify(meta.name)},\n` +
+        `  "description": ${JSON.stringify(meta.description)},\n  "puzzles": [\n` +
+        entries.map(entry => `    ${JSON.stringify(entry)}`).join(',\n') + '\n  ]\n}');
+    return 0;
+}
+
+const COMMANDS = { generate, solve, rate, validate, pack };
+
+function main(argv) {
+    const { command, args, options } = parseArgs(argv);
+    if (!COMMANDS[command] || options.help) {
+        // The usage block at the top of this file
+        const usage = fs.readFileSync(__filename, 'utf8').split('\n').filter(line => line.startsWith('//   '));
+        console.log(['Usage:', ...usage.map(line => line.slice(2))].join('\n'));
+        return command && !options.help ? 1 : 0;
+    }
+
+    const engine = loadEngine(options.engine);
+    const lines = [];
+    const out = line => lines.push(line);
+    try {
+        return COMMANDS[command](engine, options, out, args);
+    } finally {
+        if (options.out) fs.writeFileSync(options.out, lines.join('\n') + '\n');
+        else if (lines.length > 0) process.stdout.write(lines.join('\n') + '\n');
+    }
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+    console.error(`diversoku: ${err.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,24 @@
+// ============================================
+// Difficulty Tiers — shared by the app (script.js) and the CLI (bin/diversoku.js)
+// ============================================
+// Rating-based (see TECHNIQUE_WEIGHTS in sudoku-engine.js). Rating ranges are
+// [minRating, maxRating) and must not overlap. Keys are what games, stats and
+// backups store; name is shown to the player. maxCage: largest cage when
+// generating a Killer puzzle.
+
+const DIFFICULTY_CONFIG = {
+    medium: { minRemove: 45, maxRemove: 49, minRating: 0, maxRating: 2.5, name: 'Medio', basePoints: 200, timeBonus: 1000, maxCage: 3 },       // Singles only
+    hard: { minRemove: 48, maxRemove: 53, minRating: 2.5, maxRating: 3.5, name: 'Difícil', basePoints: 400, timeBonus: 2000, maxCage: 4 },    // Subsets
+    expert: { minRemove: 50, maxRemove: 55, minRating: 3.5, maxRating: 4.5, name: 'Experto', basePoints: 800, timeBonus: 4000, maxCage: 5 },  // Pointing Pairs
+    master: { minRemove: 53, maxRemove: 58, minRating: 4.5, maxRating: 6, name: 'Maestro', basePoints: 1200, timeBonus: 6000, maxCage: 6 },   // X-Wing, UR, Skyscraper, Kite, Empty Rectangle, single Swordfish
+    extreme: { minRemove: 55, maxRemove: 64, minRating: 6, maxRating: 7.5, name: 'Extremo', basePoints: 1600, timeBonus: 8000, maxCage: 6 },  // Jellyfish, XY/XYZ/W-Wing or many advanced steps
+    diabolical: { minRemove: 55, maxRemove: 64, minRating: 7.5, maxRating: Infinity, name: 'Diabólico', basePoints: 2400, timeBonus: 12000, maxCage: 6 } // Simple Coloring, X-Chains, AIC
+};
+
+// ============================================
+// Node Exports
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DIFFICULTY_CONFIG };
+}
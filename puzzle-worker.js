@@ -1,24 +1,71 @@
 // ============================================
 // Puzzle Worker — Generates puzzles in background
 // ============================================
+// Messages in:  { type: 'generate', id, config } — start a job (one at a time)
+//               { type: 'cancel', id }           — stop it; answered with 'cancelled'
+//               { type: 'accept', id }           — finish with the best puzzle so far
+// Messages out: { type: 'progress', id, attempts, fraction, bestLevel, bestRating }
+//               { type: 'result', id, puzzle, solution, cages, analysis }
+//               { type: 'cancelled', id }
 
 importScripts('sudoku-engine.js');
 
+// Work done between looks at the message queue (cancel/accept arrive in between)
+const SLICE_MS = 100;
+
+let current = null; // { id, search, accepted }
+
 self.onmessage = function (e) {
-    const { type, difficulty, config } = e.data;
+    const { type, id, config } = e.data;
 
     if (type === 'generate') {
-        const result = generatePuzzleSync(config);
-        self.postMessage({
-            type: 'result',
-            difficulty: difficulty,
-            puzzle: result.puzzle,
-            solution: result.solution,
-            analysis: {
-                solved: result.analysis.solved,
-                maxLevel: result.analysis.maxLevel,
-                techniquesUsed: result.analysis.techniquesUsed
-            }
-        });
+        current = { id, search: createPuzzleSearch(config), accepted: false };
+        runSlice(current);
+        return;
+    }
+
+    if (!current || current.id !== id) return; // Already finished
+    if (type === 'cancel') {
+        current = null;
+        self.postMessage({ type: 'cancelled', id });
+    } else if (type === 'accept') {
+        current.accepted = true;
     }
 };
+
+/** Run attempts for a while, then report progress and yield to incoming messages */
+function runSlice(job) {
+    if (current !== job) return; // Cancelled
+
+    const { search } = job;
+    const end = Date.now() + SLICE_MS;
+    let searching = true;
+    while (searching && !(job.accepted && search.best()) && Date.now() < end) {
+        searching = search.step();
+    }
+
+    if (!searching || (job.accepted && search.best())) {
+        current = null;
+        postResult(job.id, searching ? search.best() : search.result());
+        return;
+    }
+
+    self.postMessage({ type: 'progress', id: job.id, ...search.progress() });
+    setTimeout(() => runSlice(job), 0);
+}
+
+function postResult(id, result) {
+    self.postMessage({
+        type: 'result',
+        id, // Echoed back so the pool can match the job (see worker-pool.js)
+        puzzle: result.puzzle,
+        solution: result.solution,
+        cages: result.cages || null, // Killer only
+        analysis: {
+            solved: result.analysis.solved,
+            maxLevel: result.analysis.maxLevel,
+            rating: result.analysis.rating,
+            techniquesUsed: result.analysis.techniquesUsed
+        }
+    });
+}
@@ -8,7 +8,18 @@ const SudokuGame = {
     solution: [],        // Complete solution
     initial: [],         // Initial fixed numbers
     notes: [],           // Notes for each cell (array of sets)
-    history: [],         // Undo history
+    history: null,       // Move history tree { nodes, current } (see createHistory)
+    moveLog: [],         // Timestamped log of every move, kept for replays (see logMove)
+    hint: null,          // Active staged hint { step, stage, signature }
+    analysis: null,      // Solver analysis of the puzzle { solved, rating, maxLevel, techniquesUsed }
+    challenge: null,     // "Beat my time" target from a shared link { time, score }
+    daily: null,         // Daily challenge being played { date, difficulty }
+    pack: null,          // Bundled pack puzzle being played { id, name, number } (see packPuzzleGame)
+    slotId: null,        // Save slot of the game on the board (see saveGameState)
+    slotName: null,      // Player-given slot name, null for the default label
+    cages: null,         // Killer cages [{ sum, cells }], null for a classic game
+    variant: 'classic',  // Extra rules (see VARIANTS in sudoku-engine.js)
+    size: 9,             // Board side (see BOARD_SIZES in sudoku-engine.js)
 
     // Game settings
     selectedCell: null,
@@ -25,7 +36,7 @@ const SudokuGame = {
     hintsUsed: 0,
     mistakesMade: 0,
 
-    // Settings (from localStorage)
+    // Settings (persisted via GameStorage)
     settings: {
         showConflicts: true,
         highlightSame: true,
@@ -43,16 +54,32 @@ const SudokuGame = {
         hard: { played: 0, won: 0, bestTime: null, bestScore: 0, totalScore: 0 },
         expert: { played: 0, won: 0, bestTime: null, bestScore: 0, totalScore: 0 },
         master: { played: 0, won: 0, bestTime: null, bestScore: 0, totalScore: 0 },
-        extreme: { played: 0, won: 0, bestTime: null, bestScore: 0, totalScore: 0 }
+        extreme: { played: 0, won: 0, bestTime: null, bestScore: 0, totalScore: 0 },
+        diabolical: { played: 0, won: 0, bestTime: null, bestScore: 0, totalScore: 0 },
+        daily: { won: 0, currentStreak: 0, bestStreak: 0, lastDate: null, completed: [] } // completed: difficulties won on lastDate
     },
 
-    // Difficulty settings (technique-based)
-    difficultyConfig: {
-        medium: { minRemove: 45, maxRemove: 49, maxLevel: 2, name: 'Medio', basePoints: 200, timeBonus: 1000 },
-        hard: { minRemove: 48, maxRemove: 53, maxLevel: 3, name: 'Difícil', basePoints: 400, timeBonus: 2000 },
-        expert: { minRemove: 50, maxRemove: 55, maxLevel: 4, name: 'Experto', basePoints: 800, timeBonus: 4000 },
-        master: { minRemove: 53, maxRemove: 58, maxLevel: 5, name: 'Maestro', basePoints: 1200, timeBonus: 6000 },
-        extreme: { minRemove: 55, maxRemove: 64, maxLevel: 7, name: 'Extremo', basePoints: 1600, timeBonus: 8000 }
+    // Difficulty tiers (see difficulties.js)
+    difficultyConfig: DIFFICULTY_CONFIG,
+
+    // Variant names and rules shown in the new game modal (keys match VARIANTS in sudoku-engine.js)
+    variantConfig: {
+        classic: { name: 'Clásico', description: 'Filas, columnas y cajas sin repetir números.' },
+        diagonal: { name: 'X-Sudoku', description: 'Las dos diagonales principales tampoco repiten números.' },
+        windoku: { name: 'Windoku', description: 'Cuatro ventanas extra de 3×3 tampoco repiten números.' },
+        antiknight: { name: 'Anti-caballo', description: 'Dos casillas a un salto de caballo no pueden tener el mismo número.' },
+        antiking: { name: 'Anti-rey', description: 'Dos casillas que se tocan, también en diagonal, no pueden tener el mismo número.' }
+    },
+
+    // Board sizes shown in the new game modal (keys match BOARD_SIZES in sudoku-engine.js).
+    // difficulties: the tiers the generator reliably reaches on that board; small boards
+    // rarely need more than singles and 16x16 searches past medium take minutes.
+    sizeConfig: {
+        4: { name: '4×4', description: 'Mini: números del 1 al 4 en cajas de 2×2.', difficulties: ['medium'] },
+        6: { name: '6×6', description: 'Números del 1 al 6 en cajas de 2×3.', difficulties: ['medium'] },
+        9: { name: '9×9', description: 'El tablero de siempre.', difficulties: ['medium', 'hard', 'expert', 'master', 'extreme', 'diabolical'] },
+        12: { name: '12×12', description: 'Números del 1 al 9 y letras A–C en cajas de 3×4.', difficulties: ['medium', 'hard', 'expert'] },
+        16: { name: '16×16', description: 'Números del 1 al 9 y letras A–G en cajas de 4×4.', difficulties: ['medium'] }
     },
 
     // Points configuration
@@ -72,17 +99,20 @@ const SudokuGame = {
 /**
  * Initialize the game when DOM is loaded
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    await GameStorage.init();
     loadSettings();
     loadStats();
     createBoard();
     setupEventListeners();
     loadGameState();
+    handlePuzzleLink();
     updateScoreDisplay();
     updateGameInfo();
 
     // Start background puzzle generation
-    initPuzzleWorker();
+    initPuzzlePool();
+    loadPuzzlePacks();
 
     // Register service worker for PWA
     if ('serviceWorker' in navigator) {
@@ -93,145 +123,156 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 // ============================================
-// Puzzle Pool — Web Worker background generation
+// Puzzle Pool — background generation (see worker-pool.js)
 // ============================================
 
-const puzzlePool = {};
-let puzzleWorker = null;
+const POOL_TARGET = 2; // Puzzles kept ready per difficulty
 
-/** Initialize the Web Worker and start pre-generating puzzles. */
-function initPuzzleWorker() {
-    try {
-        puzzleWorker = new Worker('puzzle-worker.js');
-        puzzleWorker.onmessage = function (e) {
-            const { type, difficulty, puzzle, solution, analysis } = e.data;
-            if (type === 'result') {
-                if (!puzzlePool[difficulty]) puzzlePool[difficulty] = [];
-                puzzlePool[difficulty].push({ puzzle, solution, analysis });
-                savePool(); // Save to localStorage
-                console.log(
-                    `[DiverSoku] Pool: ${difficulty} listo ` +
-                    `(${puzzlePool[difficulty].length} en pool, ` +
-                    `nivel ${analysis.maxLevel}, ` +
-                    `técnicas: [${analysis.techniquesUsed.join(', ')}])`
-                );
-                // Keep pool stocked: maintain 2 puzzles per difficulty
-                replenishPool(difficulty);
-
-                // If pool is full, maybe hunt for special techniques?
-                checkAndHuntSwordfish(difficulty);
-            }
-        };
-        puzzleWorker.onerror = function (err) {
-            console.warn('[DiverSoku] Worker error:', err.message);
-        };
+const puzzlePool = {};
+const poolJobs = {};   // Difficulty -> refill jobs queued or running
+const huntJobs = {};   // Difficulty -> technique being hunted
+
+/** Techniques each difficulty's pool should have a puzzle for (see checkAndHuntTechniques) */
+const HUNTED_TECHNIQUES = {
+    master: ['Unique Rectangle', 'Skyscraper', '2-String Kite', 'Empty Rectangle', 'Swordfish'],
+    extreme: ['XYZ-Wing', 'W-Wing', 'Jellyfish'],
+    diabolical: ['Simple Coloring', 'X-Chain', 'AIC']
+};
 
-        // Start by loading any saved pool from localStorage
-        const savedPool = localStorage.getItem('diverSoku_pool');
-        if (savedPool) {
-            try {
-                const parsed = JSON.parse(savedPool);
-                // Merge saved pool into current (handling pot. new difficulties)
-                for (const diff in parsed) {
-                    if (SudokuGame.difficultyConfig[diff]) {
-                        puzzlePool[diff] = parsed[diff];
-                    }
-                }
-                console.log('[DiverSoku] Pool recuperado del disco:', puzzlePool);
-            } catch (e) {
-                console.warn('[DiverSoku] Error al cargar pool:', e);
+/** Start the worker pool and pre-generate puzzles (hardest difficulties first). */
+function initPuzzlePool() {
+    // Start by loading any saved pool
+    const savedPool = GameStorage.get('pool');
+    if (savedPool) {
+        // Merge saved pool into current (handling pot. new difficulties)
+        for (const diff in savedPool) {
+            if (Object.hasOwn(SudokuGame.difficultyConfig, diff) && Array.isArray(savedPool[diff])) {
+                puzzlePool[diff] = savedPool[diff];
             }
         }
+        console.log('[DiverSoku] Pool recuperado del disco:', puzzlePool);
+    }
 
-        // Check which pools need replenishing (hardest first)
-        const diffs = Object.keys(SudokuGame.difficultyConfig).reverse();
-        for (const diff of diffs) {
-            if (!puzzlePool[diff]) puzzlePool[diff] = [];
-            // If empty or low, request more
-            if (puzzlePool[diff].length < 2) {
-                requestPuzzleFromWorker(diff);
-            } else {
-                checkAndHuntSwordfish(diff);
-            }
-        }
-    } catch (err) {
-        console.warn('[DiverSoku] Web Worker no disponible:', err.message);
-        puzzleWorker = null;
+    if (!WorkerPool.init()) {
+        console.warn('[DiverSoku] Web Worker no disponible: los puzzles se generarán al empezar cada partida.');
+        return;
+    }
+
+    const diffs = Object.keys(SudokuGame.difficultyConfig).reverse();
+    for (const diff of diffs) {
+        replenishPool(diff);
+        checkAndHuntTechniques(diff);
     }
 }
 
-/** Request one puzzle from the Worker. */
-function requestPuzzleFromWorker(difficulty, options = {}) {
-    if (!puzzleWorker) return;
+/**
+ * Generator config sent to the Worker (plain data only)
+ * @param {string} difficulty
+ * @param {object} [options] - { requiredTechnique, seed, size, variant, killer }
+ */
+function getWorkerConfig(difficulty, options = {}) {
     const config = SudokuGame.difficultyConfig[difficulty];
-    puzzleWorker.postMessage({
-        type: 'generate',
-        difficulty,
-        config: {
-            minRemove: config.minRemove,
-            maxRemove: config.maxRemove,
-            maxLevel: config.maxLevel,
-            requiredTechnique: options.requiredTechnique // Pass requirement
-        }
-    });
+    return {
+        minRemove: config.minRemove,
+        maxRemove: config.maxRemove,
+        minRating: config.minRating,
+        maxRating: config.maxRating,
+        requiredTechnique: options.requiredTechnique, // Pass requirement
+        seed: options.seed, // Same seed + config => same puzzle
+        size: options.size, // Board side, 9 when undefined
+        variant: options.variant, // Rule set, classic when undefined
+        killer: options.killer,
+        maxCage: config.maxCage
+    };
 }
 
-function checkAndHuntSwordfish(difficulty) {
-    // Only hunt in Extreme/Master and if pool is healthy
-    if (difficulty !== 'extreme' && difficulty !== 'master') return;
-    if (!puzzlePool[difficulty] || puzzlePool[difficulty].length < 2) return;
-
-    // - Extreme: Hunt for Swordfish (or XY-Wing, but Swordfish is rarer)
-    // - Master: Hunt for Unique Rectangle (since X-Wing is common)
-
-    let targetTech = '';
-    if (difficulty === 'extreme') targetTech = 'Swordfish';
-    if (difficulty === 'master') {
-        // Alternate between UR and Skyscraper to fill pool faster and with variety
-        // Pick random one for this request
-        targetTech = Math.random() > 0.5 ? 'Unique Rectangle' : 'Skyscraper';
-    }
-
-    // Check if we already have it
-    // Actually, for master we just want *any* special tech if we are low on them?
-    // Or just hunt for what's missing?
-    // Let's keep it simple: Hunt for what we selected essentially.
-
-    // But better logic: Check what is missing from pool!
-    if (difficulty === 'master') {
-        const hasUR = puzzlePool[difficulty].some(p => p.analysis.techniquesUsed.includes('Unique Rectangle'));
-        const hasSky = puzzlePool[difficulty].some(p => p.analysis.techniquesUsed.includes('Skyscraper'));
-
-        if (!hasUR) targetTech = 'Unique Rectangle';
-        else if (!hasSky) targetTech = 'Skyscraper';
-        else return; // We have both, no need to hunt specific
-    }
-
-    const hasTechnique = puzzlePool[difficulty].some(p =>
-        p.analysis && p.analysis.techniquesUsed && p.analysis.techniquesUsed.includes(targetTech)
+/**
+ * Add a generated puzzle to a difficulty's pool
+ * @param {string} difficulty
+ * @param {object} result - Worker result { puzzle, solution, analysis }
+ */
+function addToPool(difficulty, { puzzle, solution, analysis }) {
+    if (!puzzlePool[difficulty]) puzzlePool[difficulty] = [];
+    puzzlePool[difficulty].push({ puzzle, solution, analysis });
+    savePool(); // Persist
+    console.log(
+        `[DiverSoku] Pool: ${difficulty} listo ` +
+        `(${puzzlePool[difficulty].length} en pool, ` +
+        `nivel ${analysis.maxLevel}, rating ${analysis.rating}, ` +
+        `técnicas: [${analysis.techniquesUsed.join(', ')}])`
     );
+}
 
-    if (!hasTechnique) {
-        // Limit pool size to avoidance memory/spam issues, but keep trying if missing technique
-        if (puzzlePool[difficulty].length < 10) {
-            console.log(`[DiverSoku] Buscando especial para ${difficulty}: ${targetTech}....`);
-            requestPuzzleFromWorker(difficulty, { requiredTechnique: targetTech });
-        }
-    }
+/**
+ * Hunt for a technique the difficulty's pool is missing (one picked at random), so
+ * its puzzles don't all need the same ones. Only once the pool is healthy.
+ * @param {string} difficulty
+ */
+function checkAndHuntTechniques(difficulty) {
+    const techniques = HUNTED_TECHNIQUES[difficulty];
+    const pool = puzzlePool[difficulty];
+    if (!techniques || !pool || pool.length < 2) return;
+    // Limit pool size to avoid memory/spam issues, but keep trying while techniques are missing
+    if (pool.length >= 10) return;
+
+    const missing = techniques.filter(technique =>
+        !pool.some(p => p.analysis && p.analysis.techniquesUsed && p.analysis.techniquesUsed.includes(technique)));
+    if (missing.length === 0) return;
+    huntTechnique(difficulty, missing[Math.floor(Math.random() * missing.length)]);
+}
+
+/**
+ * Look for a puzzle that needs a technique, on the hunt worker. One hunt per difficulty at a time;
+ * whatever it finds joins the pool.
+ * @param {string} difficulty
+ * @param {string} technique - Technique name (see TECHNIQUE_WEIGHTS)
+ */
+function huntTechnique(difficulty, technique) {
+    if (!WorkerPool.isAvailable() || huntJobs[difficulty]) return;
+    console.log(`[DiverSoku] Buscando especial para ${difficulty}: ${technique}....`);
+    huntJobs[difficulty] = technique;
+
+    const config = getWorkerConfig(difficulty, { requiredTechnique: technique });
+    WorkerPool.run(config, 'hunt').promise.then(result => {
+        delete huntJobs[difficulty];
+        if (!result) return;
+        addToPool(difficulty, result);
+        checkAndHuntTechniques(difficulty);
+    }, err => {
+        delete huntJobs[difficulty];
+        console.warn(`[DiverSoku] Falló la búsqueda de ${technique}:`, err.message);
+    });
 }
 
-/** Refill pool if below threshold. */
+/** Refill pool if below threshold (several puzzles at once when there are free workers). */
 function replenishPool(difficulty) {
+    if (!WorkerPool.isAvailable()) return;
     if (!puzzlePool[difficulty]) puzzlePool[difficulty] = [];
-    if (puzzlePool[difficulty].length < 2) {
-        requestPuzzleFromWorker(difficulty);
+    if (!poolJobs[difficulty]) poolJobs[difficulty] = 0;
+
+    while (puzzlePool[difficulty].length + poolJobs[difficulty] < POOL_TARGET) {
+        poolJobs[difficulty]++;
+        WorkerPool.run(getWorkerConfig(difficulty), 'pool').promise.then(result => {
+            poolJobs[difficulty]--;
+            if (!result) return; // Cancelled
+            addToPool(difficulty, result);
+            replenishPool(difficulty);
+            checkAndHuntTechniques(difficulty);
+        }, err => {
+            // Not retried: a worker that can't generate would fail again
+            poolJobs[difficulty]--;
+            console.warn(`[DiverSoku] Falló la generación para ${difficulty}:`, err.message);
+        });
     }
 }
 
 // ============================================
-// Puzzle Generation (pool-first, async fallback)
+// Puzzle Generation (pool first, then bundled packs, then on demand in a worker)
 // ============================================
 
+/** Job id of the generation shown in the loading overlay (see generateOnDemand) */
+let generationJob = null;
+
 /** Show/hide loading overlay */
 function showLoading(show, message) {
     const overlay = document.getElementById('loading-overlay');
@@ -242,9 +283,31 @@ function showLoading(show, message) {
         overlay.classList.add('active');
     } else {
         overlay.classList.remove('active');
+        document.getElementById('loading-progress').hidden = true;
     }
 }
 
+/**
+ * Show a generation's progress in the loading overlay
+ * @param {?object} progress - Worker progress { attempts, fraction, bestLevel, bestRating }; null while it waits to start
+ * @param {boolean} [canAccept=true] - Offer "accept best so far" (not for seeded puzzles, which must match everyone's)
+ */
+function showGenerationProgress(progress, canAccept = true) {
+    const acceptBtn = document.getElementById('loading-accept-btn');
+    document.getElementById('loading-progress').hidden = false;
+    document.getElementById('loading-progress-fill').style.width = `${Math.round((progress ? progress.fraction : 0) * 100)}%`;
+    acceptBtn.hidden = !canAccept;
+
+    let text = 'Esperando un worker libre...';
+    if (progress) {
+        text = `Intento ${progress.attempts}`;
+        if (progress.bestLevel !== null) text += ` · mejor hasta ahora: nivel ${progress.bestLevel}, rating ${progress.bestRating}`;
+    }
+    document.getElementById('loading-progress-text').textContent = text;
+    // Once accepted, the button stays disabled until the puzzle arrives
+    if (!acceptBtn.classList.contains('accepted')) acceptBtn.disabled = !progress || progress.bestLevel === null;
+}
+
 /**
  * Yield to the browser event loop (prevents UI freeze).
  */
@@ -253,9 +316,10 @@ function yieldToBrowser() {
 }
 
 /**
- * Get a puzzle — tries pool first (instant), falls back to async generation.
+ * Get a puzzle — tries pool first (instant), then the bundled packs (see takePackPuzzle),
+ * otherwise generates it in a worker.
  * @param {string} difficulty
- * @returns {Promise<{puzzle: number[][], solution: number[][]}>}
+ * @returns {Promise<?{puzzle: number[][], solution: number[][], analysis: object, pack?: object}>} null if cancelled or failed
  */
 async function generatePuzzle(difficulty) {
     // Try pool first (instant!)
@@ -265,97 +329,874 @@ async function generatePuzzle(difficulty) {
         console.log(`[DiverSoku] Puzzle desde pool (instantáneo) — ${difficulty}`);
         // Immediately request a replacement
         replenishPool(difficulty);
-        checkAndHuntSwordfish(difficulty);
+        checkAndHuntTechniques(difficulty);
         return cached;
     }
 
-    // Pool empty — generate synchronously with async yields
-    console.log(`[DiverSoku] Pool vacío para ${difficulty}, generando en hilo principal...`);
-    const config = SudokuGame.difficultyConfig[difficulty];
+    // Pool empty — a bundled puzzle is just as instant while the pool refills
+    const packed = takePackPuzzle(difficulty);
+    if (packed) {
+        console.log(`[DiverSoku] Puzzle desde el pack ${packed.pack.name} #${packed.pack.number} — ${difficulty}`);
+        replenishPool(difficulty);
+        return packed;
+    }
 
-    // Give more time/attempts for harder levels
-    const isHard = ['master', 'extreme', 'expert'].includes(difficulty);
-    const maxAttempts = isHard ? 1000 : 50;
-    const timeBudgetMs = isHard ? 45000 : 5000;
-    const startTime = Date.now();
-
-    let bestResult = null;
-    let bestScore = -1;
-
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-        // Check timeout
-        if (Date.now() - startTime > timeBudgetMs) {
-            // If we have a decent fallback, stop. If not, try a bit longer for high diffs.
-            if (bestScore >= (isHard ? 3 : 1)) break;
-            if (Date.now() - startTime > timeBudgetMs * 1.5) break; // Hard limit
-        }
+    // Nothing ready — generate in the worker pool, ahead of background jobs
+    console.log(`[DiverSoku] Pool vacío para ${difficulty}, generando en un worker...`);
+    const result = await generateOnDemand(difficulty);
+    replenishPool(difficulty);
+    return result && { puzzle: result.puzzle, solution: result.solution, analysis: result.analysis };
+}
+
+/**
+ * Generate a puzzle the player is waiting for. It goes ahead of every background job in
+ * the worker pool, and the loading overlay shows its progress with buttons to cancel it
+ * or settle for the best puzzle found so far.
+ * @param {string} difficulty
+ * @param {object} [options] - { seed, size, variant, killer } (see getWorkerConfig)
+ * @returns {Promise<?{puzzle: number[][], solution: number[][], analysis: object, cages: ?object[]}>} null if cancelled or failed
+ */
+async function generateOnDemand(difficulty, options = {}) {
+    const config = getWorkerConfig(difficulty, options);
+    const canAccept = config.seed === undefined;
+    const job = WorkerPool.run(config, 'user', progress => showGenerationProgress(progress, canAccept));
+    generationJob = job.id;
+    document.getElementById('loading-accept-btn').classList.remove('accepted');
+    showGenerationProgress(null, canAccept);
 
-        if (attempt > 0 && attempt % 2 === 0) await yieldToBrowser();
+    try {
+        return await job.promise;
+    } catch (err) {
+        console.warn('[DiverSoku] No se pudo generar el puzzle:', err.message);
+        alert('No se pudo generar el puzzle. Inténtalo de nuevo.');
+        return null;
+    } finally {
+        generationJob = null;
+    }
+}
 
-        const result = generatePuzzleAttempt(config);
-        if (!result || !result.analysis.solved) continue;
+// ============================================
+// Puzzle Packs (bundled pre-rated puzzles, built with `diversoku pack`)
+// ============================================
 
-        // Exact match found? Return immediately
-        if (isLevelMatch(result.analysis, config)) {
-            console.log(
-                `[DiverSoku] Puzzle generado (intento ${attempt + 1}, ` +
-                `${Date.now() - startTime}ms): ` +
-                `${81 - result.removed} pistas, nivel ${result.analysis.maxLevel}, ` +
-                `técnicas: [${result.analysis.techniquesUsed.join(', ')}]`
-            );
-            replenishPool(difficulty);
-            return { puzzle: result.puzzle, solution: result.solution };
+/** Bundled packs, in the order the new game modal lists them (cached by service-worker.js) */
+const PACK_FILES = ['packs/beginner-100.json', 'packs/advanced-100.json', 'packs/swordfish.json'];
+
+/** Loaded packs { id, name, description, puzzles: [{ puzzle, solution, difficulty, analysis }] } */
+const puzzlePacks = [];
+
+/** Fetch the bundled packs. One that can't be loaded or checked is left out. */
+async function loadPuzzlePacks() {
+    const results = await Promise.allSettled(PACK_FILES.map(file =>
+        fetch(file).then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })));
+
+    results.forEach((result, i) => {
+        const pack = result.status === 'fulfilled' ? preparePack(result.value) : null;
+        if (pack) {
+            puzzlePacks.push(pack);
+        } else {
+            const reason = result.status === 'rejected' ? result.reason.message : 'formato no válido';
+            console.warn(`[DiverSoku] No se pudo cargar el pack ${PACK_FILES[i]}:`, reason);
         }
+    });
+    console.log(`[DiverSoku] Packs: ${puzzlePacks.map(pack => `${pack.name} (${pack.puzzles.length})`).join(', ')}`);
+    updatePackList();
+}
 
-        // Keep track of the "best" puzzle found so far (closest to target level)
-        // For Extreme (7), a level 5 is better than level 2.
-        const level = result.analysis.maxLevel;
-        // Penalize if level is too high (unlikely) or too low
-        let score = level;
-        if (level > config.maxLevel) score = -1; // Too hard (shouldn't happen with current logic)
+/**
+ * Check a pack file and sort its puzzles into difficulties. Packs hold classic 9x9
+ * puzzles that logic can solve, with their solution and rating (no solving here).
+ * @param {object} data - Parsed pack file
+ * @returns {?object} Pack, or null if malformed
+ */
+function preparePack(data) {
+    if (!data || !/^[a-z0-9-]+$/.test(data.id) || typeof data.name !== 'string' || !Array.isArray(data.puzzles)) return null;
+
+    const puzzles = [];
+    for (const entry of data.puzzles) {
+        const valid = entry && typeof entry.puzzle === 'string' && entry.puzzle.length === 81 &&
+            parsePuzzleString(entry.puzzle) && typeof entry.solution === 'string' &&
+            /^[1-9]{81}$/.test(entry.solution) && Number.isFinite(entry.rating) && Array.isArray(entry.techniques);
+        if (!valid) return null;
+        puzzles.push({
+            puzzle: entry.puzzle,
+            solution: entry.solution,
+            difficulty: difficultyForRating(entry.rating),
+            analysis: { solved: true, rating: entry.rating, maxLevel: entry.maxLevel, techniquesUsed: entry.techniques }
+        });
+    }
+    return { id: data.id, name: data.name, description: data.description || '', puzzles };
+}
+
+/**
+ * Puzzles completed from each pack
+ * @returns {Object} Pack id -> puzzle strings
+ */
+function loadPackProgress() {
+    return GameStorage.get('packs', {});
+}
+
+/** Mark the pack puzzle on the board as completed, so it isn't offered again */
+function recordPackCompletion() {
+    const { id } = SudokuGame.pack;
+    const progress = loadPackProgress();
+    const completed = progress[id] || [];
+    const puzzle = puzzleToString(SudokuGame.initial);
+    if (!completed.includes(puzzle)) GameStorage.set('packs', { ...progress, [id]: [...completed, puzzle] });
+}
 
-        if (score > bestScore) {
-            bestScore = score;
-            bestResult = result;
+/**
+ * First puzzle of a pack the player hasn't completed and isn't playing in a save slot
+ * @param {object} pack
+ * @param {string} [difficulty] - Only puzzles of this difficulty
+ * @returns {number} Index in the pack, -1 if none is left
+ */
+function nextPackPuzzle(pack, difficulty) {
+    const completed = new Set(loadPackProgress()[pack.id] || []);
+    const playing = new Set(loadSlots().games.map(game => puzzleToString(game.initial)));
+    return pack.puzzles.findIndex(entry =>
+        (!difficulty || entry.difficulty === difficulty) && !completed.has(entry.puzzle) && !playing.has(entry.puzzle));
+}
+
+/**
+ * A pack puzzle ready for beginGame
+ * @returns {{puzzle: number[][], solution: number[][], difficulty: string, analysis: object, pack: object}}
+ */
+function packPuzzleGame(pack, index) {
+    const entry = pack.puzzles[index];
+    return {
+        puzzle: parsePuzzleString(entry.puzzle),
+        solution: parsePuzzleString(entry.solution),
+        difficulty: entry.difficulty,
+        analysis: entry.analysis,
+        pack: { id: pack.id, name: pack.name, number: index + 1 }
+    };
+}
+
+/**
+ * An unplayed bundled puzzle of a difficulty, from the first pack that has one
+ * @param {string} difficulty
+ * @returns {?object} See packPuzzleGame
+ */
+function takePackPuzzle(difficulty) {
+    for (const pack of puzzlePacks) {
+        const index = nextPackPuzzle(pack, difficulty);
+        if (index !== -1) return packPuzzleGame(pack, index);
+    }
+    return null;
+}
+
+/**
+ * Play a pack from the new game modal: its game in progress if there is one, otherwise
+ * the next puzzle not completed yet
+ * @param {string} id - Pack id
+ */
+function startPackGame(id) {
+    const pack = puzzlePacks.find(entry => entry.id === id);
+    if (!pack) return;
+
+    const saved = loadSlots().games.find(game => game.pack && game.pack.id === id);
+    if (saved) {
+        resumeSlot(saved.id);
+        return;
+    }
+
+    const index = nextPackPuzzle(pack);
+    if (index === -1) return;
+    closeModal('new-game-modal');
+    const game = packPuzzleGame(pack, index);
+    console.log(`[DiverSoku] Pack ${pack.name} #${game.pack.number} — ${game.difficulty}`);
+    beginGame(game.puzzle, game.solution, game.difficulty, game.analysis);
+    SudokuGame.pack = game.pack;
+    updateGameInfo();
+    saveGameState();
+}
+
+/** Render the packs of the new game modal with the player's progress */
+function updatePackList() {
+    const list = document.getElementById('pack-list');
+    document.getElementById('pack-section').hidden = puzzlePacks.length === 0;
+    const progress = loadPackProgress();
+    const games = loadSlots().games;
+
+    list.innerHTML = puzzlePacks.map(pack => {
+        const completed = new Set(progress[pack.id] || []);
+        const done = pack.puzzles.filter(entry => completed.has(entry.puzzle)).length;
+        const levels = Object.keys(SudokuGame.difficultyConfig)
+            .filter(difficulty => pack.puzzles.some(entry => entry.difficulty === difficulty))
+            .map(difficulty => SudokuGame.difficultyConfig[difficulty].name);
+
+        let action = done > 0 ? 'Siguiente' : 'Empezar';
+        if (games.some(game => game.pack && game.pack.id === pack.id)) action = 'Continuar';
+        else if (done === pack.puzzles.length) action = 'Completado';
+        return `
+            <div class="slot-item">
+                <div class="slot-info">
+                    <span class="slot-name"></span>
+                    <span class="slot-meta"></span>
+                    <span class="slot-meta">${done}/${pack.puzzles.length} completados · ${levels.join(', ')}</span>
+                </div>
+                <div class="slot-actions">
+                    <button class="archive-btn" data-id="${pack.id}"${action === 'Completado' ? ' disabled' : ''}>${action}</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+    // Names and descriptions come from the pack files: in as text
+    list.querySelectorAll('.slot-item').forEach((item, i) => {
+        item.querySelector('.slot-name').textContent = puzzlePacks[i].name;
+        item.querySelector('.slot-meta').textContent = puzzlePacks[i].description;
+    });
+}
+
+// ============================================
+// Puzzle Import (strings, .sdk/.sdm files, ?puzzle= links)
+// ============================================
+
+/** Puzzles from the last imported collection file */
+let importedCollection = [];
+
+/**
+ * Difficulty whose rating range contains the rating (closest one otherwise)
+ * @param {number} rating
+ * @returns {string} Difficulty key
+ */
+function difficultyForRating(rating) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const [difficulty, config] of Object.entries(SudokuGame.difficultyConfig)) {
+        if (isRatingInRange(rating, config)) return difficulty;
+        const distance = ratingDistance(rating, config);
+        if (distance < bestDistance) {
+            best = difficulty;
+            bestDistance = distance;
         }
     }
+    return best;
+}
 
-    if (bestResult) {
-        console.warn(
-            `[DiverSoku] Mejor puzzle encontrado: nivel ${bestResult.analysis.maxLevel}`
-        );
-        replenishPool(difficulty);
-        return { puzzle: bestResult.puzzle, solution: bestResult.solution };
-    }
-
-    // Last resort
-    console.warn('[DiverSoku] Fallback: generación simple.');
-    const solution = generateSolution();
-    const puzzle = solution.map(row => [...row]);
-    const positions = [];
-    for (let r = 0; r < 9; r++)
-        for (let c = 0; c < 9; c++)
-            positions.push([r, c]);
-    shuffleArray(positions);
-    let removed = 0;
-    for (const [row, col] of positions) {
-        if (removed >= config.minRemove) break;
-        const backup = puzzle[row][col];
-        puzzle[row][col] = 0;
-        if (countSolutions(puzzle) === 1) removed++;
-        else puzzle[row][col] = backup;
+/**
+ * Validate, rate and solve an external puzzle. The board size comes from the string length.
+ * @param {string} text - Puzzle string (81 characters for 9x9, see parsePuzzleString)
+ * @param {object} [ruleOptions] - { variant, cages } for getRules (cages validated with validateCages)
+ * @returns {{puzzle?: number[][], solution?: number[][], difficulty?: string, analysis?: object, error?: string}}
+ */
+function preparePuzzleImport(text, ruleOptions = {}) {
+    const puzzle = parsePuzzleString(text);
+    if (!puzzle) return { error: 'El puzzle debe tener 16, 36, 81, 144 o 256 casillas (usa . o 0 para los huecos).' };
+
+    const size = puzzle.length;
+    if (!isSupportedRules(size, ruleOptions.variant || 'classic', !!ruleOptions.cages)) {
+        return { error: `Estas reglas no se pueden jugar en un tablero de ${size}×${size}.` };
     }
-    replenishPool(difficulty);
-    return { puzzle, solution };
+
+    const rules = getRules({ ...ruleOptions, size });
+    let solution;
+    if (rules.cages) {
+        solution = findKillerSolution(puzzle, rules);
+        if (!solution) return { error: 'Este Killer no tiene una solución única.' };
+    } else {
+        const solutions = countSolutions(puzzle, 2, rules);
+        if (solutions === 0) return { error: 'Este puzzle no tiene solución.' };
+        if (solutions > 1) return { error: 'Este puzzle tiene varias soluciones.' };
+
+        solution = findSolution(puzzle, rules);
+        if (!solution) return { error: 'Este puzzle no tiene solución.' };
+    }
+
+    const analysis = solvePuzzleWithLogic(puzzle, { rules });
+    // Puzzles our techniques can't finish go to the hardest tier
+    const difficulty = analysis.solved
+        ? difficultyForRating(analysis.rating)
+        : Object.keys(SudokuGame.difficultyConfig).pop();
+
+    return { puzzle, solution, difficulty, analysis };
 }
 
-/** Save the current pool to localStorage */
+/**
+ * Import a puzzle string and start playing it
+ * @param {string} text - Puzzle string, share code or share link
+ * @returns {boolean} True if the game started
+ */
+function importPuzzle(text) {
+    const shared = parseShareText(text);
+    if (shared) return startSharedGame(shared);
+
+    const result = preparePuzzleImport(text);
+    if (result.error) {
+        showImportError(result.error);
+        return false;
+    }
+
+    console.log(
+        `[DiverSoku] Puzzle importado: ${SudokuGame.difficultyConfig[result.difficulty].name}, ` +
+        `rating ${result.analysis.rating}, técnicas: [${result.analysis.techniquesUsed.join(', ')}]`
+    );
+    showImportError('');
+    closeModal('new-game-modal');
+    beginGame(result.puzzle, result.solution, result.difficulty, result.analysis);
+    return true;
+}
+
+/**
+ * Load a .sdk/.sdm file: one puzzle starts directly, a collection fills the picker
+ * @param {File} file
+ */
+function importPuzzleFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        const puzzles = parsePuzzleCollection(reader.result);
+        const select = document.getElementById('import-collection');
+
+        if (puzzles.length === 0) {
+            showImportError('No se ha encontrado ningún puzzle en el archivo.');
+            return;
+        }
+        if (puzzles.length === 1) {
+            importPuzzle(puzzles[0]);
+            return;
+        }
+
+        importedCollection = puzzles;
+        select.innerHTML = `<option value="">Elige un puzzle (${puzzles.length})</option>` +
+            puzzles.map((_, i) => `<option value="${i}">Puzzle ${i + 1}</option>`).join('');
+        select.hidden = false;
+        showImportError('');
+    };
+    reader.onerror = () => showImportError('No se pudo leer el archivo.');
+    reader.readAsText(file);
+}
+
+/** Show (or clear) the import error message */
+function showImportError(message) {
+    const el = document.getElementById('import-error');
+    if (el) el.textContent = message;
+}
+
+/**
+ * Open a ?puzzle= or ?share= deep link, if present. The parameter is removed
+ * afterwards so reloading resumes the saved game instead of restarting the import.
+ */
+function handlePuzzleLink() {
+    const params = new URLSearchParams(window.location.search);
+    const text = params.get('puzzle');
+    const share = params.get('share');
+    if (!text && !share) return;
+
+    params.delete('puzzle');
+    params.delete('share');
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+
+    let started;
+    if (share) {
+        const payload = decodeSharePayload(share);
+        started = payload ? startSharedGame(payload) : false;
+        if (!payload) showImportError('El enlace compartido no es válido.');
+    } else {
+        started = importPuzzle(text);
+    }
+    if (!started) {
+        openNewGameModal();
+    }
+}
+
+/** Persist the current pool */
 function savePool() {
+    GameStorage.set('pool', puzzlePool);
+}
+
+// ============================================
+// Sharing (export string, share links, "beat my time")
+// ============================================
+
+/** Public address used for share links when running outside the web (e.g. Android app) */
+const PUBLIC_URL = 'https://ignacio003.github.io/Sudoku/';
+
+/** Base URL for share links: this page when hosted, the public site otherwise */
+function getShareBaseUrl() {
+    const { protocol, hostname, origin, pathname } = window.location;
+    const isHosted = (protocol === 'http:' || protocol === 'https:') && hostname !== 'localhost';
+    return isHosted ? origin + pathname : PUBLIC_URL;
+}
+
+/**
+ * Base-32 characters per cell for a board's notes (5 candidates each)
+ * @param {number} size - Board side
+ * @returns {number}
+ */
+function noteCodeLength(size) {
+    return Math.ceil(size / 5);
+}
+
+/**
+ * Encode a share payload as base64url JSON.
+ * Payload: { v: version, p: puzzle code, d: difficulty, t?: seconds, s?: score,
+ *            b?: board progress (puzzle string), n?: notes (noteCodeLength base-32 chars per cell),
+ *            k?: Killer cages as [sum, ...cells], x?: variant (see VARIANTS), z?: board size (9 if absent) }
+ * @param {object} payload
+ * @returns {string}
+ */
+function encodeSharePayload(payload) {
+    return btoa(JSON.stringify(payload)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode and validate a share payload
+ * @param {string} code - base64url string from encodeSharePayload
+ * @returns {object|null} Payload with the decoded `puzzle` board, `cages`, `variant` and `difficulty`
+ *          (null for a tier this version doesn't have), or null if invalid
+ */
+function decodeSharePayload(code) {
     try {
-        localStorage.setItem('diverSoku_pool', JSON.stringify(puzzlePool));
+        const payload = JSON.parse(atob(code.replace(/-/g, '+').replace(/_/g, '/')));
+        if (payload.v !== 1 || typeof payload.p !== 'string') return null;
+
+        const size = payload.z === undefined ? 9 : payload.z;
+        const puzzle = decodePuzzleCode(payload.p, size);
+        if (!puzzle) return null;
+        if (payload.b !== undefined) {
+            const progress = parsePuzzleString(payload.b);
+            if (!progress || progress.length !== size) return null;
+        }
+        const notesLength = size * size * noteCodeLength(size);
+        if (payload.n !== undefined && !new RegExp(`^[0-9a-v]{${notesLength}}$`).test(payload.n)) return null;
+        if (payload.x !== undefined && !VARIANTS.includes(payload.x)) return null;
+
+        let cages = null;
+        if (payload.k !== undefined) {
+            if (!Array.isArray(payload.k)) return null;
+            cages = payload.k.map(cage => (Array.isArray(cage) ? { sum: cage[0], cells: cage.slice(1) } : null));
+            if (!validateCages(cages)) return null;
+        }
+
+        // Own keys only: 'constructor' or '__proto__' are no tier
+        const difficulty = Object.hasOwn(SudokuGame.difficultyConfig, payload.d) ? payload.d : null;
+        return { ...payload, puzzle, cages, variant: payload.x || 'classic', difficulty };
     } catch (e) {
-        console.warn('[DiverSoku] No se pudo guardar el pool:', e);
+        return null;
+    }
+}
+
+/**
+ * Recognise a pasted share link or bare share code
+ * @param {string} text
+ * @returns {object|null} Decoded payload, or null if the text isn't a share code
+ */
+function parseShareText(text) {
+    const trimmed = String(text).trim();
+    if (parsePuzzleString(trimmed)) return null;
+
+    const match = trimmed.match(/[?&]share=([\w-]+)/) || trimmed.match(/^([\w-]+)$/);
+    return match ? decodeSharePayload(match[1]) : null;
+}
+
+/**
+ * Build a share link for the current puzzle
+ * @param {object} [options]
+ * @param {boolean} [options.includeProgress] - Include placed numbers and notes
+ * @param {boolean} [options.includeResult] - Include time and score as a challenge
+ * @returns {string} URL
+ */
+function buildShareLink({ includeProgress = false, includeResult = false } = {}) {
+    const payload = {
+        v: 1,
+        p: encodePuzzleCode(SudokuGame.initial),
+        d: SudokuGame.difficulty
+    };
+    if (SudokuGame.cages) {
+        payload.k = SudokuGame.cages.map(cage => [cage.sum, ...cage.cells]);
+    }
+    if (SudokuGame.variant !== 'classic') {
+        payload.x = SudokuGame.variant;
+    }
+    if (SudokuGame.size !== 9) {
+        payload.z = SudokuGame.size;
+    }
+
+    if (includeResult) {
+        payload.t = SudokuGame.elapsedSeconds;
+        payload.s = SudokuGame.currentScore;
+    }
+
+    if (includeProgress) {
+        payload.b = puzzleToString(SudokuGame.board);
+        if (SudokuGame.notes.some(set => set.size > 0)) {
+            payload.n = SudokuGame.notes.map(set => {
+                let mask = 0;
+                for (const num of set) mask |= 1 << (num - 1);
+                return mask.toString(32).padStart(noteCodeLength(SudokuGame.size), '0');
+            }).join('');
+        }
+    }
+
+    return `${getShareBaseUrl()}?share=${encodeSharePayload(payload)}`;
+}
+
+/**
+ * Start the puzzle from a share payload, restoring shared progress and
+ * the sender's time as a challenge
+ * @param {object} payload - From decodeSharePayload
+ * @returns {boolean} True if the game started
+ */
+function startSharedGame(payload) {
+    const ruleOptions = { variant: payload.variant, cages: payload.cages };
+    const result = preparePuzzleImport(puzzleToString(payload.puzzle), ruleOptions);
+    if (result.error) {
+        showImportError(result.error);
+        return false;
+    }
+
+    const difficulty = payload.difficulty || result.difficulty;
+    showImportError('');
+    closeModal('new-game-modal');
+    beginGame(result.puzzle, result.solution, difficulty, result.analysis, ruleOptions);
+
+    // Shared progress: numbers on non-given cells, then notes
+    const { size } = SudokuGame;
+    if (payload.b) {
+        const progress = parsePuzzleString(payload.b);
+        for (let r = 0; r < size; r++) {
+            for (let c = 0; c < size; c++) {
+                if (SudokuGame.initial[r][c] === 0) SudokuGame.board[r][c] = progress[r][c];
+            }
+        }
+    }
+    if (payload.n) {
+        const chars = noteCodeLength(size);
+        for (let i = 0; i < size * size; i++) {
+            const mask = parseInt(payload.n.slice(i * chars, i * chars + chars), 32);
+            for (let num = 1; num <= size; num++) {
+                if (mask & (1 << (num - 1))) SudokuGame.notes[i].add(num);
+            }
+        }
+    }
+
+    if (Number.isInteger(payload.t) && payload.t > 0) {
+        SudokuGame.challenge = { time: payload.t, score: Number(payload.s) || 0 };
+    }
+
+    console.log(`[DiverSoku] Puzzle compartido: ${getDifficultyLabel(SudokuGame)}` +
+        (SudokuGame.challenge ? `, reto ${formatTime(SudokuGame.challenge.time)}` : ''));
+    updateGameInfo();
+    renderBoard();
+    saveGameState();
+    return true;
+}
+
+/** Fill the export section of the settings modal (Killer and variants only travel as share links) */
+function updateExportDisplay() {
+    const hasGame = SudokuGame.initial.length > 0;
+    const hasString = hasGame && isClassicRules(getGameRules());
+    document.getElementById('export-string').value = hasString ? puzzleToString(SudokuGame.initial) : '';
+    document.getElementById('copy-puzzle-btn').disabled = !hasString;
+    document.getElementById('copy-link-btn').disabled = !hasGame;
+}
+
+/**
+ * Copy text to the clipboard and confirm with a message
+ * @param {string} text
+ * @param {string} message
+ */
+function copyText(text, message) {
+    navigator.clipboard.writeText(text).then(() => {
+        alert(message);
+    }).catch(() => { });
+}
+
+// ============================================
+// Daily Challenge (seeded, same puzzle for everyone)
+// ============================================
+
+/**
+ * Local date as YYYY-MM-DD
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/** Date key of the day before `dateKey` */
+function getPreviousDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return getDateKey(new Date(year, month - 1, day - 1));
+}
+
+/** Generator seed for a day and difficulty */
+function getDailySeed(dateKey, difficulty) {
+    return `daily:${dateKey}:${difficulty}`;
+}
+
+/**
+ * Today's daily puzzles already generated on this device
+ * @returns {object} Map of difficulty to { puzzle, solution, analysis }
+ */
+function loadDailyCache() {
+    const cache = GameStorage.get('daily');
+    return cache && cache.date === getDateKey() ? cache.puzzles : {};
+}
+
+/**
+ * Start today's daily challenge for a difficulty
+ * @param {string} difficulty
+ */
+async function startDailyChallenge(difficulty) {
+    closeModal('new-game-modal');
+    const date = getDateKey();
+    const puzzles = loadDailyCache();
+
+    // Today's challenge already started: carry on with it
+    const saved = loadSlots().games.find(game =>
+        game.daily && game.daily.date === date && game.daily.difficulty === difficulty);
+    if (saved) {
+        resumeSlot(saved.id);
+        return;
+    }
+
+    if (!puzzles[difficulty]) {
+        showLoading(true, `Preparando reto diario (${SudokuGame.difficultyConfig[difficulty].name})...`);
+        await yieldToBrowser();
+        const generated = await generateOnDemand(difficulty, { seed: getDailySeed(date, difficulty) });
+        showLoading(false);
+        if (!generated) return;
+        const { puzzle, solution, analysis } = generated;
+        puzzles[difficulty] = { puzzle, solution, analysis: summarizeAnalysis(analysis) };
+        GameStorage.set('daily', { date, puzzles });
+    }
+
+    console.log(`[DiverSoku] Reto diario ${date} — ${difficulty}`);
+    const { puzzle, solution, analysis } = puzzles[difficulty];
+    beginGame(puzzle, solution, difficulty, analysis);
+    SudokuGame.daily = { date, difficulty };
+    updateGameInfo();
+    saveGameState();
+}
+
+/**
+ * Current daily streak: only alive if the last win was today or yesterday
+ * @returns {number}
+ */
+function getDailyStreak() {
+    const daily = SudokuGame.stats.daily;
+    const today = getDateKey();
+    if (daily.lastDate === today || daily.lastDate === getPreviousDateKey(today)) {
+        return daily.currentStreak;
+    }
+    return 0;
+}
+
+/**
+ * Record a finished daily challenge. The first win of a day extends the streak.
+ * @returns {number} Streak after this win
+ */
+function recordDailyWin() {
+    const daily = SudokuGame.stats.daily;
+    const { date, difficulty } = SudokuGame.daily;
+
+    // An older day's puzzle finished late can't rewrite the streak
+    if (daily.lastDate && date < daily.lastDate) return daily.currentStreak;
+
+    if (daily.lastDate !== date) {
+        daily.currentStreak = daily.lastDate === getPreviousDateKey(date) ? daily.currentStreak + 1 : 1;
+        daily.bestStreak = Math.max(daily.bestStreak, daily.currentStreak);
+        daily.lastDate = date;
+        daily.completed = [];
+    }
+    if (!daily.completed.includes(difficulty)) {
+        daily.completed.push(difficulty);
+        daily.won++;
     }
+    return daily.currentStreak;
+}
+
+/** Refresh the daily challenge section of the new game modal */
+function updateDailyDisplay() {
+    const today = getDateKey();
+    const daily = SudokuGame.stats.daily;
+    const completed = daily.lastDate === today ? daily.completed : [];
+    const streak = getDailyStreak();
+
+    const [year, month, day] = today.split('-');
+    document.getElementById('daily-date').textContent = `${day}/${month}/${year}`;
+    document.getElementById('daily-streak').textContent =
+        streak > 0 ? `🔥 Racha: ${streak} ${streak === 1 ? 'día' : 'días'}` : 'Sin racha activa';
+
+    document.querySelectorAll('.daily-btn').forEach(btn => {
+        btn.classList.toggle('completed', completed.includes(btn.dataset.difficulty));
+    });
+}
+
+// ============================================
+// Save Slots (several games in progress)
+// ============================================
+
+const MAX_SLOTS = 6;
+
+/** Id for a save slot or archive record: time plus a random suffix, so two made in the same millisecond differ */
+function createGameId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Saved games in progress
+ * @returns {{active: ?string, games: Object[]}} active: slot of the game on the board
+ */
+function loadSlots() {
+    return GameStorage.get('slots', { active: null, games: [] });
+}
+
+/** Saved games, most recently played first */
+function getSlotsByRecent() {
+    return [...loadSlots().games].sort((a, b) => b.updated - a.updated);
+}
+
+/** Delete a saved game */
+function removeSlot(id) {
+    const slots = loadSlots();
+    GameStorage.set('slots', {
+        active: slots.active === id ? null : slots.active,
+        games: slots.games.filter(game => game.id !== id)
+    });
+}
+
+/**
+ * Make room for a new game: with every slot taken, the least recently played
+ * game is archived as abandoned (the new game modal warns about it beforehand)
+ */
+function freeSlot() {
+    for (const game of getSlotsByRecent().slice(MAX_SLOTS - 1)) {
+        archiveGame('abandoned', game);
+        removeSlot(game.id);
+        console.log(`[DiverSoku] Partida "${getSlotLabel(game)}" abandonada para liberar espacio.`);
+    }
+}
+
+/** Display name of a saved game */
+function getSlotLabel(game) {
+    if (game.name) return game.name;
+    const name = getDifficultyLabel(game);
+    if (game.pack) return `${name} · ${game.pack.name} #${game.pack.number}`;
+    return game.daily ? `${name} · Diario ${game.daily.date}` : name;
+}
+
+/**
+ * Switch to a saved game; the one on the board is paused in its slot
+ * @param {string} id
+ */
+function resumeSlot(id) {
+    const state = loadSlots().games.find(game => game.id === id);
+    if (!state || !GameStorage.isSavedGame(state)) return; // Board and solution of the wrong size
+
+    if (SudokuGame.isPlaying) {
+        stopTimer();
+        saveGameState();
+    }
+    restoreGameState(state);
+    saveGameState();
+    closeModal('new-game-modal');
+}
+
+/** Ask for a new name for a saved game (empty restores the default label) */
+function renameSlot(id) {
+    const slots = loadSlots();
+    const state = slots.games.find(game => game.id === id);
+    if (!state) return;
+
+    const input = prompt('Nombre de la partida:', getSlotLabel(state));
+    if (input === null) return;
+    const name = input.trim().slice(0, 30) || null;
+
+    if (id === SudokuGame.slotId) SudokuGame.slotName = name;
+    GameStorage.set('slots', {
+        active: slots.active,
+        games: slots.games.map(game => (game.id === id ? { ...game, name } : game))
+    });
+    updateSlotList();
+}
+
+/** Give up a saved game: it goes to the archive as abandoned */
+function abandonSlot(id) {
+    const state = loadSlots().games.find(game => game.id === id);
+    if (!state || !confirm(`¿Abandonar "${getSlotLabel(state)}"? Quedará en el archivo de partidas.`)) return;
+
+    const onBoard = id === SudokuGame.slotId && SudokuGame.isPlaying;
+    if (onBoard) {
+        SudokuGame.isPlaying = false;
+        stopTimer();
+    }
+    archiveGame('abandoned', onBoard ? SudokuGame : state);
+    removeSlot(id);
+    updateSlotList();
+}
+
+/**
+ * Small SVG preview of a saved board: givens dark, player digits in the accent colour
+ * @param {Object} game - Saved game
+ * @returns {string} SVG markup
+ */
+function buildBoardThumbnail(game) {
+    const size = game.board.length;
+    const { boxRows, boxCols } = BOARD_SIZES[size];
+    const cells = [];
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            if (!game.board[row][col]) continue;
+            const type = game.initial[row][col] ? 'given' : 'filled';
+            cells.push(`<rect class="slot-thumb-${type}" x="${col * 10}" y="${row * 10}" width="10" height="10"/>`);
+        }
+    }
+    const end = size * 10;
+    const lines = [];
+    for (let col = boxCols; col < size; col += boxCols) lines.push(`<line x1="${col * 10}" y1="0" x2="${col * 10}" y2="${end}"/>`);
+    for (let row = boxRows; row < size; row += boxRows) lines.push(`<line x1="0" y1="${row * 10}" x2="${end}" y2="${row * 10}"/>`);
+
+    return `<svg class="slot-thumb" viewBox="0 0 ${end} ${end}" aria-hidden="true">${cells.join('')}${lines.join('')}</svg>`;
+}
+
+/** Render the saved games list of the new game modal */
+function updateSlotList() {
+    const games = getSlotsByRecent();
+    const list = document.getElementById('slot-list');
+    document.getElementById('slot-section').hidden = games.length === 0;
+
+    list.innerHTML = games.map(game => {
+        const onBoard = game.id === SudokuGame.slotId && SudokuGame.isPlaying;
+        return `
+            <div class="slot-item${onBoard ? ' current' : ''}">
+                ${buildBoardThumbnail(game)}
+                <div class="slot-info">
+                    <span class="slot-name"></span>
+                    <span class="slot-meta"></span>
+                </div>
+                <div class="slot-actions">
+                    <button class="archive-btn" data-action="resume" data-id="${game.id}"${onBoard ? ' disabled' : ''}>${onBoard ? 'En juego' : 'Reanudar'}</button>
+                    <button class="archive-btn" data-action="rename" data-id="${game.id}" aria-label="Renombrar">✎</button>
+                    <button class="archive-btn" data-action="abandon" data-id="${game.id}" aria-label="Abandonar">✕</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+    // Player-given names and saved numbers go in as text
+    list.querySelectorAll('.slot-name').forEach((element, i) => {
+        element.textContent = getSlotLabel(games[i]);
+    });
+    list.querySelectorAll('.slot-meta').forEach((element, i) => {
+        const game = games[i];
+        const filled = game.board.flat().filter(value => value).length;
+        element.textContent = `${formatTime(game.elapsedSeconds)} · ${filled}/${game.board.length ** 2} · ` +
+            `${(game.currentScore || 0).toLocaleString()} pts`;
+    });
+
+    const oldest = games[games.length - 1];
+    document.getElementById('slot-warning').textContent = games.length >= MAX_SLOTS
+        ? `Tienes ${MAX_SLOTS} partidas guardadas: al empezar otra se abandonará "${getSlotLabel(oldest)}".`
+        : '';
 }
 
 // ============================================
@@ -421,6 +1262,35 @@ function updateScoreDisplay() {
     updateGameInfo();
 }
 
+/**
+ * Difficulty name of a game, marked with its board size, Killer cages and variant
+ * @param {object} game - The game on the board, a saved slot or an archive record
+ * @returns {string}
+ */
+function getDifficultyLabel(game) {
+    // A damaged save with unknown names gets a plainer label rather than an error
+    const parts = [SudokuGame.difficultyConfig[game.difficulty]?.name || 'Partida'];
+    if (game.variant && game.variant !== 'classic') parts.unshift(SudokuGame.variantConfig[game.variant]?.name);
+    if (game.cages) parts.unshift('Killer');
+    if (game.size && game.size !== 9) parts.unshift(SudokuGame.sizeConfig[game.size]?.name);
+    return parts.filter(Boolean).join(' · ');
+}
+
+let gameRulesCache = null;
+
+/**
+ * Rule set of the game on the board (see getRules in sudoku-engine.js)
+ * @returns {object}
+ */
+function getGameRules() {
+    const { size, variant, cages } = SudokuGame;
+    if (!gameRulesCache || gameRulesCache.size !== size || gameRulesCache.variant !== variant ||
+        gameRulesCache.cages !== cages) {
+        gameRulesCache = getRules({ size, variant, cages });
+    }
+    return gameRulesCache;
+}
+
 /**
  * Update the game info bar (Difficulty, Best Time, Best Score)
  */
@@ -430,7 +1300,17 @@ function updateGameInfo() {
     const bestScoreDisplay = document.getElementById('best-score');
 
     if (difficultyDisplay) {
-        difficultyDisplay.textContent = SudokuGame.difficultyConfig[SudokuGame.difficulty].name;
+        const name = getDifficultyLabel(SudokuGame);
+        difficultyDisplay.textContent = SudokuGame.daily ? `${name} · Diario` : SudokuGame.pack
+            ? `${name} · ${SudokuGame.pack.name} #${SudokuGame.pack.number}` : name;
+    }
+
+    const challengeDisplay = document.getElementById('challenge-display');
+    if (challengeDisplay) {
+        challengeDisplay.hidden = !SudokuGame.challenge;
+        if (SudokuGame.challenge) {
+            document.getElementById('challenge-time').textContent = formatTime(SudokuGame.challenge.time);
+        }
     }
 
     if (bestTimeDisplay && bestScoreDisplay) {
@@ -455,70 +1335,168 @@ function updateGameInfo() {
 // ============================================
 
 /**
- * Create the visual board in the DOM with 3x3 box structure
+ * Fill a board element with its boxes and cells, and set the CSS variables
+ * its grid is sized with (--grid-size, --box-rows, --box-cols)
+ * @param {HTMLElement} boardElement
+ * @param {number} size - Board side (see BOARD_SIZES)
+ * @param {function(number, number): HTMLElement} createCell - Builds the cell at (row, col)
  */
-function createBoard() {
-    const boardElement = document.getElementById('sudoku-board');
+function buildBoardGrid(boardElement, size, createCell) {
+    const { boxRows, boxCols } = BOARD_SIZES[size];
     boardElement.innerHTML = '';
+    boardElement.style.setProperty('--grid-size', size);
+    boardElement.style.setProperty('--box-rows', boxRows);
+    boardElement.style.setProperty('--box-cols', boxCols);
 
-    // Create 9 boxes (3x3 grid of boxes)
-    for (let boxIndex = 0; boxIndex < 9; boxIndex++) {
+    // Boxes are laid out boxRows across and boxCols down
+    for (let boxIndex = 0; boxIndex < size; boxIndex++) {
         const box = document.createElement('div');
         box.className = 'sudoku-box';
 
         // Calculate the starting row and column for this box
-        const boxStartRow = Math.floor(boxIndex / 3) * 3;
-        const boxStartCol = (boxIndex % 3) * 3;
+        const boxStartRow = Math.floor(boxIndex / boxRows) * boxRows;
+        const boxStartCol = (boxIndex % boxRows) * boxCols;
 
-        // Create 9 cells within each box
-        for (let cellIndex = 0; cellIndex < 9; cellIndex++) {
-            const row = boxStartRow + Math.floor(cellIndex / 3);
-            const col = boxStartCol + (cellIndex % 3);
+        for (let cellIndex = 0; cellIndex < size; cellIndex++) {
+            const row = boxStartRow + Math.floor(cellIndex / boxCols);
+            const col = boxStartCol + (cellIndex % boxCols);
+            box.appendChild(createCell(row, col));
+        }
 
-            const cell = document.createElement('div');
-            cell.className = 'cell';
-            cell.dataset.row = row;
-            cell.dataset.col = col;
-            cell.tabIndex = 0;
+        boardElement.appendChild(box);
+    }
+}
 
-            // Inner container for value or notes
-            cell.innerHTML = '<div class="cell-value"></div>';
+/**
+ * Create the visual board in the DOM for the current board size, and its number pad
+ */
+function createBoard() {
+    buildBoardGrid(document.getElementById('sudoku-board'), SudokuGame.size, (row, col) => {
+        const cell = document.createElement('div');
+        cell.className = 'cell';
+        cell.dataset.row = row;
+        cell.dataset.col = col;
+        cell.tabIndex = 0;
+
+        // Inner container for value or notes
+        cell.innerHTML = '<div class="cell-value"></div>';
+        return cell;
+    });
+    createNumberPad();
+}
 
-            box.appendChild(cell);
+/**
+ * One button per value of the current board size. The pad shows up to 9 buttons
+ * per row (two rows above that), and box-shaped on narrow screens.
+ */
+function createNumberPad() {
+    const { size } = SudokuGame;
+    const pad = document.getElementById('number-pad');
+    pad.innerHTML = '';
+    for (let num = 1; num <= size; num++) {
+        pad.insertAdjacentHTML('beforeend', `<button class="num-btn" data-number="${num}">${DIGIT_SYMBOLS[num - 1]}</button>`);
+    }
+    pad.style.setProperty('--pad-columns', size > 9 ? size / 2 : size);
+    pad.style.setProperty('--pad-compact-columns', BOARD_SIZES[size].boxCols);
+}
+
+/**
+ * Killer cage outlines: for each caged cell, the sides on the cage's edge, and
+ * the sum in the cage's first cell
+ * @param {?object[]} cages
+ * @returns {?Array<?{sides: string[], sum: ?number}>} 81 entries, null without cages
+ */
+function getCageLayout(cages) {
+    if (!cages) return null;
+    const cageOf = buildCageIndex(cages);
+    const layout = Array(81).fill(null);
+
+    cages.forEach((cage, c) => {
+        const first = Math.min(...cage.cells);
+        for (const i of cage.cells) {
+            const row = Math.floor(i / 9), col = i % 9;
+            const sides = [];
+            if (row === 0 || cageOf[i - 9] !== c) sides.push('top');
+            if (col === 8 || cageOf[i + 1] !== c) sides.push('right');
+            if (row === 8 || cageOf[i + 9] !== c) sides.push('bottom');
+            if (col === 0 || cageOf[i - 1] !== c) sides.push('left');
+            layout[i] = { sides, sum: i === first ? cage.sum : null };
         }
+    });
+    return layout;
+}
 
-        boardElement.appendChild(box);
+/**
+ * Draw a cell's cage outline and sum, once its content is set
+ * @param {HTMLElement} cell - Board or replay cell
+ * @param {?object} entry - The cell's getCageLayout() entry
+ */
+function drawCageCell(cell, entry) {
+    cell.classList.remove('cage', 'cage-top', 'cage-right', 'cage-bottom', 'cage-left');
+    if (!entry) return;
+    cell.classList.add('cage', ...entry.sides.map(side => `cage-${side}`));
+    if (entry.sum !== null) cell.insertAdjacentHTML('afterbegin', `<span class="cage-sum">${entry.sum}</span>`);
+}
+
+/**
+ * Cells of the variant's extra units (diagonals, windows), shaded on the board
+ * @param {object} rules - From getRules()
+ * @returns {Set<number>}
+ */
+function getExtraUnitCells(rules) {
+    return new Set(rules.units.slice(3 * rules.size).flat());
+}
+
+/**
+ * Notes grid of a cell, one slot per value laid out like a box
+ * @param {Iterable<number>} notes - Noted values
+ * @param {number} size - Board side
+ * @returns {string} HTML
+ */
+function buildNotesHtml(notes, size) {
+    const noted = new Set(notes);
+    let html = '<div class="cell-notes">';
+    for (let n = 1; n <= size; n++) {
+        html += `<div class="cell-note">${noted.has(n) ? DIGIT_SYMBOLS[n - 1] : ''}</div>`;
     }
+    return html + '</div>';
 }
 
 /**
  * Render the current board state to the DOM
  */
 function renderBoard() {
+    const { size } = SudokuGame;
+    // A game of another size is on the board: rebuild the grid first
+    if (document.querySelectorAll('.cell').length !== size * size) createBoard();
+
     const cells = document.querySelectorAll('.cell');
     const numberCount = new Map();
+    const cageLayout = getCageLayout(SudokuGame.cages);
+    const extraCells = getExtraUnitCells(getGameRules());
 
     // Count numbers for completed detection
-    for (let i = 1; i <= 9; i++) numberCount.set(i, 0);
+    for (let i = 1; i <= size; i++) numberCount.set(i, 0);
 
     cells.forEach(cell => {
         const row = parseInt(cell.dataset.row);
         const col = parseInt(cell.dataset.col);
+        const index = row * size + col;
         const value = SudokuGame.board[row][col];
         const isFixed = SudokuGame.initial[row][col] !== 0;
-        const notes = SudokuGame.notes[row * 9 + col];
+        const notes = SudokuGame.notes[index];
 
         // Clear previous classes
         cell.classList.remove('fixed', 'user-input', 'conflict', 'wrong');
 
         if (value !== 0) {
             // Show value
-            cell.innerHTML = `<div class="cell-value">${value}</div>`;
+            cell.innerHTML = `<div class="cell-value">${DIGIT_SYMBOLS[value - 1]}</div>`;
             cell.classList.add(isFixed ? 'fixed' : 'user-input');
             numberCount.set(value, (numberCount.get(value) || 0) + 1);
 
             if (!isFixed) {
-                // Check for conflicts (duplicates in row/col/box)
+                // Check for conflicts (duplicates in row/col/box, broken cages)
                 if (SudokuGame.settings.showConflicts && hasConflict(row, col, value)) {
                     cell.classList.add('conflict');
                 }
@@ -530,24 +1508,22 @@ function renderBoard() {
             }
         } else if (notes && notes.size > 0) {
             // Show notes
-            let notesHtml = '<div class="cell-notes">';
-            for (let n = 1; n <= 9; n++) {
-                notesHtml += `<div class="cell-note">${notes.has(n) ? n : ''}</div>`;
-            }
-            notesHtml += '</div>';
-            cell.innerHTML = notesHtml;
+            cell.innerHTML = buildNotesHtml(notes, size);
         } else {
             cell.innerHTML = '<div class="cell-value"></div>';
         }
+        drawCageCell(cell, cageLayout && cageLayout[index]);
+        cell.classList.toggle('extra-unit', extraCells.has(index));
     });
 
     // Update number pad completed state
     document.querySelectorAll('.num-btn').forEach(btn => {
         const num = parseInt(btn.dataset.number);
-        btn.classList.toggle('completed', numberCount.get(num) >= 9);
+        btn.classList.toggle('completed', numberCount.get(num) >= size);
     });
 
     updateHighlights();
+    renderHistoryTimeline();
 }
 
 /**
@@ -558,26 +1534,34 @@ function renderBoard() {
  * @returns {boolean} True if there's a conflict
  */
 function hasConflict(row, col, num) {
-    // Check row
-    for (let c = 0; c < 9; c++) {
-        if (c !== col && SudokuGame.board[row][c] === num) return true;
+    const { size, peers } = getGameRules();
+    // Row, column, box and the variant's extra constraints
+    for (const peer of peers[row * size + col]) {
+        if (SudokuGame.board[Math.floor(peer / size)][peer % size] === num) return true;
     }
 
-    // Check column
-    for (let r = 0; r < 9; r++) {
-        if (r !== row && SudokuGame.board[r][col] === num) return true;
-    }
+    return hasCageConflict(row * size + col, num);
+}
 
-    // Check 3x3 box
-    const boxRow = Math.floor(row / 3) * 3;
-    const boxCol = Math.floor(col / 3) * 3;
-    for (let r = boxRow; r < boxRow + 3; r++) {
-        for (let c = boxCol; c < boxCol + 3; c++) {
-            if ((r !== row || c !== col) && SudokuGame.board[r][c] === num) return true;
-        }
+/**
+ * Killer rules for a placed number: no repeats inside its cage, the cage sum
+ * can't be exceeded, and a full cage must add up exactly
+ * @param {number} index - Flat cell index
+ * @param {number} num - Number in the cell
+ * @returns {boolean} True if the cage is broken
+ */
+function hasCageConflict(index, num) {
+    const cage = SudokuGame.cages && SudokuGame.cages.find(c => c.cells.includes(index));
+    if (!cage) return false;
+
+    let sum = 0, full = true;
+    for (const i of cage.cells) {
+        const value = i === index ? num : SudokuGame.board[Math.floor(i / 9)][i % 9];
+        if (i !== index && value === num) return true;
+        if (value === 0) full = false;
+        sum += value;
     }
-
-    return false;
+    return sum > cage.sum || (full && sum !== cage.sum);
 }
 
 /**
@@ -590,12 +1574,15 @@ function updateHighlights() {
         cell.classList.remove('selected', 'highlighted', 'same-number');
     });
 
-    if (!SudokuGame.selectedCell) return;
+    if (!SudokuGame.selectedCell) {
+        updateHintHighlights(cells);
+        return;
+    }
 
     const [selRow, selCol] = SudokuGame.selectedCell;
     const selectedValue = SudokuGame.board[selRow][selCol];
-    const boxRow = Math.floor(selRow / 3) * 3;
-    const boxCol = Math.floor(selCol / 3) * 3;
+    const { size, cellCount, sees } = getGameRules();
+    const selIndex = selRow * size + selCol;
 
     cells.forEach(cell => {
         const row = parseInt(cell.dataset.row);
@@ -607,19 +1594,60 @@ function updateHighlights() {
             cell.classList.add('same-number');
         }
 
-        // Highlight row, column, and box
-        if (SudokuGame.settings.highlightArea) {
-            if (row === selRow || col === selCol ||
-                (row >= boxRow && row < boxRow + 3 && col >= boxCol && col < boxCol + 3)) {
-                cell.classList.add('highlighted');
-            }
-        }
+        // Highlight the cells the selection sees (row, column, box and variant constraints)
+        if (SudokuGame.settings.highlightArea && sees[selIndex * cellCount + row * size + col]) {
+            cell.classList.add('highlighted');
+        }
+
+        // Selected cell
+        if (row === selRow && col === selCol) {
+            cell.classList.add('selected');
+            cell.classList.remove('highlighted');
+        }
+    });
+
+    updateHintHighlights(cells);
+}
+
+/**
+ * Highlight the cells of the active hint according to its stage
+ * @param {NodeList} cells - Board cell elements
+ */
+function updateHintHighlights(cells) {
+    cells.forEach(cell => {
+        cell.classList.remove('hint-area', 'hint-cell', 'hint-target');
+    });
+
+    const hint = getActiveHint();
+    if (!hint) {
+        // Position changed (or game over): the staged hint no longer applies
+        document.getElementById('hint-panel')?.classList.remove('active');
+        return;
+    }
+    if (hint.stage < 2) return;
+
+    const { step } = hint;
+    const area = new Set();
+    if (step.units.length > 0) {
+        step.units.forEach(unit => unitCells(unit).forEach(i => area.add(i)));
+    } else if (step.cells.length === 1) {
+        // Single cell: its row, column, box and extra units
+        const rules = getGameRules();
+        rules.cellUnits[step.cells[0]].forEach(u => rules.units[u].forEach(i => area.add(i)));
+    } else {
+        step.cells.forEach(i => area.add(i));
+    }
+
+    const pattern = new Set(hint.stage >= 3 ? step.cells : []);
+    const targets = new Set(hint.stage >= 3
+        ? [...step.placements, ...step.eliminations].map(change => change.cell)
+        : []);
 
-        // Selected cell
-        if (row === selRow && col === selCol) {
-            cell.classList.add('selected');
-            cell.classList.remove('highlighted');
-        }
+    cells.forEach(cell => {
+        const index = parseInt(cell.dataset.row) * SudokuGame.size + parseInt(cell.dataset.col);
+        if (targets.has(index)) cell.classList.add('hint-target');
+        else if (pattern.has(index)) cell.classList.add('hint-cell');
+        else if (area.has(index)) cell.classList.add('hint-area');
     });
 }
 
@@ -630,29 +1658,97 @@ function updateHighlights() {
 /**
  * Start a new game with the given difficulty (async with loading indicator)
  * @param {string} difficulty - Difficulty level
+ * @param {string} [variant='classic'] - Rule set (see VARIANTS); only classic puzzles are pooled
+ * @param {number} [size=9] - Board side (see BOARD_SIZES); only 9x9 puzzles are pooled
  */
-async function startNewGame(difficulty) {
-    SudokuGame.difficulty = difficulty;
+async function startNewGame(difficulty, variant = 'classic', size = 9) {
     closeModal('new-game-modal');
 
-    // Check if pool has a puzzle ready (instant!) or needs generation
+    if (variant !== 'classic' || size !== 9) {
+        showLoading(true, `Generando puzzle (${getDifficultyLabel({ difficulty, variant, size })})...`);
+        await yieldToBrowser();
+
+        const generated = await generateOnDemand(difficulty, { variant, size });
+
+        showLoading(false);
+        if (generated) beginGame(generated.puzzle, generated.solution, difficulty, generated.analysis, { variant });
+        return;
+    }
+
+    // Check if pool or packs have a puzzle ready (instant!) or it needs generation
     const hasPooled = puzzlePool[difficulty] && puzzlePool[difficulty].length > 0;
 
-    if (!hasPooled) {
+    if (!hasPooled && !puzzlePacks.some(pack => nextPackPuzzle(pack, difficulty) !== -1)) {
         const diffName = SudokuGame.difficultyConfig[difficulty].name;
         showLoading(true, `Generando puzzle (${diffName})...`);
         await yieldToBrowser();
     }
 
-    const { puzzle, solution } = await generatePuzzle(difficulty);
+    const generated = await generatePuzzle(difficulty);
+
+    showLoading(false);
+    if (!generated) return; // Cancelled: the current game carries on
+
+    beginGame(generated.puzzle, generated.solution, difficulty, generated.analysis);
+    if (generated.pack) {
+        SudokuGame.pack = generated.pack;
+        updateGameInfo();
+        saveGameState();
+    }
+}
+
+/**
+ * Start a new Killer Sudoku. Not pooled: generated on demand (see generateOnDemand).
+ * @param {string} difficulty - Difficulty level
+ * @param {string} [variant='classic'] - Rule set the cages are added to (see VARIANTS)
+ */
+async function startKillerGame(difficulty, variant = 'classic') {
+    closeModal('new-game-modal');
+    showLoading(true, `Generando Killer (${getDifficultyLabel({ difficulty, variant })})...`);
+    await yieldToBrowser();
+
+    const generated = await generateOnDemand(difficulty, { killer: true, variant });
 
     showLoading(false);
+    if (!generated) return;
+    const { puzzle, solution, analysis, cages } = generated;
+    console.log(`[DiverSoku] Killer ${difficulty} (${variant}): ${cages.length} jaulas, rating ${analysis.rating}`);
+    beginGame(puzzle, solution, difficulty, analysis, { variant, cages });
+}
+
+/**
+ * Reset the game state and start playing the given puzzle. The board size is the puzzle's.
+ * @param {number[][]} puzzle - Initial board (0 = empty)
+ * @param {number[][]} solution - Complete solution
+ * @param {string} difficulty - Difficulty key (stats bucket)
+ * @param {object} [analysis] - Logic solver analysis (computed here if missing)
+ * @param {object} [ruleOptions] - { variant, cages } (see getRules); classic Sudoku by default
+ */
+function beginGame(puzzle, solution, difficulty, analysis, ruleOptions = {}) {
+    // A game still in progress is paused in its slot
+    if (SudokuGame.isPlaying) {
+        stopTimer();
+        saveGameState();
+    }
+    freeSlot();
 
+    SudokuGame.slotId = createGameId();
+    SudokuGame.slotName = null;
+    SudokuGame.difficulty = difficulty;
+    SudokuGame.size = puzzle.length;
+    SudokuGame.cages = ruleOptions.cages || null;
+    SudokuGame.variant = ruleOptions.variant || 'classic';
+    SudokuGame.analysis = summarizeAnalysis(analysis || solvePuzzleWithLogic(puzzle, { rules: getGameRules() }));
     SudokuGame.board = puzzle.map(row => [...row]);
     SudokuGame.solution = solution;
     SudokuGame.initial = puzzle.map(row => [...row]);
-    SudokuGame.notes = Array(81).fill(null).map(() => new Set());
-    SudokuGame.history = [];
+    SudokuGame.notes = Array(puzzle.length ** 2).fill(null).map(() => new Set());
+    SudokuGame.history = createHistory();
+    SudokuGame.moveLog = [];
+    SudokuGame.hint = null;
+    SudokuGame.challenge = null;
+    SudokuGame.daily = null;
+    SudokuGame.pack = null;
     SudokuGame.selectedCell = null;
     SudokuGame.pencilMode = false;
     SudokuGame.elapsedSeconds = 0;
@@ -679,7 +1775,7 @@ async function startNewGame(difficulty) {
 
 /**
  * Place a number in the selected cell
- * @param {number} num - Number to place (1-9)
+ * @param {number} num - Number to place (1 to the board size)
  */
 function placeNumber(num) {
     if (!SudokuGame.selectedCell || !SudokuGame.isPlaying) return;
@@ -689,14 +1785,13 @@ function placeNumber(num) {
     // Can't modify fixed cells
     if (SudokuGame.initial[row][col] !== 0) return;
 
+    const before = captureBoardState();
+
     if (SudokuGame.pencilMode) {
         // Toggle note
-        const noteIndex = row * 9 + col;
+        const noteIndex = row * SudokuGame.size + col;
         const notes = SudokuGame.notes[noteIndex];
 
-        // Save history
-        saveHistory(row, col, 0, new Set(notes));
-
         if (notes.has(num)) {
             notes.delete(num);
         } else {
@@ -707,19 +1802,17 @@ function placeNumber(num) {
         if (SudokuGame.board[row][col] !== 0) {
             SudokuGame.board[row][col] = 0;
         }
+
+        saveHistory(before, 'note');
     } else {
         const oldValue = SudokuGame.board[row][col];
-        const oldNotes = new Set(SudokuGame.notes[row * 9 + col]);
-
-        // Save history
-        saveHistory(row, col, oldValue, oldNotes);
 
         // Check if correct before placing
         const isCorrect = SudokuGame.solution[row][col] === num;
 
         // Place number
         SudokuGame.board[row][col] = num;
-        SudokuGame.notes[row * 9 + col].clear();
+        SudokuGame.notes[row * SudokuGame.size + col].clear();
 
         // Award or deduct points
         if (oldValue === 0) { // Only score new placements
@@ -729,10 +1822,11 @@ function placeNumber(num) {
 
         // Auto-remove notes in related cells
         if (SudokuGame.settings.autoRemoveNotes) {
-            const removed = removeRelatedNotes(row, col, num);
-            SudokuGame.history[SudokuGame.history.length - 1].removedNotes = removed;
+            removeRelatedNotes(row, col, num);
         }
 
+        saveHistory(before, 'place');
+
         // Check for victory
         if (checkVictory()) {
             handleVictory();
@@ -754,24 +1848,19 @@ function eraseCell() {
     // Can't modify fixed cells
     if (SudokuGame.initial[row][col] !== 0) return;
 
-    const noteIndex = row * 9 + col;
-    const oldValue = SudokuGame.board[row][col];
-    const oldNotes = new Set(SudokuGame.notes[noteIndex]);
-
-    // Save history
-    if (oldValue !== 0 || oldNotes.size > 0) {
-        saveHistory(row, col, oldValue, oldNotes);
-    }
+    const before = captureBoardState();
 
     SudokuGame.board[row][col] = 0;
-    SudokuGame.notes[noteIndex].clear();
+    SudokuGame.notes[row * SudokuGame.size + col].clear();
+
+    saveHistory(before, 'erase');
 
     renderBoard();
     saveGameState();
 }
 
 /**
- * Remove notes of a number from related cells (row, column, box)
+ * Remove notes of a number from related cells (row, column, box and variant constraints)
  * @param {number} row - Row index
  * @param {number} col - Column index
  * @param {number} num - Number to remove from notes
@@ -779,58 +1868,134 @@ function eraseCell() {
 function removeRelatedNotes(row, col, num) {
     const removedNotes = [];
 
-    // Row
-    for (let c = 0; c < 9; c++) {
-        const idx = row * 9 + c;
+    for (const idx of getGameRules().peers[row * SudokuGame.size + col]) {
         if (SudokuGame.notes[idx].has(num)) {
             SudokuGame.notes[idx].delete(num);
             removedNotes.push({ index: idx, num });
         }
     }
 
-    // Column
-    for (let r = 0; r < 9; r++) {
-        const idx = r * 9 + col;
-        if (SudokuGame.notes[idx].has(num)) {
-            SudokuGame.notes[idx].delete(num);
-            removedNotes.push({ index: idx, num });
+    return removedNotes;
+}
+
+// ============================================
+// Move History (undo / redo tree)
+// ============================================
+
+/**
+ * Empty history tree. Node 0 is the starting position; every other node stores
+ * the cells its move changed ({ index, from, to } with value and notes), so any
+ * node can be reached by undoing up to a common ancestor and redoing down.
+ * `next` is the child redo follows (the most recently visited branch).
+ * @returns {{nodes: object[], current: number}}
+ */
+function createHistory() {
+    return { nodes: [{ parent: null, changes: [], next: null, time: 0 }], current: 0 };
+}
+
+/** True if a saved value looks like a history tree (old saves stored a flat undo list) */
+function isHistoryTree(history) {
+    return !!history && Array.isArray(history.nodes) && history.nodes.length > 0 &&
+        Number.isInteger(history.current) && history.current < history.nodes.length;
+}
+
+/**
+ * Copy of the board and notes, to diff against after a move
+ * @returns {{board: number[], notes: number[][]}}
+ */
+function captureBoardState() {
+    return {
+        board: SudokuGame.board.flat(),
+        notes: SudokuGame.notes.map(set => [...set].sort())
+    };
+}
+
+/**
+ * Cells that differ from a captured state
+ * @param {object} before - From captureBoardState()
+ * @returns {object[]} Changes as { index, from, to } with value and notes
+ */
+function diffBoardState(before) {
+    const { size } = SudokuGame;
+    const changes = [];
+    for (let index = 0; index < size * size; index++) {
+        const value = SudokuGame.board[Math.floor(index / size)][index % size];
+        const notes = [...SudokuGame.notes[index]].sort();
+        if (value !== before.board[index] || notes.join() !== before.notes[index].join()) {
+            changes.push({
+                index,
+                from: { value: before.board[index], notes: before.notes[index] },
+                to: { value, notes }
+            });
         }
     }
+    return changes;
+}
 
-    // Box
-    const boxRow = Math.floor(row / 3) * 3;
-    const boxCol = Math.floor(col / 3) * 3;
-    for (let r = boxRow; r < boxRow + 3; r++) {
-        for (let c = boxCol; c < boxCol + 3; c++) {
-            const idx = r * 9 + c;
-            if (SudokuGame.notes[idx].has(num)) {
-                SudokuGame.notes[idx].delete(num);
-                removedNotes.push({ index: idx, num });
-            }
-        }
+/**
+ * Record the changes made since `before` as a new move after the current node.
+ * Moves that change nothing are not recorded.
+ * @param {object} before - From captureBoardState()
+ * @param {string} type - Move type for the move log (see MOVE_LABELS)
+ * @returns {boolean} True if a move was recorded
+ */
+function saveHistory(before, type) {
+    const changes = diffBoardState(before);
+    if (changes.length === 0) return false;
+    logMove(type, changes);
+
+    const history = SudokuGame.history;
+    history.nodes.push({ parent: history.current, changes, next: null, time: SudokuGame.elapsedSeconds });
+    history.nodes[history.current].next = history.nodes.length - 1;
+    history.current = history.nodes.length - 1;
+    return true;
+}
+
+/**
+ * Set the cells of a move to one side of its changes
+ * @param {object[]} changes - Node changes
+ * @param {string} side - 'from' (undo) or 'to' (redo)
+ */
+function applyHistoryChanges(changes, side) {
+    const { size } = SudokuGame;
+    for (const change of changes) {
+        const { value, notes } = change[side];
+        SudokuGame.board[Math.floor(change.index / size)][change.index % size] = value;
+        SudokuGame.notes[change.index] = new Set(notes);
     }
+    const first = changes[0].index;
+    SudokuGame.selectedCell = [Math.floor(first / size), first % size];
+}
 
-    return removedNotes;
+/** Undo the current node without refreshing the UI */
+function stepBack() {
+    const history = SudokuGame.history;
+    const node = history.nodes[history.current];
+    applyHistoryChanges(node.changes, 'from');
+    history.nodes[node.parent].next = history.current;
+    history.current = node.parent;
+}
+
+/** Redo into a child of the current node without refreshing the UI */
+function stepForward(child) {
+    const history = SudokuGame.history;
+    history.nodes[history.current].next = child;
+    applyHistoryChanges(history.nodes[child].changes, 'to');
+    history.current = child;
 }
 
 /**
- * Save action to history for undo
- * @param {number} row - Row index
- * @param {number} col - Column index
- * @param {number} value - Previous value
- * @param {Set} notes - Previous notes
+ * Log and refresh after moving through history (a redo can complete the board)
+ * @param {object} before - From captureBoardState()
+ * @param {string} type - 'undo', 'redo' or 'jump'
  */
-function saveHistory(row, col, value, notes) {
-    SudokuGame.history.push({
-        row,
-        col,
-        value,
-        notes: new Set(notes)
-    });
+function finishHistoryMove(before, type) {
+    logMove(type, diffBoardState(before));
+    renderBoard();
+    saveGameState();
 
-    // Limit history size
-    if (SudokuGame.history.length > 100) {
-        SudokuGame.history.shift();
+    if (checkVictory()) {
+        handleVictory();
     }
 }
 
@@ -838,72 +2003,639 @@ function saveHistory(row, col, value, notes) {
  * Undo the last action
  */
 function undo() {
-    if (SudokuGame.history.length === 0 || !SudokuGame.isPlaying) return;
+    if (!SudokuGame.isPlaying || SudokuGame.history.current === 0) return;
+    const before = captureBoardState();
+    stepBack();
+    finishHistoryMove(before, 'undo');
+}
+
+/**
+ * Redo the last undone action (on the most recently visited branch)
+ */
+function redo() {
+    if (!SudokuGame.isPlaying) return;
+    const history = SudokuGame.history;
+    const next = history.nodes[history.current].next;
+    if (next === null) return;
+    const before = captureBoardState();
+    stepForward(next);
+    finishHistoryMove(before, 'redo');
+}
+
+/**
+ * Jump to any node of the history tree, on any branch
+ * @param {number} target - Node id
+ */
+function jumpToHistoryNode(target) {
+    const history = SudokuGame.history;
+    if (!SudokuGame.isPlaying || target === history.current || !history.nodes[target]) return;
+
+    const before = captureBoardState();
+
+    // Path from the target up to the root
+    const path = [];
+    for (let id = target; id !== null; id = history.nodes[id].parent) path.push(id);
+
+    // Undo up to the closest common ancestor, then redo down to the target
+    while (!path.includes(history.current)) stepBack();
+    for (let k = path.indexOf(history.current) - 1; k >= 0; k--) stepForward(path[k]);
+
+    finishHistoryMove(before, 'jump');
+}
+
+/**
+ * Nodes of the branch being shown: root to current, then following `next`
+ * @returns {number[]} Node ids
+ */
+function getHistoryLine() {
+    const { nodes, current } = SudokuGame.history;
+    const line = [];
+    for (let id = current; id !== null; id = nodes[id].parent) line.unshift(id);
+    for (let id = nodes[current].next; id !== null; id = nodes[id].next) line.push(id);
+    return line;
+}
+
+/**
+ * Short description of a move for the timeline
+ * @param {number} id - Node id
+ * @returns {string}
+ */
+function describeHistoryNode(id) {
+    if (id === 0) return 'Inicio';
+    const { changes } = SudokuGame.history.nodes[id];
+    const placed = changes.filter(change => change.from.value !== change.to.value);
+
+    if (placed.length === 1) {
+        const { index, to } = placed[0];
+        return to.value !== 0 ? `${cellLabel(index)} = ${to.value}` : `Borrar ${cellLabel(index)}`;
+    }
+    if (placed.length > 1) return `${placed.length} números`;
+    return changes.length === 1 ? `Notas ${cellLabel(changes[0].index)}` : `Notas (${changes.length} celdas)`;
+}
+
+/** Update the undo/redo buttons, timeline slider and branch picker */
+function renderHistoryTimeline() {
+    const history = SudokuGame.history;
+    if (!history) return;
+
+    const line = getHistoryLine();
+    const position = line.indexOf(history.current);
+
+    document.getElementById('undo-btn').disabled = history.current === 0;
+    document.getElementById('redo-btn').disabled = history.nodes[history.current].next === null;
+
+    const slider = document.getElementById('history-slider');
+    slider.max = line.length - 1;
+    slider.value = position;
+    slider.disabled = line.length < 2;
+    document.getElementById('history-label').textContent =
+        `${position}/${line.length - 1} · ${describeHistoryNode(history.current)}`;
+
+    // Alternative branches starting at the current position
+    const branchSelect = document.getElementById('history-branch');
+    const children = [];
+    history.nodes.forEach((node, id) => {
+        if (node.parent === history.current) children.push(id);
+    });
+    branchSelect.hidden = children.length < 2;
+    if (children.length >= 2) {
+        branchSelect.innerHTML = children.map((id, i) =>
+            `<option value="${id}">Rama ${i + 1}: ${describeHistoryNode(id)}</option>`
+        ).join('');
+        branchSelect.value = history.nodes[history.current].next;
+    }
+}
+
+// ============================================
+// Move Log & Replay
+// ============================================
+
+/** Names of move log entry types */
+const MOVE_LABELS = {
+    place: 'Número',
+    note: 'Nota',
+    erase: 'Borrar',
+    hint: 'Pista',
+    auto: 'Notas automáticas',
+    undo: 'Deshacer',
+    redo: 'Rehacer',
+    jump: 'Historial'
+};
+
+/** Completed games keep their move log only for the most recent ones */
+const REPLAY_LIMIT = 200;
+
+/** Milliseconds per move at 1x replay speed */
+const REPLAY_STEP_MS = 700;
+
+/** Replay viewer state */
+const replayState = { game: null, position: 0, timer: null, speed: 1 };
+
+/**
+ * Append a move to the log. Entries store the resulting cells, so a game can be
+ * replayed from its initial board: { t: game seconds, type, cells: [{ index, value, notes }] }
+ * @param {string} type - Key of MOVE_LABELS
+ * @param {object[]} changes - From diffBoardState()
+ */
+function logMove(type, changes) {
+    if (changes.length === 0) return;
+    SudokuGame.moveLog.push({
+        t: SudokuGame.elapsedSeconds,
+        type,
+        cells: changes.map(({ index, to }) => ({ index, value: to.value, notes: to.notes }))
+    });
+}
+
+/**
+ * Keep the fields of a solver analysis worth storing
+ * @param {object} analysis - From solvePuzzleWithLogic()
+ * @returns {{solved: boolean, rating: number, maxLevel: number, techniquesUsed: string[]}}
+ */
+function summarizeAnalysis(analysis) {
+    return {
+        solved: analysis.solved,
+        rating: analysis.rating,
+        maxLevel: analysis.maxLevel,
+        techniquesUsed: analysis.techniquesUsed
+    };
+}
+
+/** Finished and abandoned games, oldest first */
+function loadArchive() {
+    return GameStorage.get('archive', []);
+}
+
+/**
+ * Store a game with its move log
+ * @param {string} result - 'won' or 'abandoned'
+ * @param {object} [source] - The game on the board, or a saved slot (same field names)
+ * @returns {object} The stored game record
+ */
+function archiveGame(result, source = SudokuGame) {
+    const archive = loadArchive();
+    const analysis = source.analysis || {};
+    const game = {
+        id: createGameId(),
+        date: new Date().toISOString(),
+        difficulty: source.difficulty,
+        puzzle: puzzleToString(source.initial),
+        solution: puzzleToString(source.solution),
+        cages: source.cages || null,
+        variant: source.variant || 'classic',
+        size: source.initial.length,
+        techniques: analysis.techniquesUsed || [],
+        rating: analysis.rating || null,
+        daily: source.daily ? source.daily.date : null,
+        result,
+        time: source.elapsedSeconds,
+        score: source.currentScore || 0,
+        mistakes: source.mistakesMade || 0,
+        hints: source.hintsUsed || 0,
+        moves: source.moveLog || []
+    };
+    archive.push(game);
+    trimReplays(archive);
+
+    GameStorage.set('archive', archive);
+    return game;
+}
+
+/**
+ * Move logs are the bulk of the data: keep them only for the newest games
+ * @param {Object[]} archive - Oldest first; modified in place
+ */
+function trimReplays(archive) {
+    for (let i = 0; i < archive.length - REPLAY_LIMIT; i++) delete archive[i].moves;
+}
 
-    const action = SudokuGame.history.pop();
-    const { row, col, value, notes, removedNotes } = action;
+/**
+ * Build the replay board cells (same box layout as the main board)
+ * @param {number} size - Board side of the replayed game
+ */
+function createReplayBoard(size) {
+    const boardElement = document.getElementById('replay-board');
+    if (boardElement.children.length === size) return; // Already built (one box per value)
+
+    buildBoardGrid(boardElement, size, (row, col) => {
+        const cell = document.createElement('div');
+        cell.className = 'replay-cell';
+        cell.dataset.index = row * size + col;
+        return cell;
+    });
+}
 
-    SudokuGame.board[row][col] = value;
-    SudokuGame.notes[row * 9 + col] = new Set(notes);
+/**
+ * Open the replay viewer for an archived game
+ * @param {object} game - Record from archiveGame()
+ */
+function openReplay(game) {
+    if (!game || !game.moves) return;
+    pauseReplay();
+    replayState.game = game;
+    replayState.position = 0;
+
+    createReplayBoard(Math.sqrt(game.puzzle.length));
+    const slider = document.getElementById('replay-slider');
+    slider.max = game.moves.length;
+    document.getElementById('replay-info').textContent =
+        `${getDifficultyLabel(game)} · ${formatTime(game.time)} · ` +
+        `${new Date(game.date).toLocaleDateString()}`;
+
+    renderReplay();
+    openModal('replay-modal');
+}
 
-    // Restore notes that were auto-removed from related cells
-    if (removedNotes) {
-        for (const { index, num } of removedNotes) {
-            SudokuGame.notes[index].add(num);
+/** Draw the board after the first `position` moves */
+function renderReplay() {
+    const { game, position } = replayState;
+    const initialBoard = parsePuzzleString(game.puzzle);
+    const size = initialBoard.length;
+    const initial = initialBoard.flat();
+    const values = [...initial];
+    const notes = Array(size * size).fill(null).map(() => []);
+
+    for (let m = 0; m < position; m++) {
+        for (const cell of game.moves[m].cells) {
+            values[cell.index] = cell.value;
+            notes[cell.index] = cell.notes;
         }
     }
 
-    SudokuGame.selectedCell = [row, col];
+    const lastMove = position > 0 ? game.moves[position - 1] : null;
+    const changed = new Set(lastMove ? lastMove.cells.map(cell => cell.index) : []);
+    const cageLayout = getCageLayout(game.cages || null);
+    const extraCells = getExtraUnitCells(getRules({ size, variant: game.variant }));
 
-    renderBoard();
-    saveGameState();
+    document.querySelectorAll('.replay-cell').forEach(cell => {
+        const index = parseInt(cell.dataset.index);
+        cell.classList.toggle('fixed', initial[index] !== 0);
+        cell.classList.toggle('changed', changed.has(index));
+
+        if (values[index] !== 0) {
+            cell.innerHTML = `<div class="cell-value">${DIGIT_SYMBOLS[values[index] - 1]}</div>`;
+        } else if (notes[index].length > 0) {
+            cell.innerHTML = buildNotesHtml(notes[index], size);
+        } else {
+            cell.innerHTML = '';
+        }
+        drawCageCell(cell, cageLayout && cageLayout[index]);
+        cell.classList.toggle('extra-unit', extraCells.has(index));
+    });
+
+    document.getElementById('replay-slider').value = position;
+    document.getElementById('replay-move').textContent = lastMove
+        ? `${position}/${game.moves.length} · ${formatTime(lastMove.t)} · ${describeMove(lastMove)}`
+        : `0/${game.moves.length} · Inicio`;
+}
+
+/**
+ * Short description of a move log entry
+ * @param {object} move
+ * @returns {string}
+ */
+function describeMove(move) {
+    const label = MOVE_LABELS[move.type] || move.type;
+    if (move.cells.length > 1) return `${label} (${move.cells.length} celdas)`;
+
+    const { index, value } = move.cells[0];
+    return move.type === 'place' || (move.type === 'hint' && value !== 0)
+        ? `${label}: ${cellLabel(index)} = ${value}`
+        : `${label}: ${cellLabel(index)}`;
+}
+
+/** Advance one move; stops at the end or when the viewer is closed */
+function stepReplay() {
+    const { game } = replayState;
+    const isOpen = document.getElementById('replay-modal').classList.contains('active');
+    if (!isOpen || replayState.position >= game.moves.length) {
+        pauseReplay();
+        return;
+    }
+    replayState.position++;
+    renderReplay();
+}
+
+/** Start (or restart at the current speed) automatic playback */
+function playReplay() {
+    pauseReplay();
+    if (replayState.position >= replayState.game.moves.length) replayState.position = 0;
+    replayState.timer = setInterval(stepReplay, REPLAY_STEP_MS / replayState.speed);
+    document.getElementById('replay-play-btn').textContent = '⏸';
+}
+
+/** Stop automatic playback */
+function pauseReplay() {
+    clearInterval(replayState.timer);
+    replayState.timer = null;
+    document.getElementById('replay-play-btn').textContent = '▶';
+}
+
+/**
+ * Play an archived puzzle again from the start
+ * @param {object} game - Archive record
+ */
+function replayPuzzle(game) {
+    closeModal('settings-modal');
+    beginGame(parsePuzzleString(game.puzzle), parsePuzzleString(game.solution), game.difficulty, {
+        solved: true,
+        rating: game.rating,
+        maxLevel: null,
+        techniquesUsed: game.techniques
+    }, { variant: game.variant, cages: game.cages || null });
+}
+
+/** Render the archive list in the stats section, newest first */
+function updateArchiveList() {
+    const list = document.getElementById('archive-list');
+    const filter = document.getElementById('stats-filter').value;
+    const games = loadArchive()
+        .filter(game => filter === 'all' || game.difficulty === filter)
+        .reverse();
+
+    if (games.length === 0) {
+        list.innerHTML = '<p class="archive-empty">Aún no hay partidas en el archivo.</p>';
+        return;
+    }
+
+    list.innerHTML = games.map(game => {
+        const won = game.result === 'won';
+        const techniques = game.techniques.length > 0 ? game.techniques.join(', ') : '-';
+        return `
+            <div class="archive-item">
+                <div class="archive-summary">
+                    <span class="archive-result ${won ? 'won' : 'abandoned'}">${won ? 'Ganada' : 'Abandonada'}</span>
+                    <span>${getDifficultyLabel(game)}${game.daily ? ' · Diario' : ''}</span>
+                    <span class="archive-date">${new Date(game.date).toLocaleDateString()}</span>
+                </div>
+                <div class="archive-details">
+                    ⏱️ ${formatTime(game.time)} · ⭐ ${game.score.toLocaleString()} ·
+                    💡 ${game.hints} · ❌ ${game.mistakes}
+                </div>
+                <div class="archive-techniques">${techniques}</div>
+                <div class="archive-actions">
+                    ${game.moves ? `<button class="archive-btn" data-action="replay" data-id="${game.id}">Repetición</button>` : ''}
+                    <button class="archive-btn" data-action="play" data-id="${game.id}">Jugar de nuevo</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// ============================================
+// Logical Hints (staged)
+// ============================================
+
+/** Short nudge per technique, shown before anything is highlighted */
+const HINT_NUDGES = {
+    'Naked Single': 'Hay una celda en la que solo cabe un número.',
+    'Hidden Single': 'Hay un número que solo tiene un hueco posible en una fila, columna o caja.',
+    'Naked Pair': 'Busca dos celdas de la misma unidad con los mismos dos candidatos.',
+    'Naked Triple': 'Busca tres celdas de la misma unidad que solo compartan tres candidatos.',
+    'Hidden Pair': 'Dos números solo pueden ir en las mismas dos celdas de una unidad.',
+    'Pointing Pair': 'Dentro de una caja, un candidato queda alineado en una sola fila o columna.',
+    'X-Wing': 'Un candidato aparece solo dos veces en dos filas (o columnas), en las mismas posiciones.',
+    'Unique Rectangle': 'Cuidado con los rectángulos que darían dos soluciones.',
+    'Skyscraper': 'Un candidato aparece solo dos veces en dos filas (o columnas) y comparten una de las posiciones.',
+    '2-String Kite': 'Un candidato aparece solo dos veces en una fila y en una columna, y un extremo de cada una cae en la misma caja.',
+    'Empty Rectangle': 'En una caja, un candidato solo está en una fila y una columna que se cruzan; combínalo con una pareja fuera de la caja.',
+    'Swordfish': 'Un candidato queda encerrado en tres filas (o columnas) y tres posiciones.',
+    'Jellyfish': 'Un candidato queda encerrado en cuatro filas (o columnas) y cuatro posiciones.',
+    'XY-Wing': 'Busca una celda de dos candidatos que vea a otras dos formando una pinza.',
+    'XYZ-Wing': 'Busca una celda de tres candidatos que vea a dos celdas de dos candidatos formando una pinza.',
+    'W-Wing': 'Dos celdas con los mismos dos candidatos, unidas por un candidato que solo tiene dos huecos en una unidad.',
+    'Simple Coloring': 'Colorea a dos colores las parejas de un candidato que solo tiene dos huecos: uno de los colores es el bueno.',
+    'X-Chain': 'Sigue una cadena de un solo candidato: si no está en un extremo, tiene que estar en el otro.',
+    'AIC': 'Sigue una cadena que alterna «si no es este, es aquel» entre celdas y candidatos distintos.',
+    'Cage Combination': 'Mira qué combinaciones de números pueden dar la suma de una jaula.',
+    'Rule of 45': 'Cada fila, columna y caja suma 45: réstale las jaulas que contiene.',
+    'Error': 'Hay un error en el tablero. ¡Revisa antes de seguir!',
+    'Reveal': 'No encuentro una deducción lógica sencilla: te revelaré una celda.'
+};
+
+/** Label a flat cell index as F{row}C{col} */
+function cellLabel(index) {
+    const { size } = SudokuGame;
+    return `F${Math.floor(index / size) + 1}C${(index % size) + 1}`;
+}
+
+/** Symbol a value is shown with (letters from 10 up, see DIGIT_SYMBOLS) */
+function valueLabel(value) {
+    return DIGIT_SYMBOLS[value - 1];
+}
+
+/** Human-readable unit name */
+function unitLabel(unit) {
+    const names = { row: 'la fila', col: 'la columna', box: 'la caja', diagonal: 'la diagonal', window: 'la ventana' };
+    return `${names[unit.type]} ${unit.index + 1}`;
+}
+
+/** Flat cell indices of a unit descriptor ({ type, index }) in the current rule set */
+function unitCells(unit) {
+    const rules = getGameRules();
+    const u = rules.unitInfo.findIndex(info => info.type === unit.type && info.index === unit.index);
+    return u === -1 ? [] : [...rules.units[u]];
+}
+
+/**
+ * Signature of the visible position (values + notes).
+ * A staged hint is only valid while the position doesn't change.
+ */
+function getBoardSignature() {
+    return puzzleToString(SudokuGame.board) + '|' +
+        SudokuGame.notes.map(set => [...set].sort((a, b) => a - b).map(valueLabel).join('')).join(',');
+}
+
+/**
+ * Work out the next hint step for the current position.
+ * Mistakes come first, then the easiest logical deduction, and only if the
+ * logic solver is stuck do we fall back to revealing a cell.
+ */
+function buildHintStep() {
+    const emptyStep = (technique, cells) => ({ technique, cells, units: [], digits: [], placements: [], eliminations: [] });
+    const { size } = SudokuGame;
+
+    // 1. Wrong values on the board
+    for (let i = 0; i < size * size; i++) {
+        const row = Math.floor(i / size), col = i % size;
+        const value = SudokuGame.board[row][col];
+        if (value !== 0 && value !== SudokuGame.solution[row][col]) {
+            return Object.assign(emptyStep('Error', [i]), { errorType: 'value' });
+        }
+    }
+
+    // 2. Notes that already discard the correct number
+    for (let i = 0; i < size * size; i++) {
+        const row = Math.floor(i / size), col = i % size;
+        const notes = SudokuGame.notes[i];
+        if (SudokuGame.board[row][col] === 0 && notes.size > 0 && !notes.has(SudokuGame.solution[row][col])) {
+            return Object.assign(emptyStep('Error', [i]), { errorType: 'notes' });
+        }
+    }
+
+    // 3. Next logical step using the player's notes
+    const step = findNextStep(SudokuGame.board, SudokuGame.notes, getGameRules());
+    if (step) return step;
+
+    // 4. Solver stuck: reveal the empty cell with fewest candidates
+    const cands = getCandidates(SudokuGame.board, getGameRules());
+    let best = -1;
+    for (let i = 0; i < size * size; i++) {
+        const row = Math.floor(i / size), col = i % size;
+        if (SudokuGame.board[row][col] !== 0) continue;
+        if (best === -1 || cands[row][col].size < cands[Math.floor(best / size)][best % size].size) best = i;
+    }
+    if (best === -1) return null;
+    const reveal = emptyStep('Reveal', [best]);
+    reveal.placements.push({ cell: best, value: SudokuGame.solution[Math.floor(best / size)][best % size] });
+    return reveal;
+}
+
+/** Text for the hint panel at a given stage (1 = nudge, 2 = area, 3 = deduction) */
+function describeHintStep(step, stage) {
+    if (stage === 1) {
+        return HINT_NUDGES[step.technique] || `Prueba con la técnica ${step.technique}.`;
+    }
+
+    if (stage === 2) {
+        if (step.technique === 'Error') return `Fíjate en la celda ${cellLabel(step.cells[0])}.`;
+        if (step.units.length > 0) return `Fíjate en ${step.units.map(unitLabel).join(' y ')}.`;
+        return 'Fíjate en la zona resaltada.';
+    }
+
+    if (step.technique === 'Error') {
+        return step.errorType === 'value'
+            ? `El número de ${cellLabel(step.cells[0])} es incorrecto. Se borrará.`
+            : `Las notas de ${cellLabel(step.cells[0])} han descartado el número correcto. Se recalcularán.`;
+    }
+
+    const parts = [];
+    if (step.technique === 'Rule of 45') {
+        parts.push(`Por la regla del 45, ${step.cells.map(cellLabel).join(' + ')} suman ${step.sum}.`);
+    } else if (step.chain) {
+        const links = step.chain.map(({ cell, value }) => `${valueLabel(value)} en ${cellLabel(cell)}`);
+        parts.push(`${step.technique}: si no hay un ${links[0]}, hay un ${links[links.length - 1]} (${links.join(' → ')}).`);
+    } else if (step.eliminations.length > 0) {
+        parts.push(`${step.technique} con ${step.digits.map(valueLabel).join(', ')} en ${step.cells.map(cellLabel).join(', ')}.`);
+    }
+    for (const { cell, value: number } of step.placements) {
+        const value = valueLabel(number);
+        if (step.technique === 'Naked Single') {
+            parts.push(`Coloca el ${value} en ${cellLabel(cell)}: es su único candidato.`);
+        } else if (step.technique === 'Hidden Single') {
+            parts.push(`Coloca el ${value} en ${cellLabel(cell)}: es el único hueco para el ${value} en ${unitLabel(step.units[0])}.`);
+        } else {
+            parts.push(`Coloca el ${value} en ${cellLabel(cell)}.`);
+        }
+    }
+    if (step.eliminations.length > 0) {
+        const byValue = new Map();
+        for (const { cell, value } of step.eliminations) {
+            if (!byValue.has(value)) byValue.set(value, []);
+            byValue.get(value).push(cellLabel(cell));
+        }
+        for (const [value, cells] of byValue) {
+            parts.push(`Elimina el ${valueLabel(value)} de ${cells.join(', ')}.`);
+        }
+    }
+    return parts.join(' ');
+}
+
+/** The active hint, if it still matches the current position */
+function getActiveHint() {
+    const hint = SudokuGame.hint;
+    if (!hint || !SudokuGame.isPlaying) return null;
+    if (hint.signature !== getBoardSignature()) return null;
+    return hint;
 }
 
 /**
- * Give a hint by revealing a random empty cell
+ * Hint button: starts a staged hint or advances the current one.
+ * Stages: nudge → highlight the area → show the deduction → apply it.
  */
 function giveHint() {
     if (!SudokuGame.isPlaying) return;
 
-    // Find all empty cells
-    const emptyCells = [];
-    for (let row = 0; row < 9; row++) {
-        for (let col = 0; col < 9; col++) {
-            if (SudokuGame.board[row][col] === 0) {
-                emptyCells.push([row, col]);
-            }
+    const active = getActiveHint();
+    if (active) {
+        if (active.stage >= 3) {
+            applyHintStep(active.step);
+            closeHint();
+            return;
         }
+        active.stage++;
+        renderHint();
+        return;
     }
 
-    if (emptyCells.length === 0) return;
+    const step = buildHintStep();
+    if (!step) return;
+
+    SudokuGame.hint = { step, stage: 1, signature: getBoardSignature() };
+
+    // Apply hint penalty
+    SudokuGame.hintsUsed++;
+    addPoints(SudokuGame.pointsConfig.hintPenalty);
+
+    // Add 30 seconds as additional penalty
+    SudokuGame.elapsedSeconds += 30;
+    updateTimerDisplay();
+
+    renderHint();
+    saveGameState();
+}
+
+/**
+ * Apply a hint step to the board: placements, note eliminations or error fixes
+ * @param {object} step - Step from buildHintStep()
+ */
+function applyHintStep(step) {
+    const before = captureBoardState();
+    const { size } = SudokuGame;
+
+    if (step.technique === 'Error') {
+        const index = step.cells[0];
+        const row = Math.floor(index / size), col = index % size;
+        if (step.errorType === 'value') {
+            SudokuGame.board[row][col] = 0;
+            SudokuGame.notes[index].clear();
+        } else {
+            const cands = getCandidates(SudokuGame.board, getGameRules());
+            SudokuGame.notes[index] = new Set(cands[row][col]);
+        }
+        SudokuGame.selectedCell = [row, col];
+    }
 
-    // Pick a random empty cell
-    const [row, col] = emptyCells[Math.floor(Math.random() * emptyCells.length)];
-    const correctValue = SudokuGame.solution[row][col];
+    for (const { cell, value } of step.placements) {
+        const row = Math.floor(cell / size), col = cell % size;
+        SudokuGame.board[row][col] = value;
+        SudokuGame.notes[cell].clear();
 
-    // Save history
-    const noteIndex = row * 9 + col;
-    saveHistory(row, col, 0, new Set(SudokuGame.notes[noteIndex]));
+        // Auto-remove related notes
+        if (SudokuGame.settings.autoRemoveNotes) {
+            removeRelatedNotes(row, col, value);
+        }
+        SudokuGame.selectedCell = [row, col];
+    }
 
-    // Place the correct value
-    SudokuGame.board[row][col] = correctValue;
-    SudokuGame.notes[noteIndex].clear();
+    if (step.eliminations.length > 0) {
+        // Cells without notes get their candidates first (like the Auto button),
+        // otherwise there would be nothing visible to eliminate
+        const cands = getCandidates(SudokuGame.board, getGameRules());
+        for (const { cell } of step.eliminations) {
+            if (SudokuGame.notes[cell].size === 0) {
+                SudokuGame.notes[cell] = new Set(cands[Math.floor(cell / size)][cell % size]);
+            }
+        }
 
-    // Auto-remove related notes
-    if (SudokuGame.settings.autoRemoveNotes) {
-        const removed = removeRelatedNotes(row, col, correctValue);
-        SudokuGame.history[SudokuGame.history.length - 1].removedNotes = removed;
+        for (const { cell, value } of step.eliminations) {
+            SudokuGame.notes[cell].delete(value);
+        }
+        const first = step.eliminations[0].cell;
+        SudokuGame.selectedCell = [Math.floor(first / size), first % size];
     }
 
-    SudokuGame.selectedCell = [row, col];
-
-    // Apply hint penalty
-    SudokuGame.hintsUsed++;
-    addPoints(SudokuGame.pointsConfig.hintPenalty);
-
-    // Add 30 seconds as additional penalty
-    SudokuGame.elapsedSeconds += 30;
-    updateTimerDisplay();
+    // The whole step is one history entry
+    saveHistory(before, 'hint');
 
     renderBoard();
     saveGameState();
@@ -914,6 +2646,28 @@ function giveHint() {
     }
 }
 
+/** Show the hint panel for the active hint and refresh board highlights */
+function renderHint() {
+    const panel = document.getElementById('hint-panel');
+    const hint = getActiveHint();
+    if (panel && hint) {
+        const title = hint.step.technique === 'Reveal' ? 'Pista' : hint.step.technique;
+        document.getElementById('hint-technique').textContent =
+            hint.stage >= 3 || hint.step.technique === 'Error' ? title : 'Pista';
+        document.getElementById('hint-message').textContent = describeHintStep(hint.step, hint.stage);
+        document.getElementById('hint-next-btn').textContent = hint.stage >= 3 ? 'Aplicar' : 'Más ayuda';
+        panel.classList.add('active');
+    }
+    // Hides the panel when there is no active hint
+    updateHighlights();
+}
+
+/** Dismiss the current hint */
+function closeHint() {
+    SudokuGame.hint = null;
+    renderHint();
+}
+
 /**
  * Toggle pencil/notes mode
  */
@@ -929,12 +2683,14 @@ function togglePencilMode() {
 function fillAutoCandidates() {
     if (!SudokuGame.isPlaying) return;
 
-    const cands = getCandidates(SudokuGame.board);
+    const before = captureBoardState();
+    const cands = getCandidates(SudokuGame.board, getGameRules());
+    const { size } = SudokuGame;
     let filled = 0;
 
-    for (let r = 0; r < 9; r++) {
-        for (let c = 0; c < 9; c++) {
-            const idx = r * 9 + c;
+    for (let r = 0; r < size; r++) {
+        for (let c = 0; c < size; c++) {
+            const idx = r * size + c;
             if (SudokuGame.board[r][c] !== 0) continue;
             if (cands[r][c].size === 0) continue;
 
@@ -945,6 +2701,7 @@ function fillAutoCandidates() {
     }
 
     if (filled > 0) {
+        saveHistory(before, 'auto');
         renderBoard();
         saveGameState();
         const btn = document.getElementById('auto-notes-btn');
@@ -960,8 +2717,8 @@ function fillAutoCandidates() {
  * @returns {boolean} True if puzzle is solved
  */
 function checkVictory() {
-    for (let row = 0; row < 9; row++) {
-        for (let col = 0; col < 9; col++) {
+    for (let row = 0; row < SudokuGame.size; row++) {
+        for (let col = 0; col < SudokuGame.size; col++) {
             if (SudokuGame.board[row][col] !== SudokuGame.solution[row][col]) {
                 return false;
             }
@@ -1022,6 +2779,15 @@ const CURSI_MESSAGES = {
         { emoji: '💘', title: '¡ME ENAMORAS!', msg: 'El extremo no tenía nada que hacer<br>contra ti. ¡Eres AMOR puro! 💕', sparklesTop: ['💘', '💝', '💘', '💝', '💘'], sparklesBottom: ['❤️‍🔥', '✨', '❤️‍🔥', '✨', '❤️‍🔥'], btn: '¡Con cariño!' },
         { emoji: '🗡️', title: '¡GUERRERA!', msg: 'El nivel extremo ha caído ante tu espada.<br>¡Eres la guerrera definitiva! ⚔️', sparklesTop: ['🗡️', '🛡️', '🗡️', '🛡️', '🗡️'], sparklesBottom: ['🔥', '⚡', '🔥', '⚡', '🔥'], btn: '¡A la batalla!' },
     ],
+    // Messages for diabolical difficulty
+    diabolical: [
+        { emoji: '😈', title: '¡DIABÓLICA!', msg: '¡Nivel DIABÓLICO completado!<br>El mismísimo diablo te pide consejo 🔥', sparklesTop: ['😈', '🔥', '😈', '🔥', '😈'], sparklesBottom: ['⛓️', '✨', '⛓️', '✨', '⛓️'], btn: '¡Que tiemble!' },
+        { emoji: '⛓️', title: '¡ROMPECADENAS!', msg: 'Cadenas, colores y bucles…<br>¡y tú las has roto todas, campanilla! 💪', sparklesTop: ['⛓️', '💥', '⛓️', '💥', '⛓️'], sparklesBottom: ['🔗', '⚡', '🔗', '⚡', '🔗'], btn: '¡Más cadenas!' },
+        { emoji: '🔥', title: '¡INFERNAL!', msg: 'Has bajado al infierno del sudoku<br>y has vuelto con la corona puesta 👑', sparklesTop: ['🔥', '👑', '🔥', '👑', '🔥'], sparklesBottom: ['😈', '✨', '😈', '✨', '😈'], btn: '¡Otra vez al fuego!' },
+        { emoji: '🎨', title: '¡ARTISTA!', msg: 'Colorear candidatos como Picasso.<br>¡Eso es arte, campanilla! 🖌️', sparklesTop: ['🎨', '🌈', '🎨', '🌈', '🎨'], sparklesBottom: ['🖌️', '✨', '🖌️', '✨', '🖌️'], btn: '¡Más colores!' },
+        { emoji: '🧠', title: '¡CEREBRITO!', msg: 'Ni los ordenadores lo tenían claro.<br>¡Tú sí! Eres un genio absoluto 🤯', sparklesTop: ['🧠', '💡', '🧠', '💡', '🧠'], sparklesBottom: ['⚡', '🌟', '⚡', '🌟', '⚡'], btn: '¡Dame más!' },
+        { emoji: '🌌', title: '¡IMPARABLE!', msg: 'No queda nivel que se te resista.<br>¡Eres el final boss, campanilla! 🎮', sparklesTop: ['🌌', '⭐', '🌌', '⭐', '🌌'], sparklesBottom: ['🎮', '🏆', '🎮', '🏆', '🎮'], btn: '¡Nueva partida!' },
+    ],
     // Generic messages that can appear on any difficulty
     generic: [
         { emoji: '🥰', title: '¡MARAVILLOSA!', msg: '¡Lo has conseguido otra vez!<br>No me canso de verte ganar 💖', sparklesTop: ['💕', '✨', '💕', '✨', '💕'], sparklesBottom: ['🌸', '💝', '🌸', '💝', '🌸'], btn: '¡Otra vez!' },
@@ -1083,24 +2849,43 @@ function handleVictory() {
     stats.won++;
     stats.totalScore += finalScore;
 
-    // Check for new records
+    // Check for new records (9x9 only: other boards aren't comparable)
     let isNewTimeRecord = false;
     let isNewScoreRecord = false;
+    const isRecordBoard = SudokuGame.size === 9;
 
-    if (stats.bestTime === null || SudokuGame.elapsedSeconds < stats.bestTime) {
+    if (isRecordBoard && (stats.bestTime === null || SudokuGame.elapsedSeconds < stats.bestTime)) {
         stats.bestTime = SudokuGame.elapsedSeconds;
         isNewTimeRecord = true;
     }
 
-    if (finalScore > stats.bestScore) {
+    if (isRecordBoard && finalScore > stats.bestScore) {
         stats.bestScore = finalScore;
         isNewScoreRecord = true;
     }
 
+    // Daily challenge streak
+    let victoryMessage = 'Has completado el Sudoku';
+    if (SudokuGame.daily) {
+        const streak = recordDailyWin();
+        victoryMessage = `Has completado el reto diario · 🔥 Racha: ${streak} ${streak === 1 ? 'día' : 'días'}`;
+    }
+    if (SudokuGame.pack) {
+        recordPackCompletion();
+        victoryMessage = `Has completado el puzzle ${SudokuGame.pack.number} de ${SudokuGame.pack.name}`;
+    }
+
     saveStats();
 
+    // Keep the finished game (with its move log) for replays
+    const game = archiveGame('won');
+    document.getElementById('victory-replay-btn').onclick = () => {
+        closeModal('victory-modal');
+        openReplay(game);
+    };
+
     // Clear saved game
-    localStorage.removeItem('sudoku_gameState');
+    removeSlot(SudokuGame.slotId);
 
     // Show victory modal
     document.getElementById('victory-score').textContent = finalScore.toLocaleString();
@@ -1108,6 +2893,24 @@ function handleVictory() {
     document.getElementById('victory-difficulty').textContent =
         SudokuGame.difficultyConfig[difficulty].name;
 
+    document.querySelector('#victory-modal .victory-message').textContent = victoryMessage;
+
+    // Result against a shared "beat my time" challenge
+    const challengeElement = document.getElementById('victory-challenge');
+    if (SudokuGame.challenge) {
+        const diff = SudokuGame.challenge.time - SudokuGame.elapsedSeconds;
+        if (diff > 0) {
+            challengeElement.textContent = `⚔️ ¡Reto superado por ${formatTime(diff)}!`;
+        } else if (diff === 0) {
+            challengeElement.textContent = `🤝 ¡Empate! Mismo tiempo que el reto: ${formatTime(SudokuGame.challenge.time)}.`;
+        } else {
+            challengeElement.textContent = `⏱️ Reto: ${formatTime(SudokuGame.challenge.time)}. ¡Casi lo tienes!`;
+        }
+        challengeElement.style.display = 'block';
+    } else {
+        challengeElement.style.display = 'none';
+    }
+
     // Show record badge if new record
     const recordElement = document.getElementById('victory-record');
     if (isNewScoreRecord || isNewTimeRecord) {
@@ -1210,23 +3013,143 @@ function setupEventListeners() {
 
     // Action buttons
     document.getElementById('undo-btn').addEventListener('click', undo);
+    document.getElementById('redo-btn').addEventListener('click', redo);
+
+    // Replay viewer
+    document.getElementById('stats-filter').addEventListener('change', () => {
+        updateStatsDisplay();
+        updateArchiveList();
+    });
+
+    document.getElementById('archive-list').addEventListener('click', e => {
+        const button = e.target.closest('.archive-btn');
+        if (!button) return;
+        const game = loadArchive().find(entry => entry.id === button.dataset.id);
+        if (!game) return;
+
+        if (button.dataset.action === 'replay') {
+            closeModal('settings-modal');
+            openReplay(game);
+        } else {
+            replayPuzzle(game);
+        }
+    });
+
+    document.getElementById('pack-list').addEventListener('click', e => {
+        const button = e.target.closest('.archive-btn');
+        if (button) startPackGame(button.dataset.id);
+    });
+
+    document.getElementById('slot-list').addEventListener('click', e => {
+        const button = e.target.closest('.archive-btn');
+        if (!button) return;
+
+        const { action, id } = button.dataset;
+        if (action === 'resume') resumeSlot(id);
+        else if (action === 'rename') renameSlot(id);
+        else if (action === 'abandon') abandonSlot(id);
+    });
+
+    document.getElementById('replay-play-btn').addEventListener('click', () => {
+        if (replayState.timer) {
+            pauseReplay();
+        } else {
+            playReplay();
+        }
+    });
+
+    document.getElementById('replay-slider').addEventListener('input', e => {
+        pauseReplay();
+        replayState.position = parseInt(e.target.value);
+        renderReplay();
+    });
+
+    document.getElementById('replay-speed').addEventListener('change', e => {
+        replayState.speed = parseFloat(e.target.value);
+        if (replayState.timer) playReplay();
+    });
+
+    document.getElementById('close-replay-modal').addEventListener('click', () => {
+        pauseReplay();
+        closeModal('replay-modal');
+    });
+
+    // History timeline
+    document.getElementById('history-slider').addEventListener('input', e => {
+        jumpToHistoryNode(getHistoryLine()[parseInt(e.target.value)]);
+    });
+
+    document.getElementById('history-branch').addEventListener('change', e => {
+        const history = SudokuGame.history;
+        history.nodes[history.current].next = parseInt(e.target.value);
+        renderHistoryTimeline();
+        saveGameState();
+    });
     document.getElementById('erase-btn')?.addEventListener('click', eraseCell);
     document.getElementById('pencil-btn').addEventListener('click', togglePencilMode);
     document.getElementById('hint-btn').addEventListener('click', giveHint);
     document.getElementById('auto-notes-btn')?.addEventListener('click', fillAutoCandidates);
+    document.getElementById('hint-next-btn').addEventListener('click', giveHint);
+    document.getElementById('hint-close-btn').addEventListener('click', closeHint);
 
     // New game
     document.getElementById('new-game-btn').addEventListener('click', () => {
-        openModal('new-game-modal');
+        openNewGameModal();
+    });
+
+    // Generation in progress (loading overlay)
+    document.getElementById('loading-cancel-btn').addEventListener('click', () => {
+        if (generationJob) WorkerPool.cancel(generationJob);
+    });
+    document.getElementById('loading-accept-btn').addEventListener('click', e => {
+        if (generationJob && WorkerPool.accept(generationJob)) {
+            e.currentTarget.classList.add('accepted');
+            e.currentTarget.disabled = true;
+        }
     });
 
+    // Board size and variant selection (apply to new and Killer games; dailies are always classic 9x9)
+    const sizeSelect = document.getElementById('size-select');
+    const variantSelect = document.getElementById('variant-select');
+    sizeSelect.addEventListener('change', updateSizeOptions);
+    variantSelect.addEventListener('change', updateVariantDescription);
+    updateSizeOptions();
+
     // Difficulty selection
     document.querySelectorAll('.difficulty-btn').forEach(btn => {
         btn.addEventListener('click', () => {
-            startNewGame(btn.dataset.difficulty);
+            startNewGame(btn.dataset.difficulty, variantSelect.value, parseInt(sizeSelect.value));
+        });
+    });
+
+    // Daily challenge
+    document.querySelectorAll('.daily-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            startDailyChallenge(btn.dataset.difficulty);
+        });
+    });
+
+    // Killer Sudoku
+    document.querySelectorAll('.killer-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            startKillerGame(btn.dataset.difficulty, variantSelect.value);
         });
     });
 
+    // Puzzle import
+    document.getElementById('import-btn').addEventListener('click', () => {
+        importPuzzle(document.getElementById('import-input').value);
+    });
+
+    document.getElementById('import-file').addEventListener('change', e => {
+        if (e.target.files.length > 0) importPuzzleFile(e.target.files[0]);
+        e.target.value = '';
+    });
+
+    document.getElementById('import-collection').addEventListener('change', e => {
+        if (e.target.value !== '') importPuzzle(importedCollection[parseInt(e.target.value)]);
+    });
+
     // Theme toggle in settings
     document.getElementById('theme-toggle-setting').addEventListener('change', () => {
         toggleTheme();
@@ -1235,9 +3158,21 @@ function setupEventListeners() {
     // Settings
     document.getElementById('settings-btn').addEventListener('click', () => {
         updateStatsDisplay();
+        updateExportDisplay();
+        updateArchiveList();
         openModal('settings-modal');
     });
 
+    // Export / share current puzzle
+    document.getElementById('copy-puzzle-btn').addEventListener('click', () => {
+        copyText(puzzleToString(SudokuGame.initial), '¡Puzzle copiado al portapapeles!');
+    });
+
+    document.getElementById('copy-link-btn').addEventListener('click', () => {
+        const includeProgress = document.getElementById('share-include-progress').checked;
+        copyText(buildShareLink({ includeProgress }), '¡Enlace copiado al portapapeles!');
+    });
+
     // Settings toggles
     document.getElementById('show-conflicts').addEventListener('change', e => {
         SudokuGame.settings.showConflicts = e.target.checked;
@@ -1282,19 +3217,46 @@ function setupEventListeners() {
 
     // Reset stats
     document.getElementById('reset-stats-btn').addEventListener('click', () => {
-        if (confirm('¿Estás seguro de que deseas reiniciar las estadísticas?')) {
+        if (confirm('¿Estás seguro de que deseas reiniciar las estadísticas? También se borrará el archivo de partidas.')) {
             SudokuGame.stats = {
                 medium: { played: 0, won: 0, bestTime: null, bestScore: 0, totalScore: 0 },
                 hard: { played: 0, won: 0, bestTime: null, bestScore: 0, totalScore: 0 },
                 expert: { played: 0, won: 0, bestTime: null, bestScore: 0, totalScore: 0 },
                 master: { played: 0, won: 0, bestTime: null, bestScore: 0, totalScore: 0 },
-                extreme: { played: 0, won: 0, bestTime: null, bestScore: 0, totalScore: 0 }
+                extreme: { played: 0, won: 0, bestTime: null, bestScore: 0, totalScore: 0 },
+                diabolical: { played: 0, won: 0, bestTime: null, bestScore: 0, totalScore: 0 },
+                daily: { won: 0, currentStreak: 0, bestStreak: 0, lastDate: null, completed: [] }
             };
             saveStats();
+            GameStorage.remove('archive');
             updateStatsDisplay();
+            updateArchiveList();
         }
     });
 
+    // Backup & restore
+    document.getElementById('backup-export-btn').addEventListener('click', exportBackup);
+
+    document.getElementById('backup-file').addEventListener('change', e => {
+        if (e.target.files[0]) readBackupFile(e.target.files[0]);
+        e.target.value = '';
+    });
+
+    document.getElementById('backup-merge-btn').addEventListener('click', () => {
+        restoreBackup(pendingBackup.data, 'merge');
+    });
+
+    document.getElementById('backup-replace-btn').addEventListener('click', () => {
+        if (confirm('¿Reemplazar todos tus datos por los de la copia? Las estadísticas y partidas actuales se perderán.')) {
+            restoreBackup(pendingBackup.data, 'replace');
+        }
+    });
+
+    document.getElementById('backup-cancel-btn').addEventListener('click', () => {
+        pendingBackup = null;
+        document.getElementById('backup-restore').hidden = true;
+    });
+
     // Modal close buttons
     document.getElementById('close-new-game-modal').addEventListener('click', () => {
         closeModal('new-game-modal');
@@ -1307,7 +3269,7 @@ function setupEventListeners() {
     // Victory modal buttons
     document.getElementById('play-again-btn').addEventListener('click', () => {
         closeModal('victory-modal');
-        openModal('new-game-modal');
+        openNewGameModal();
     });
 
     document.getElementById('share-btn').addEventListener('click', shareResult);
@@ -1363,10 +3325,11 @@ function handleKeyboard(e) {
         return;
     }
 
-    // Number input (1-9)
-    if (/^[1-9]$/.test(e.key)) {
+    // Number input (1-9, and letters A-G for 10-16 on bigger boards)
+    const value = e.key.length === 1 && !e.ctrlKey && !e.metaKey ? DIGIT_SYMBOLS.indexOf(e.key.toUpperCase()) + 1 : 0;
+    if (value > 0 && value <= SudokuGame.size) {
         e.preventDefault();
-        placeNumber(parseInt(e.key));
+        placeNumber(value);
         return;
     }
 
@@ -1380,13 +3343,13 @@ function handleKeyboard(e) {
                 if (row > 0) { row--; moved = true; }
                 break;
             case 'ArrowDown':
-                if (row < 8) { row++; moved = true; }
+                if (row < SudokuGame.size - 1) { row++; moved = true; }
                 break;
             case 'ArrowLeft':
                 if (col > 0) { col--; moved = true; }
                 break;
             case 'ArrowRight':
-                if (col < 8) { col++; moved = true; }
+                if (col < SudokuGame.size - 1) { col++; moved = true; }
                 break;
         }
 
@@ -1408,16 +3371,25 @@ function handleKeyboard(e) {
         togglePencilMode();
     }
 
-    // Z for undo (Ctrl+Z or just Z)
+    // Ctrl+Z for undo, Ctrl+Y or Ctrl+Shift+Z for redo
     if (e.key.toLowerCase() === 'z' && (e.ctrlKey || e.metaKey)) {
         e.preventDefault();
-        undo();
+        if (e.shiftKey) {
+            redo();
+        } else {
+            undo();
+        }
+    }
+
+    if (e.key.toLowerCase() === 'y' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        redo();
     }
 
     // N for new game
     if (e.key.toLowerCase() === 'n') {
         e.preventDefault();
-        openModal('new-game-modal');
+        openNewGameModal();
     }
 }
 
@@ -1443,6 +3415,42 @@ function closeModal(modalId) {
     document.body.style.overflow = '';
 }
 
+/** Open the new game modal with today's daily challenge status */
+function openNewGameModal() {
+    updateSlotList();
+    updateDailyDisplay();
+    updatePackList();
+    openModal('new-game-modal');
+}
+
+/**
+ * Fit the new game modal to the board size picked: only the variants, difficulties
+ * and Killer games that size supports can be chosen
+ */
+function updateSizeOptions() {
+    const size = parseInt(document.getElementById('size-select').value);
+    const { description, difficulties } = SudokuGame.sizeConfig[size];
+    document.getElementById('size-desc').textContent = description;
+
+    const variantSelect = document.getElementById('variant-select');
+    for (const option of variantSelect.options) {
+        option.disabled = !isSupportedRules(size, option.value);
+    }
+    if (variantSelect.options[variantSelect.selectedIndex].disabled) variantSelect.value = 'classic';
+
+    document.querySelectorAll('.difficulty-btn').forEach(btn => {
+        btn.disabled = !difficulties.includes(btn.dataset.difficulty);
+    });
+    document.getElementById('killer-section').hidden = !isSupportedRules(size, 'classic', true);
+    updateVariantDescription();
+}
+
+/** Show the rules of the variant picked in the new game modal */
+function updateVariantDescription() {
+    const variant = document.getElementById('variant-select').value;
+    document.getElementById('variant-desc').textContent = SudokuGame.variantConfig[variant].description;
+}
+
 // ============================================
 // Theme Functions
 // ============================================
@@ -1475,70 +3483,154 @@ function applyTheme() {
 // Statistics Display
 // ============================================
 
+/** Number of recent games plotted in the trend charts */
+const TREND_GAMES = 30;
+
+/** Mean of a list of numbers (null if empty) */
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/** Median of a list of numbers (null if empty) */
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
 /**
- * Update the statistics display in settings modal
+ * Current and longest runs of consecutive wins
+ * @param {object[]} games - Archive records, oldest first
+ * @returns {{current: number, longest: number}}
  */
-function updateStatsDisplay() {
-    const statsGrid = document.getElementById('stats-grid');
-    const difficulties = ['medium', 'hard', 'expert', 'master', 'extreme'];
-    const names = ['Medio', 'Difícil', 'Experto', 'Maestro', 'Extremo'];
-
-    let html = '';
-
-    // Games won per difficulty
-    difficulties.forEach((diff, i) => {
-        const stats = SudokuGame.stats[diff];
-        html += `
-            <div class="stat-card">
-                <div class="stat-value">${stats.won}/${stats.played}</div>
-                <div class="stat-label">${names[i]}</div>
-            </div>
-        `;
-    });
+function computeWinStreaks(games) {
+    let current = 0;
+    let longest = 0;
+    for (const game of games) {
+        current = game.result === 'won' ? current + 1 : 0;
+        longest = Math.max(longest, current);
+    }
+    return { current, longest };
+}
 
-    // Best scores per difficulty
-    difficulties.forEach((diff, i) => {
-        const stats = SudokuGame.stats[diff];
-        const bestScore = stats.bestScore > 0 ? stats.bestScore.toLocaleString() : '-';
-        html += `
-            <div class="stat-card">
-                <div class="stat-value">${bestScore}</div>
-                <div class="stat-label">Récord ${names[i]}</div>
-            </div>
-        `;
-    });
+/**
+ * Aggregate figures for a list of archived games
+ * @param {object[]} games - Archive records, oldest first
+ */
+function computeGameStats(games) {
+    const won = games.filter(game => game.result === 'won');
+    const times = won.map(game => game.time);
+    return {
+        played: games.length,
+        won: won.length,
+        winRate: games.length > 0 ? won.length / games.length : null,
+        averageTime: average(times),
+        medianTime: median(times),
+        bestTime: times.length > 0 ? Math.min(...times) : null,
+        totalScore: won.reduce((sum, game) => sum + game.score, 0),
+        streaks: computeWinStreaks(games)
+    };
+}
 
-    // Best times per difficulty
-    difficulties.forEach((diff, i) => {
-        const stats = SudokuGame.stats[diff];
-        const bestTime = stats.bestTime !== null ? formatTime(stats.bestTime) : '-';
-        html += `
-            <div class="stat-card">
-                <div class="stat-value">${bestTime}</div>
-                <div class="stat-label">Mejor T. ${names[i]}</div>
+/**
+ * Small SVG line chart of the last TREND_GAMES values
+ * @param {string} title
+ * @param {number[]} values - Oldest first
+ * @param {function(number): string} formatValue - Axis label formatter
+ * @returns {string} HTML
+ */
+function buildTrendChart(title, values, formatValue) {
+    const points = values.slice(-TREND_GAMES);
+    if (points.length < 2) {
+        return `
+            <div class="stats-chart">
+                <div class="stats-chart-title">${title}</div>
+                <p class="stats-chart-empty">Juega más partidas para ver la tendencia.</p>
             </div>
         `;
-    });
+    }
 
-    // Total score
-    const totalScore = difficulties.reduce((sum, diff) => sum + SudokuGame.stats[diff].totalScore, 0);
-    html += `
-        <div class="stat-card">
-            <div class="stat-value">${totalScore.toLocaleString()}</div>
-            <div class="stat-label">Puntos Totales</div>
+    const width = 280, height = 80, pad = 4;
+    const max = Math.max(...points), min = Math.min(...points);
+    const range = max - min || 1;
+    const coords = points.map((v, i) => {
+        const x = pad + (i / (points.length - 1)) * (width - pad * 2);
+        const y = pad + (1 - (v - min) / range) * (height - pad * 2);
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    const avg = average(points);
+    const avgY = (pad + (1 - (avg - min) / range) * (height - pad * 2)).toFixed(1);
+
+    return `
+        <div class="stats-chart">
+            <div class="stats-chart-title">${title}</div>
+            <svg class="stats-chart-svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img"
+                aria-label="${title}">
+                <line class="stats-chart-avg" x1="0" y1="${avgY}" x2="${width}" y2="${avgY}" />
+                <polyline class="stats-chart-line" points="${coords.join(' ')}" />
+            </svg>
+            <div class="stats-chart-axis">
+                <span>Mín. ${formatValue(min)}</span>
+                <span>Media ${formatValue(avg)}</span>
+                <span>Máx. ${formatValue(max)}</span>
+            </div>
         </div>
     `;
+}
 
-    // Total games won
-    const totalWon = difficulties.reduce((sum, diff) => sum + SudokuGame.stats[diff].won, 0);
-    html += `
+/**
+ * Update the statistics dashboard in settings modal.
+ * Everything is computed from the game archive (see archiveGame).
+ */
+function updateStatsDisplay() {
+    const filter = document.getElementById('stats-filter').value;
+    const archive = loadArchive();
+    const games = archive.filter(game => filter === 'all' || game.difficulty === filter);
+    const stats = computeGameStats(games);
+    const formatOptional = (value, format) => (value === null ? '-' : format(value));
+
+    // Summary cards
+    const cards = [
+        [`${stats.won}/${stats.played}`, 'Ganadas'],
+        [formatOptional(stats.winRate, v => `${Math.round(v * 100)}%`), '% Victorias'],
+        [formatOptional(stats.averageTime, v => formatTime(Math.round(v))), 'Tiempo Medio'],
+        [formatOptional(stats.medianTime, v => formatTime(Math.round(v))), 'Tiempo Mediano'],
+        [formatOptional(stats.bestTime, formatTime), 'Mejor Tiempo'],
+        [stats.totalScore.toLocaleString(), 'Puntos Totales'],
+        [stats.streaks.current, 'Racha Actual'],
+        [stats.streaks.longest, 'Mejor Racha'],
+        [getDailyStreak(), 'Racha Diaria'],
+        [SudokuGame.stats.daily.bestStreak, 'Mejor Racha Diaria']
+    ];
+    document.getElementById('stats-grid').innerHTML = cards.map(([value, label]) => `
         <div class="stat-card">
-            <div class="stat-value">${totalWon}</div>
-            <div class="stat-label">Victorias Totales</div>
+            <div class="stat-value">${value}</div>
+            <div class="stat-label">${label}</div>
         </div>
-    `;
-
-    statsGrid.innerHTML = html;
+    `).join('');
+
+    // Average / median solve time per difficulty
+    let table = '<tr><th>Dificultad</th><th>Ganadas</th><th>Media</th><th>Mediana</th></tr>';
+    for (const [difficulty, config] of Object.entries(SudokuGame.difficultyConfig)) {
+        const row = computeGameStats(archive.filter(game => game.difficulty === difficulty));
+        table += `
+            <tr${filter === difficulty ? ' class="selected"' : ''}>
+                <td>${config.name}</td>
+                <td>${row.won}/${row.played}</td>
+                <td>${formatOptional(row.averageTime, v => formatTime(Math.round(v)))}</td>
+                <td>${formatOptional(row.medianTime, v => formatTime(Math.round(v)))}</td>
+            </tr>
+        `;
+    }
+    document.getElementById('stats-table').innerHTML = table;
+
+    // Trends over the most recent games
+    const wonGames = games.filter(game => game.result === 'won');
+    document.getElementById('stats-charts').innerHTML =
+        buildTrendChart('Tiempo por partida ganada', wonGames.map(game => game.time), v => formatTime(Math.round(v))) +
+        buildTrendChart('Errores por partida', games.map(game => game.mistakes), v => v.toFixed(1).replace('.0', '')) +
+        buildTrendChart('Pistas por partida', games.map(game => game.hints), v => v.toFixed(1).replace('.0', ''));
 }
 
 /**
@@ -1549,33 +3641,39 @@ function shareResult() {
     const difficulty = SudokuGame.difficultyConfig[SudokuGame.difficulty].name;
     const score = SudokuGame.currentScore.toLocaleString();
     const text = `🎮 ¡He completado un Sudoku ${difficulty}!\n⏱️ Tiempo: ${time}\n⭐ Puntos: ${score}\n¿Puedes superarlo?`;
+    const url = buildShareLink({ includeResult: true });
 
     if (navigator.share) {
         navigator.share({
             title: 'Sudoku',
-            text: text
+            text: text,
+            url: url
         }).catch(() => { });
     } else {
-        navigator.clipboard.writeText(text).then(() => {
-            alert('¡Resultado copiado al portapapeles!');
-        }).catch(() => { });
+        copyText(`${text}\n${url}`, '¡Resultado copiado al portapapeles!');
     }
 }
 
 // ============================================
-// Local Storage Functions
+// Persistence Functions (see storage.js)
 // ============================================
 
 /**
- * Save current game state to localStorage
+ * Save current game state
  */
 function saveGameState() {
     if (!SudokuGame.isPlaying) return;
 
     const state = {
+        id: SudokuGame.slotId,
+        name: SudokuGame.slotName,
+        updated: Date.now(),
         board: SudokuGame.board,
         solution: SudokuGame.solution,
         initial: SudokuGame.initial,
+        cages: SudokuGame.cages,
+        variant: SudokuGame.variant,
+        size: SudokuGame.size,
         notes: SudokuGame.notes.map(set => Array.from(set)),
         history: SudokuGame.history,
         difficulty: SudokuGame.difficulty,
@@ -1584,76 +3682,93 @@ function saveGameState() {
         pencilMode: SudokuGame.pencilMode,
         currentScore: SudokuGame.currentScore,
         hintsUsed: SudokuGame.hintsUsed,
-        mistakesMade: SudokuGame.mistakesMade
+        mistakesMade: SudokuGame.mistakesMade,
+        challenge: SudokuGame.challenge,
+        daily: SudokuGame.daily,
+        pack: SudokuGame.pack,
+        moveLog: SudokuGame.moveLog,
+        analysis: SudokuGame.analysis
     };
 
-    localStorage.setItem('sudoku_gameState', JSON.stringify(state));
+    const games = loadSlots().games.filter(game => game.id !== state.id);
+    GameStorage.set('slots', { active: state.id, games: [...games, state] });
 }
 
 /**
- * Load game state from localStorage
+ * Load the game that was on screen last time
  */
 function loadGameState() {
-    const saved = localStorage.getItem('sudoku_gameState');
+    const slots = loadSlots();
+    const state = slots.games.find(game => game.id === slots.active);
 
-    if (saved) {
+    if (state) {
         try {
-            const state = JSON.parse(saved);
-
-            SudokuGame.board = state.board;
-            SudokuGame.solution = state.solution;
-            SudokuGame.initial = state.initial;
-            SudokuGame.notes = state.notes.map(arr => new Set(arr));
-            SudokuGame.history = state.history || [];
-            SudokuGame.difficulty = state.difficulty;
-            SudokuGame.elapsedSeconds = state.elapsedSeconds;
-            SudokuGame.selectedCell = state.selectedCell;
-            SudokuGame.pencilMode = state.pencilMode || false;
-            SudokuGame.isPlaying = true;
-
-            // Restore points state
-            SudokuGame.currentScore = state.currentScore || 0;
-            SudokuGame.hintsUsed = state.hintsUsed || 0;
-            SudokuGame.mistakesMade = state.mistakesMade || 0;
-
-            if (SudokuGame.pencilMode) {
-                document.getElementById('pencil-btn').classList.add('active');
-            }
-
-            updateTimerDisplay();
-            updateScoreDisplay();
-            startTimer();
-            renderBoard();
+            restoreGameState(state);
         } catch (e) {
             console.error('Error loading game state:', e);
+            removeSlot(state.id);
             startNewGame('medium');
         }
     } else {
         // No saved game, show new game modal
-        openModal('new-game-modal');
+        openNewGameModal();
     }
 }
 
 /**
- * Save settings to localStorage
+ * Put a saved game on the board and start its timer
+ * @param {Object} state - Saved game (see saveGameState)
+ */
+function restoreGameState(state) {
+    SudokuGame.slotId = state.id;
+    SudokuGame.slotName = state.name || null;
+    SudokuGame.board = state.board;
+    SudokuGame.solution = state.solution;
+    SudokuGame.initial = state.initial;
+    SudokuGame.cages = state.cages || null;
+    SudokuGame.variant = VARIANTS.includes(state.variant) ? state.variant : 'classic';
+    SudokuGame.size = state.board.length; // Saves from before other sizes are all 9x9
+    SudokuGame.notes = state.notes.map(arr => new Set(arr));
+    // Saves from before the history tree only had a flat undo list
+    SudokuGame.history = isHistoryTree(state.history) ? state.history : createHistory();
+    SudokuGame.difficulty = state.difficulty;
+    SudokuGame.elapsedSeconds = state.elapsedSeconds;
+    SudokuGame.selectedCell = state.selectedCell;
+    SudokuGame.pencilMode = state.pencilMode || false;
+    SudokuGame.hint = null;
+    SudokuGame.isPlaying = true;
+
+    // Restore points state
+    SudokuGame.currentScore = state.currentScore || 0;
+    SudokuGame.hintsUsed = state.hintsUsed || 0;
+    SudokuGame.mistakesMade = state.mistakesMade || 0;
+    SudokuGame.challenge = state.challenge || null;
+    SudokuGame.daily = state.daily || null;
+    SudokuGame.pack = state.pack || null;
+    SudokuGame.moveLog = state.moveLog || [];
+    SudokuGame.analysis = state.analysis || null;
+
+    document.getElementById('pencil-btn').classList.toggle('active', SudokuGame.pencilMode);
+
+    updateTimerDisplay();
+    updateScoreDisplay();
+    updateGameInfo();
+    startTimer();
+    renderBoard();
+}
+
+/**
+ * Save settings
  */
 function saveSettings() {
-    localStorage.setItem('sudoku_settings', JSON.stringify(SudokuGame.settings));
+    GameStorage.set('settings', SudokuGame.settings);
 }
 
 /**
- * Load settings from localStorage
+ * Load saved settings
  */
 function loadSettings() {
-    const saved = localStorage.getItem('sudoku_settings');
-
-    if (saved) {
-        try {
-            Object.assign(SudokuGame.settings, JSON.parse(saved));
-        } catch (e) {
-            console.error('Error loading settings:', e);
-        }
-    }
+    Object.assign(SudokuGame.settings, GameStorage.get('settings', {}));
 
     // Apply settings to UI
     document.getElementById('show-conflicts').checked = SudokuGame.settings.showConflicts;
@@ -1713,23 +3828,22 @@ function toggleAutoNotesButton(show) {
 }
 
 /**
- * Save statistics to localStorage
+ * Save statistics
  */
 function saveStats() {
-    localStorage.setItem('sudoku_stats', JSON.stringify(SudokuGame.stats));
+    GameStorage.set('stats', SudokuGame.stats);
 }
 
 /**
- * Load statistics from localStorage
+ * Load saved statistics
  */
 function loadStats() {
-    const saved = localStorage.getItem('sudoku_stats');
+    const loadedStats = GameStorage.get('stats');
 
-    if (saved) {
+    if (loadedStats) {
         try {
-            const loadedStats = JSON.parse(saved);
             // Merge with default to ensure all properties exist
-            for (const diff of ['medium', 'hard', 'expert', 'master', 'extreme']) {
+            for (const diff in SudokuGame.difficultyConfig) {
                 if (loadedStats[diff]) {
                     SudokuGame.stats[diff] = {
                         played: loadedStats[diff].played || 0,
@@ -1740,8 +3854,292 @@ function loadStats() {
                     };
                 }
             }
+            if (loadedStats.daily) {
+                SudokuGame.stats.daily = {
+                    won: loadedStats.daily.won || 0,
+                    currentStreak: loadedStats.daily.currentStreak || 0,
+                    bestStreak: loadedStats.daily.bestStreak || 0,
+                    lastDate: loadedStats.daily.lastDate || null,
+                    completed: loadedStats.daily.completed || []
+                };
+            }
         } catch (e) {
             console.error('Error loading stats:', e);
         }
     }
 }
+
+// ============================================
+// Backup & Restore (all player data as one JSON file)
+// ============================================
+
+// Bump when the file layout changes; older files must stay importable
+const BACKUP_VERSION = 2;
+const BACKUP_KEYS = ['settings', 'stats', 'slots', 'pool', 'archive', 'packs'];
+
+let pendingBackup = null; // Parsed file waiting for merge / replace
+
+/**
+ * Collect all player data into a versioned backup
+ * @returns {Object}
+ */
+function createBackup() {
+    // Defaults never changed on this device haven't been stored yet
+    saveSettings();
+    saveStats();
+    saveGameState();
+    const data = {};
+    for (const key of BACKUP_KEYS) data[key] = GameStorage.get(key);
+    return { app: 'DiverSoku', version: BACKUP_VERSION, exported: new Date().toISOString(), data };
+}
+
+/** Save the backup file (share sheet on mobile / Android, download elsewhere) */
+function exportBackup() {
+    const filename = `diversoku-${getDateKey()}.json`;
+    const file = new File([JSON.stringify(createBackup())], filename, { type: 'application/json' });
+
+    if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        navigator.share({ files: [file], title: 'Copia de seguridad de DiverSoku' }).catch(() => { });
+        return;
+    }
+
+    const url = URL.createObjectURL(file);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Parse and validate a backup file
+ * @param {string} text - File contents
+ * @returns {{data: Object, exported: string}|{error: string}}
+ */
+function parseBackup(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (e) {
+        return { error: 'El archivo no es un JSON válido.' };
+    }
+
+    if (!backup || backup.app !== 'DiverSoku' || !backup.data || typeof backup.data !== 'object') {
+        return { error: 'El archivo no es una copia de seguridad de DiverSoku.' };
+    }
+    if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+        return { error: 'La copia es de una versión más reciente. Actualiza DiverSoku para importarla.' };
+    }
+    // Version 1 held a single game in progress
+    if (backup.version < 2 && backup.data.gameState) {
+        const id = createGameId();
+        backup.data.slots = { active: id, games: [{ ...backup.data.gameState, id, name: null, updated: Date.now() }] };
+        delete backup.data.gameState;
+    }
+    for (const key of BACKUP_KEYS) {
+        const value = backup.data[key];
+        if (value != null && !GameStorage.validate(key, value)) {
+            return { error: `La copia está dañada (${key}).` };
+        }
+    }
+    return { data: backup.data, exported: backup.exported };
+}
+
+/** Read a backup file and ask how to restore it */
+function readBackupFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        const result = parseBackup(reader.result);
+        document.getElementById('backup-error').textContent = result.error || '';
+        document.getElementById('backup-restore').hidden = !!result.error;
+        if (result.error) return;
+
+        pendingBackup = result;
+        document.getElementById('backup-summary').textContent = describeBackup(result);
+    };
+    reader.onerror = () => {
+        document.getElementById('backup-error').textContent = 'No se pudo leer el archivo.';
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * One-line summary of a parsed backup
+ * @param {{data: Object, exported: string}} backup
+ * @returns {string}
+ */
+function describeBackup({ data, exported }) {
+    const date = new Date(exported);
+    const parts = [];
+
+    if (data.stats) {
+        const won = Object.keys(SudokuGame.difficultyConfig)
+            .reduce((sum, diff) => sum + ((data.stats[diff] && data.stats[diff].won) || 0), 0);
+        parts.push(`victorias: ${won}`);
+    }
+    if (data.archive) parts.push(`partidas archivadas: ${data.archive.length}`);
+    if (data.slots && data.slots.games.length > 0) parts.push(`partidas en curso: ${data.slots.games.length}`);
+
+    const when = isNaN(date) ? '' : ` del ${date.toLocaleDateString('es-ES')}`;
+    return `Copia${when}: ${parts.join(', ') || 'sin datos'}. ` +
+        'Combinar junta estadísticas y partidas sin contarlas dos veces y conserva tus ajustes; reemplazar sustituye tus datos por los de la copia.';
+}
+
+/**
+ * Combine two stats objects: counts, totals and records keep the larger side, and the
+ * daily streak follows whichever side played most recently. Backups are usually an
+ * earlier copy of the same player's data, so adding counts up would count the same
+ * games twice (the archive, merged by game id, would disagree).
+ * Also normalises the result (mergeStats({}, stats) just cleans it up).
+ * @returns {Object}
+ */
+function mergeStats(current, imported) {
+    const count = value => (Number.isFinite(value) ? value : 0);
+    const merged = {};
+
+    for (const diff in SudokuGame.difficultyConfig) {
+        const a = current[diff] || {};
+        const b = imported[diff] || {};
+        const times = [a.bestTime, b.bestTime].filter(time => Number.isFinite(time) && time > 0);
+        merged[diff] = {
+            played: Math.max(count(a.played), count(b.played)),
+            won: Math.max(count(a.won), count(b.won)),
+            bestTime: times.length > 0 ? Math.min(...times) : null,
+            bestScore: Math.max(count(a.bestScore), count(b.bestScore)),
+            totalScore: Math.max(count(a.totalScore), count(b.totalScore))
+        };
+    }
+
+    const a = current.daily || {};
+    const b = imported.daily || {};
+    const sameDay = (a.lastDate || null) === (b.lastDate || null);
+    const latest = (b.lastDate || '') > (a.lastDate || '') ? b : a;
+    merged.daily = {
+        won: Math.max(count(a.won), count(b.won)),
+        currentStreak: sameDay ? Math.max(count(a.currentStreak), count(b.currentStreak)) : count(latest.currentStreak),
+        bestStreak: Math.max(count(a.bestStreak), count(b.bestStreak)),
+        lastDate: latest.lastDate || null,
+        completed: sameDay
+            ? [...new Set([...(a.completed || []), ...(b.completed || [])])]
+            : [...(latest.completed || [])]
+    };
+    return merged;
+}
+
+/**
+ * Check that an archive record from a file has what the list and replay need
+ * (and nothing that could end up as markup)
+ */
+function isArchivedGame(game) {
+    return !!game && /^[a-z0-9]+$/i.test(game.id) && typeof game.date === 'string' &&
+        Object.hasOwn(SudokuGame.difficultyConfig, game.difficulty) &&
+        typeof game.puzzle === 'string' && !!parsePuzzleString(game.puzzle) &&
+        typeof game.solution === 'string' && game.solution.length === game.puzzle.length &&
+        (game.size === undefined || game.size ** 2 === game.puzzle.length) &&
+        (game.cages == null || validateCages(game.cages)) &&
+        (game.variant === undefined || VARIANTS.includes(game.variant)) &&
+        Array.isArray(game.techniques) && game.techniques.every(name => /^[\w\s/-]+$/.test(name)) &&
+        (game.result === 'won' || game.result === 'abandoned') &&
+        [game.time, game.score, game.hints, game.mistakes].every(Number.isFinite) &&
+        (game.moves === undefined || Array.isArray(game.moves));
+}
+
+/**
+ * Union of two archives (same game id counted once), oldest first
+ * @returns {Object[]}
+ */
+function mergeArchive(current, imported) {
+    const games = new Map();
+    for (const game of [...current, ...imported.filter(isArchivedGame)]) {
+        if (!games.has(game.id)) games.set(game.id, game);
+    }
+    const merged = [...games.values()].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+    trimReplays(merged);
+    return merged;
+}
+
+/**
+ * Union of two puzzle pools, skipping duplicates and malformed entries
+ * @returns {Object}
+ */
+function mergePool(current, imported) {
+    const merged = {};
+    for (const diff in SudokuGame.difficultyConfig) {
+        const seen = new Set();
+        merged[diff] = [...(current[diff] || []), ...(imported[diff] || [])].filter(entry => {
+            if (!entry || !Array.isArray(entry.puzzle) || !Array.isArray(entry.solution) ||
+                !entry.analysis || !Array.isArray(entry.analysis.techniquesUsed)) return false;
+            const key = entry.puzzle.join();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+    return merged;
+}
+
+/**
+ * Union of two pack progress records (see loadPackProgress)
+ * @returns {Object}
+ */
+function mergePackProgress(current, imported) {
+    const merged = { ...current };
+    for (const [id, puzzles] of Object.entries(imported)) {
+        merged[id] = [...new Set([...(merged[id] || []), ...puzzles.filter(puzzle => typeof puzzle === 'string')])];
+    }
+    return merged;
+}
+
+/**
+ * Apply a backup.
+ * 'merge' keeps this device's settings and adds the backup's saved games next to
+ * its own (the backup's last game is only opened when nothing is being played);
+ * 'replace' overwrites everything the backup contains.
+ * @param {Object} data - Backup data
+ * @param {'merge'|'replace'} mode
+ */
+function restoreBackup(data, mode) {
+    const replace = mode === 'replace';
+    saveGameState();
+
+    if (replace && data.settings) {
+        GameStorage.set('settings', data.settings);
+        loadSettings();
+    }
+
+    SudokuGame.stats = mergeStats(replace ? {} : SudokuGame.stats, data.stats || {});
+    saveStats();
+
+    GameStorage.set('archive', mergeArchive(replace ? [] : loadArchive(), data.archive || []));
+
+    Object.assign(puzzlePool, mergePool(replace ? {} : puzzlePool, data.pool || {}));
+    savePool();
+
+    GameStorage.set('packs', mergePackProgress(replace ? {} : loadPackProgress(), data.packs || {}));
+
+    const slots = replace ? { active: null, games: [] } : loadSlots();
+    const imported = data.slots || { active: null, games: [] };
+    const games = new Map();
+    for (const game of [...slots.games, ...imported.games]) {
+        if (!games.has(game.id)) games.set(game.id, game);
+    }
+    const open = (replace || !SudokuGame.isPlaying) && games.has(imported.active) ? imported.active : null;
+    GameStorage.set('slots', { active: open || slots.active, games: [...games.values()] });
+
+    if (open) {
+        stopTimer();
+        loadGameState();
+        closeModal('new-game-modal');
+    }
+
+    pendingBackup = null;
+    document.getElementById('backup-restore').hidden = true;
+    updateStatsDisplay();
+    updateArchiveList();
+    updateGameInfo();
+    updateScoreDisplay();
+    console.log(`[DiverSoku] Copia de seguridad restaurada (${mode}).`);
+    alert('Copia de seguridad restaurada.');
+}
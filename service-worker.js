@@ -5,15 +5,21 @@
  * ============================================
  */
 
-const CACHE_NAME = 'diversoku-cache-v4';
+const CACHE_NAME = 'diversoku-cache-v8';
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
     '/styles.css',
     '/sudoku-engine.js',
+    '/difficulties.js',
     '/puzzle-worker.js',
+    '/storage.js',
+    '/worker-pool.js',
     '/script.js',
-    '/manifest.json'
+    '/manifest.json',
+    '/packs/beginner-100.json',
+    '/packs/advanced-100.json',
+    '/packs/swordfish.json'
 ];
 
 /**
@@ -0,0 +1,346 @@
+// ============================================
+// Game Storage — IndexedDB persistence
+// In-memory cache with synchronous get/set; writes go to IndexedDB in the
+// background. Falls back to localStorage when IndexedDB is unavailable.
+// Save slots are checked against sudoku-engine.js and difficulties.js, loaded first.
+// ============================================
+
+const GameStorage = (() => {
+    const DB_NAME = 'diversoku';
+    const DB_VERSION = 1;        // IndexedDB object store layout
+    const STORE = 'records';     // { key, value } records
+    const SCHEMA_KEY = '_schema';
+    const FALLBACK_PREFIX = 'diversoku:';
+
+    /**
+     * Record schemas: expected shape of each value. Values that don't match
+     * (corrupted or written by an incompatible version) are dropped on load.
+     */
+    const SCHEMAS = {
+        slots: value => isObject(value) && Array.isArray(value.games) && value.games.every(isSavedGame),
+        settings: isObject,
+        stats: isObject,
+        pool: isObject,
+        daily: value => isObject(value) && typeof value.date === 'string' && isObject(value.puzzles),
+        archive: Array.isArray,
+        packs: value => isObject(value) && Object.values(value).every(Array.isArray) // Pack id -> completed puzzles
+    };
+
+    /** localStorage keys used before this module, and the record they become */
+    const LEGACY_KEYS = {
+        sudoku_gameState: 'gameState',
+        sudoku_settings: 'settings',
+        sudoku_stats: 'stats',
+        diverSoku_pool: 'pool',
+        diverSoku_daily: 'daily',
+        diverSoku_archive: 'archive'
+    };
+
+    /**
+     * Schema migrations. MIGRATIONS[n] upgrades the record map from version n - 1
+     * to n; bump SCHEMA_VERSION when adding one.
+     */
+    const MIGRATIONS = {
+        // 1: import the old localStorage keys
+        1: records => {
+            for (const [legacyKey, key] of Object.entries(LEGACY_KEYS)) {
+                const raw = localStorage.getItem(legacyKey);
+                if (raw === null || records.has(key)) continue;
+                try {
+                    records.set(key, JSON.parse(raw));
+                } catch (e) {
+                    console.warn(`[DiverSoku] Datos corruptos en ${legacyKey}, se descartan:`, e);
+                }
+            }
+        },
+        // 2: the single saved game becomes the first save slot
+        2: records => {
+            const state = records.get('gameState');
+            records.delete('gameState');
+            if (!isSavedGame({ id: 'legacy', ...state })) return;
+            records.set('slots', {
+                active: 'legacy',
+                games: [{ ...state, id: 'legacy', name: null, updated: Date.now() }]
+            });
+        }
+    };
+    const SCHEMA_VERSION = Math.max(...Object.keys(MIGRATIONS).map(Number));
+
+    const cache = new Map();
+    let backend = null;
+    let pending = Promise.resolve();
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /** Size x size grid of numbers */
+    function isGrid(value, size) {
+        return Array.isArray(value) && value.length === size &&
+            value.every(row => Array.isArray(row) && row.length === size && row.every(Number.isInteger));
+    }
+
+    /**
+     * A save slot the board and the slot list can show: known tier, size and variant,
+     * grids of the right size and numbers where numbers go (nothing that could end up as markup)
+     */
+    function isSavedGame(value) {
+        if (!isObject(value) || typeof value.id !== 'string' || !/^[a-z0-9]+$/i.test(value.id)) return false;
+        const size = Array.isArray(value.board) ? value.board.length : 0;
+        return !!BOARD_SIZES[size] && (value.size === undefined || value.size === size) && // Saves from before other sizes have none
+            (value.variant === undefined || VARIANTS.includes(value.variant)) &&
+            Object.hasOwn(DIFFICULTY_CONFIG, value.difficulty) &&
+            [value.board, value.solution, value.initial].every(grid => isGrid(grid, size)) &&
+            Array.isArray(value.notes) && value.notes.length === size * size && value.notes.every(Array.isArray) &&
+            Number.isFinite(value.elapsedSeconds) && Number.isFinite(value.currentScore);
+    }
+
+    function isQuotaError(err) {
+        return !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    }
+
+    /** Promise wrapper for an IDBRequest */
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // --- Backends ---
+
+    /** Open (creating if needed) the database */
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    db.createObjectStore(STORE, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB bloqueada por otra pestaña'));
+        });
+    }
+
+    function createIndexedDBBackend(db) {
+        function run(mode, action) {
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(STORE, mode);
+                const result = action(tx.objectStore(STORE));
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+
+        return {
+            name: 'IndexedDB',
+            async loadAll() {
+                const rows = await run('readonly', store => promisify(store.getAll()));
+                return new Map(rows.map(row => [row.key, row.value]));
+            },
+            write: (key, value) => run('readwrite', store => { store.put({ key, value }); }),
+            remove: key => run('readwrite', store => { store.delete(key); })
+        };
+    }
+
+    function createLocalStorageBackend() {
+        return {
+            name: 'localStorage',
+            async loadAll() {
+                const records = new Map();
+                for (let i = 0; i < localStorage.length; i++) {
+                    const storageKey = localStorage.key(i);
+                    if (!storageKey.startsWith(FALLBACK_PREFIX)) continue;
+                    try {
+                        records.set(storageKey.slice(FALLBACK_PREFIX.length), JSON.parse(localStorage.getItem(storageKey)));
+                    } catch (e) {
+                        console.warn(`[DiverSoku] Datos corruptos en ${storageKey}, se descartan:`, e);
+                    }
+                }
+                return records;
+            },
+            async write(key, value) {
+                localStorage.setItem(FALLBACK_PREFIX + key, JSON.stringify(value));
+            },
+            async remove(key) {
+                localStorage.removeItem(FALLBACK_PREFIX + key);
+            }
+        };
+    }
+
+    /**
+     * Pick a backend. A database that can't be opened or read is treated as
+     * corrupted: it is deleted and recreated once before giving up on IndexedDB.
+     */
+    async function connect() {
+        if (typeof indexedDB === 'undefined') return { backend: createLocalStorageBackend(), records: null };
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                const idb = createIndexedDBBackend(await openDatabase());
+                return { backend: idb, records: await idb.loadAll() };
+            } catch (err) {
+                console.warn('[DiverSoku] IndexedDB no disponible o dañada:', err);
+                if (attempt === 0) {
+                    await promisify(indexedDB.deleteDatabase(DB_NAME)).catch(() => { });
+                }
+            }
+        }
+        return { backend: createLocalStorageBackend(), records: null };
+    }
+
+    // --- Quota handling ---
+
+    /**
+     * Free space when a write hits the quota: the puzzle pool can be regenerated,
+     * and replay move logs are the bulk of the archive (oldest dropped first).
+     * @returns {Promise<boolean>} True if something was freed
+     */
+    async function freeSpace() {
+        if (cache.has('pool')) {
+            cache.delete('pool');
+            await backend.remove('pool').catch(() => { });
+            console.warn('[DiverSoku] Almacenamiento lleno: se descarta el pool guardado.');
+            return true;
+        }
+
+        const archive = cache.get('archive');
+        const withMoves = archive ? archive.filter(game => game.moves) : [];
+        if (withMoves.length > 0) {
+            withMoves.slice(0, Math.ceil(withMoves.length / 2)).forEach(game => delete game.moves);
+            await backend.write('archive', archive).catch(() => { });
+            console.warn('[DiverSoku] Almacenamiento lleno: se eliminan repeticiones antiguas.');
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Write a record, freeing space and retrying while the quota is exceeded
+     * @returns {Promise<boolean>} False if it couldn't be stored
+     */
+    async function persist(key, value) {
+        for (;;) {
+            try {
+                await backend.write(key, value);
+                return true;
+            } catch (err) {
+                if (!isQuotaError(err) || !(await freeSpace())) {
+                    console.warn(`[DiverSoku] No se pudo guardar ${key}:`, err);
+                    return false;
+                }
+                // The record may have been trimmed by freeSpace() (or dropped: nothing left to store)
+                if (!cache.has(key)) return true;
+                value = cache.get(key);
+            }
+        }
+    }
+
+    /** Queue a background operation (keeps writes in order) */
+    function enqueue(operation) {
+        pending = pending.then(operation).catch(err => console.warn('[DiverSoku] Error de almacenamiento:', err));
+        return pending;
+    }
+
+    // --- Public API ---
+
+    /**
+     * Load everything into memory, migrating older data. Must finish before get/set.
+     * @returns {Promise<void>}
+     */
+    async function init() {
+        const connection = await connect();
+        backend = connection.backend;
+        const records = connection.records || await backend.loadAll();
+
+        // Migrations (records they drop are deleted from disk too)
+        const from = records.get(SCHEMA_KEY) || 0;
+        const storedKeys = [...records.keys()];
+        for (let version = from + 1; version <= SCHEMA_VERSION; version++) {
+            MIGRATIONS[version](records);
+        }
+        for (const key of storedKeys) {
+            if (!records.has(key)) enqueue(() => backend.remove(key));
+        }
+
+        // Corruption recovery: drop records that don't match their schema
+        for (const [key, value] of records) {
+            if (key !== SCHEMA_KEY && !validate(key, value)) {
+                console.warn(`[DiverSoku] Registro ${key} dañado, se descarta.`);
+                records.delete(key);
+                enqueue(() => backend.remove(key));
+            }
+        }
+
+        for (const [key, value] of records) {
+            if (key !== SCHEMA_KEY) cache.set(key, value);
+        }
+
+        if (from < SCHEMA_VERSION) {
+            // Legacy keys are only removed once every migrated record is stored. Otherwise
+            // they stay, and without the new schema version the migration runs again next launch.
+            enqueue(async () => {
+                let stored = true;
+                for (const [key, value] of cache) stored = (await persist(key, value)) && stored;
+                if (!stored || !(await persist(SCHEMA_KEY, SCHEMA_VERSION))) {
+                    console.warn('[DiverSoku] Migración incompleta: se reintentará en el próximo inicio.');
+                    return;
+                }
+                Object.keys(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+                console.log(`[DiverSoku] Datos migrados a la versión ${SCHEMA_VERSION} (${backend.name}).`);
+            });
+        }
+        await pending;
+    }
+
+    /**
+     * Read a record from memory. Treat the result as read-only and call set() to persist changes.
+     * @param {string} key
+     * @param {*} [fallback] - Returned when the record doesn't exist
+     */
+    function get(key, fallback = null) {
+        return cache.has(key) ? cache.get(key) : fallback;
+    }
+
+    /**
+     * Store a record (memory now, disk in the background)
+     * @param {string} key
+     * @param {*} value - Structured-cloneable / JSON-compatible data
+     */
+    function set(key, value) {
+        cache.set(key, value);
+        enqueue(() => persist(key, value));
+    }
+
+    /** Delete a record */
+    function remove(key) {
+        cache.delete(key);
+        enqueue(() => backend.remove(key));
+    }
+
+    /**
+     * Check a value against its record schema (records without one always pass)
+     * @param {string} key
+     * @param {*} value
+     * @returns {boolean}
+     */
+    function validate(key, value) {
+        return !SCHEMAS[key] || SCHEMAS[key](value);
+    }
+
+    /** Keys of all stored records */
+    function keys() {
+        return [...cache.keys()];
+    }
+
+    /** Resolves once every queued write has finished */
+    function flush() {
+        return pending;
+    }
+
+    return { init, get, set, remove, validate, isSavedGame, keys, flush };
+})();
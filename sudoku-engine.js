@@ -5,144 +5,403 @@
 
 // --- Constants & Precomputed Tables ---
 
-const BITS = [0, 1, 2, 4, 8, 16, 32, 64, 128, 256, 512]; // 1-based indexing for candidates 1-9
-const MASK_ALL = 511; // Binary 111111111 (candidates 1-9)
-
-// Precomputed table of peers for every cell (81x20)
-const PEERS = new Uint8Array(81 * 20); // 20 peers per cell, optimized to Uint8
-const PEERS_COUNT = 20;
-
-// Precompute peers
-(() => {
-    for (let i = 0; i < 81; i++) {
-        const r = Math.floor(i / 9);
-        const c = i % 9;
-        const br = Math.floor(r / 3) * 3;
-        const bc = Math.floor(c / 3) * 3;
-        const peersSet = new Set();
-
-        // Row & Col
-        for (let x = 0; x < 9; x++) {
-            if (x !== c) peersSet.add(r * 9 + x);
-            if (x !== r) peersSet.add(x * 9 + c);
-        }
-        // Box
-        for (let rr = br; rr < br + 3; rr++) {
-            for (let cc = bc; cc < bc + 3; cc++) {
-                if (rr !== r || cc !== c) peersSet.add(rr * 9 + cc);
-            }
+const BITS = Array.from({ length: 17 }, (_, n) => (n === 0 ? 0 : 1 << (n - 1))); // 1-based indexing for candidates 1-16
+const MASK_ALL = 511; // Binary 111111111 (candidates 1-9; other sizes use rules.maskAll)
+
+// Supported board sizes and the shape of their boxes. removeScale adjusts the share of
+// cells removed (see getRemoveRange): 16×16 grids stop yielding to logic well before 9×9 ones.
+const BOARD_SIZES = {
+    4: { boxRows: 2, boxCols: 2, removeScale: 1 },
+    6: { boxRows: 2, boxCols: 3, removeScale: 1 },
+    9: { boxRows: 3, boxCols: 3, removeScale: 1 },
+    12: { boxRows: 3, boxCols: 4, removeScale: 1 },
+    16: { boxRows: 4, boxCols: 4, removeScale: 0.9 }
+};
+
+// Symbols for values 1-16 in strings and on the board (boards above 9×9 use letters)
+const DIGIT_SYMBOLS = '123456789ABCDEFG';
+
+// ============================================
+// Rule Sets (board size, classic and variant constraints)
+// ============================================
+// A rule set says which cells must hold different digits. `units` are groups of
+// `size` cells holding every digit once (rows, columns, boxes and the variant's extra
+// units); `peers[i]` lists every cell that can't repeat cell i's digit, which also
+// covers relations that aren't units (anti-knight, anti-king). Killer cages travel
+// in the same object. Get one with getRules(); they are shared, so never modify them.
+
+// Variant names accepted by getRules()
+const VARIANTS = ['classic', 'diagonal', 'windoku', 'antiknight', 'antiking'];
+
+// Board sizes a variant is limited to (the rest work on every size)
+const VARIANT_SIZES = {
+    windoku: [9],
+    antiking: [6, 9, 12, 16] // No 4×4 grid avoids king moves
+};
+
+// Extra units per variant, described like describeUnit() plus their cells
+const VARIANT_UNITS = {
+    // X-Sudoku: both main diagonals
+    diagonal: size => {
+        const steps = [...Array(size).keys()];
+        return [
+            { type: 'diagonal', index: 0, cells: steps.map(k => k * (size + 1)) },
+            { type: 'diagonal', index: 1, cells: steps.map(k => (k + 1) * (size - 1)) }
+        ];
+    },
+    // Windoku: four windows, one cell in from the corners of the board
+    windoku: () => [[1, 1], [1, 5], [5, 1], [5, 5]].map(([top, left], index) => {
+        const cells = [];
+        for (let r = top; r < top + 3; r++) for (let c = left; c < left + 3; c++) cells.push(r * 9 + c);
+        return { type: 'window', index, cells };
+    })
+};
+
+// Chess moves whose target cell can't repeat the digit (row, column offsets)
+const VARIANT_MOVES = {
+    antiknight: [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]],
+    antiking: [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]
+};
+
+const RULES_CACHE = new Map();
+
+/**
+ * Build the tables of a board size and variant (see getRules)
+ * @param {number} size
+ * @param {string} variant
+ * @returns {object}
+ */
+function buildRules(size, variant) {
+    const { boxRows, boxCols } = BOARD_SIZES[size];
+    const cellCount = size * size;
+    const classic = getAllUnits(size);
+    const extra = VARIANT_UNITS[variant] ? VARIANT_UNITS[variant](size) : [];
+    const units = [...classic, ...extra.map(unit => unit.cells)];
+    const unitInfo = [...classic.map((_, u) => describeUnit(u, size)), ...extra.map(({ type, index }) => ({ type, index }))];
+
+    const cellUnits = Array.from({ length: cellCount }, () => []);
+    units.forEach((cells, u) => cells.forEach(i => cellUnits[i].push(u)));
+
+    const boxOf = new Uint8Array(cellCount);
+    classic.slice(2 * size).forEach((cells, b) => cells.forEach(i => { boxOf[i] = b; }));
+
+    // sees[a * cellCount + b]: a and b can't hold the same digit
+    const sees = new Uint8Array(cellCount * cellCount);
+    for (const cells of units) {
+        for (const a of cells) for (const b of cells) if (a !== b) sees[a * cellCount + b] = 1;
+    }
+    // Cells a chess move away that don't already share a unit
+    const relations = Array.from({ length: cellCount }, () => []);
+    for (const [dr, dc] of VARIANT_MOVES[variant] || []) {
+        for (let i = 0; i < cellCount; i++) {
+            const r = Math.floor(i / size) + dr, c = (i % size) + dc;
+            if (r < 0 || r >= size || c < 0 || c >= size || sees[i * cellCount + r * size + c]) continue;
+            relations[i].push(r * size + c);
         }
-        let k = 0;
-        for (const peer of peersSet) {
-            PEERS[i * 20 + k++] = peer;
+    }
+    relations.forEach((targets, i) => targets.forEach(j => { sees[i * cellCount + j] = 1; }));
+
+    const peers = [];
+    for (let i = 0; i < cellCount; i++) {
+        const list = [];
+        for (let j = 0; j < cellCount; j++) if (sees[i * cellCount + j]) list.push(j);
+        peers.push(Uint8Array.from(list));
+    }
+
+    // Pairs of units (one of them extra) sharing 2+ cells: pointing eliminations
+    const intersections = [];
+    for (let a = 3 * size; a < units.length; a++) {
+        for (let b = 0; b < units.length; b++) {
+            if (b === a) continue;
+            const shared = units[a].filter(i => units[b].includes(i));
+            if (shared.length >= 2) intersections.push({ a, b, shared });
         }
     }
-})();
 
-// ============================================
-// Board Generation & Solving (Backtracking)
-// ============================================
+    return {
+        size,
+        boxRows,
+        boxCols,
+        cellCount,
+        maskAll: (1 << size) - 1,
+        variant,
+        units,
+        unitInfo,
+        cellUnits,
+        boxOf,
+        relations: relations.map(list => Uint8Array.from(list)),
+        peers,
+        sees,
+        intersections,
+        cages: null,
+        cageOf: null
+    };
+}
 
 /**
- * Generate a complete valid Sudoku solution using backtracking
- * @returns {number[][]} 9x9 array with complete solution
+ * Check that a variant (and Killer cages) can be played on a board size
+ * @param {number} size
+ * @param {string} variant
+ * @param {boolean} [killer=false]
+ * @returns {boolean}
  */
-function generateSolution() {
-    const board = new Int8Array(81); // Flat array is faster
-    fillBoard(board);
-    // Convert back to 9x9 for compatibility
-    const res = [];
-    for (let r = 0; r < 9; r++) {
-        const row = [];
-        for (let c = 0; c < 9; c++) row.push(board[r * 9 + c]);
-        res.push(row);
+function isSupportedRules(size, variant, killer = false) {
+    if (!BOARD_SIZES[size] || !VARIANTS.includes(variant)) return false;
+    if (VARIANT_SIZES[variant] && !VARIANT_SIZES[variant].includes(size)) return false;
+    return !killer || size === 9; // Cage sums and combinations assume digits 1-9
+}
+
+/**
+ * Rule set for a puzzle
+ * @param {object} [options]
+ * @param {number} [options.size=9] - Board size (see BOARD_SIZES)
+ * @param {string} [options.variant='classic'] - One of VARIANTS
+ * @param {object[]} [options.cages] - Killer cages ({ sum, cells }), 9×9 only
+ * @returns {object} { size, boxRows, boxCols, cellCount, maskAll, variant, units, unitInfo, cellUnits,
+ *          boxOf, relations, peers, sees, intersections, cages, cageOf }
+ */
+function getRules({ size = 9, variant = 'classic', cages = null } = {}) {
+    if (!isSupportedRules(size, variant, !!cages)) {
+        throw new Error(`Unsupported rules: ${size}x${size} ${variant}${cages ? ' killer' : ''}`);
     }
+    const key = `${size}:${variant}`;
+    if (!RULES_CACHE.has(key)) RULES_CACHE.set(key, buildRules(size, variant));
+    const rules = RULES_CACHE.get(key);
+    return cages ? { ...rules, cages, cageOf: buildCageIndex(cages) } : rules;
+}
+
+/** True for plain Sudoku rules (no variant, no cages), on any board size */
+function isClassicRules(rules) {
+    return rules.variant === 'classic' && !rules.cages;
+}
+
+const CLASSIC_RULES = getRules();
+
+/** Classic rules for a board's size: the default when no rule set is given */
+function rulesForBoard(board2D) {
+    return getRules({ size: board2D.length });
+}
+
+/** Row-major flat copy of a 2D board */
+function flattenBoard(board2D) {
+    return Int8Array.from(board2D.flat());
+}
+
+/** 2D rows of a flat board */
+function unflattenBoard(board, size) {
+    const res = [];
+    for (let r = 0; r < size; r++) res.push(Array.from(board.subarray(r * size, r * size + size)));
     return res;
 }
 
-function fillBoard(board) {
-    const idx = findEmpty(board);
-    if (idx === -1) return true;
+// ============================================
+// Seeded Random (reproducible generation)
+// ============================================
 
-    const nums = shuffleArray([1, 2, 3, 4, 5, 6, 7, 8, 9]);
-    for (const num of nums) {
-        if (isValid(board, idx, num)) {
-            board[idx] = num;
-            if (fillBoard(board)) return true;
-            board[idx] = 0;
-        }
+/**
+ * Hash a string (or number) to a 32-bit seed (FNV-1a)
+ * @param {string|number} value
+ * @returns {number}
+ */
+function hashSeed(value) {
+    let h = 0x811c9dc5;
+    for (const ch of String(value)) {
+        h ^= ch.charCodeAt(0);
+        h = Math.imul(h, 0x01000193);
     }
-    return false;
+    return h >>> 0;
+}
+
+/**
+ * Seeded PRNG (mulberry32) with the same contract as Math.random
+ * @param {string|number} seed
+ * @returns {function(): number} Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+    let state = hashSeed(seed);
+    return function () {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
 }
 
-function findEmpty(board) {
-    for (let i = 0; i < 81; i++) if (board[i] === 0) return i;
-    return -1;
+// ============================================
+// Board Generation & Solving (bitmask search)
+// ============================================
+
+/**
+ * Generate a complete valid Sudoku solution
+ * @param {function(): number} [random] - Random source (Math.random or createRandom)
+ * @param {object} [rules] - Rule set (see getRules)
+ * @returns {number[][]} Complete solution (size × size)
+ */
+function generateSolution(random = Math.random, rules = CLASSIC_RULES) {
+    const board = new Int8Array(rules.cellCount); // Flat array is faster
+    return unflattenBoard(searchSolutions(board, rules, 1, random)[0], rules.size);
 }
 
-function isValid(board, idx, num) {
+function isValid(board, idx, num, rules = CLASSIC_RULES) {
     // Check peers using precomputed table
-    const start = idx * 20;
-    for (let i = 0; i < 20; i++) {
-        if (board[PEERS[start + i]] === num) return false;
+    const peers = rules.peers[idx];
+    for (let i = 0; i < peers.length; i++) {
+        if (board[peers[i]] === num) return false;
     }
     return true;
 }
 
 // Preserve compatibility for script.js
 function isValidPlacement(board2D, r, c, num) {
-    // Convert to flat index check
-    // This is less efficient than native flat check but needed for script.js compatibility
-    // checking logic is duplicated here for safety or we can wrap.
-    // Let's implement efficiently using the 2D array.
-    for (let i = 0; i < 9; i++) {
-        if (board2D[r][i] === num) return false;
-        if (board2D[i][c] === num) return false;
-    }
-    const br = Math.floor(r / 3) * 3;
-    const bc = Math.floor(c / 3) * 3;
-    for (let rr = br; rr < br + 3; rr++) {
-        for (let cc = bc; cc < bc + 3; cc++) {
-            if (board2D[rr][cc] === num) return false;
-        }
-    }
-    return true;
+    const size = board2D.length;
+    return isValid(flattenBoard(board2D), r * size + c, num, rulesForBoard(board2D));
 }
 
 
 /**
  * Count solutions for a given board
+ * @param {number[][]} board2D - Puzzle (0 = empty)
+ * @param {number} [limit=2] - Stop counting here
+ * @param {object} [rules] - Rule set (see getRules), classic for the board's size by default
+ */
+function countSolutions(board2D, limit = 2, rules = rulesForBoard(board2D)) {
+    return searchSolutions(flattenBoard(board2D), rules, limit).length;
+}
+
+/**
+ * Solve a board (first solution found)
+ * @param {number[][]} board2D - Puzzle (0 = empty)
+ * @param {object} [rules] - Rule set (see getRules), classic for the board's size by default
+ * @returns {number[][]|null} Solved board, or null if the givens conflict or there is no solution
  */
-function countSolutions(board2D, limit = 2) {
-    // Convert to flat Int8Array for speed
-    const board = new Int8Array(81);
-    for (let r = 0; r < 9; r++)
-        for (let c = 0; c < 9; c++)
-            board[r * 9 + c] = board2D[r][c];
-
-    let count = 0;
-    function solve() {
-        if (count >= limit) return;
-        const idx = findEmpty(board);
-        if (idx === -1) {
-            count++;
+function findSolution(board2D, rules = rulesForBoard(board2D)) {
+    const found = searchSolutions(flattenBoard(board2D), rules, 1);
+    return found.length > 0 ? unflattenBoard(found[0], rules.size) : null;
+}
+
+/**
+ * Search solutions with bitmask bookkeeping. Every node branches on the most constrained
+ * choice: a digit with a single place left in a unit, else the empty cell with the fewest
+ * candidates (a cell without candidates or a digit without a place ends the branch).
+ * Handles any rule set (board size, variant peers, Killer cages); with few givens and big
+ * cages the tree can still be huge, so Killer generation doesn't rely on it.
+ * @param {Int8Array} board - Flat board, filled in place while searching (left as given)
+ * @param {object} rules - Rule set (see getRules)
+ * @param {number} limit - Stop after this many solutions
+ * @param {function(): number} [random] - Try digits in random order (to generate a solution)
+ * @returns {Int8Array[]} Solutions found (copies); none if the givens conflict
+ */
+function searchSolutions(board, rules, limit, random) {
+    const { cellCount, maskAll, units, cellUnits, relations, cages, cageOf } = rules;
+    const unitUsed = new Uint16Array(units.length);
+    const cageCount = cages ? cages.length : 0;
+    const cageUsed = new Uint16Array(cageCount);
+    const cageLeft = new Int16Array(cageCount);  // Sum still missing
+    const cageEmpty = new Int8Array(cageCount);
+    // Candidate masks of each search depth, so nodes don't allocate
+    const maskStack = new Uint16Array(cellCount * (cellCount + 1));
+    const solutions = [];
+
+    for (let c = 0; c < cageCount; c++) {
+        cageLeft[c] = cages[c].sum;
+        cageEmpty[c] = cages[c].cells.length;
+    }
+
+    function set(i, value, on) {
+        const bit = BITS[value];
+        const cellU = cellUnits[i];
+        for (let k = 0; k < cellU.length; k++) unitUsed[cellU[k]] ^= bit;
+        const cage = cages ? cageOf[i] : -1;
+        if (cage !== -1) {
+            cageUsed[cage] ^= bit;
+            cageLeft[cage] += on ? -value : value;
+            cageEmpty[cage] += on ? -1 : 1;
+        }
+    }
+
+    function candidatesOf(i) {
+        let mask = maskAll;
+        const cellU = cellUnits[i];
+        for (let k = 0; k < cellU.length; k++) mask &= ~unitUsed[cellU[k]];
+        const related = relations[i];
+        for (let k = 0; k < related.length; k++) {
+            if (board[related[k]] !== 0) mask &= ~BITS[board[related[k]]];
+        }
+        const cage = cages ? cageOf[i] : -1;
+        if (cage !== -1) mask &= cageDigitMask(cageEmpty[cage], cageLeft[cage], cageUsed[cage]);
+        return mask;
+    }
+
+    for (let i = 0; i < cellCount; i++) {
+        if (board[i] === 0) continue;
+        // Givens that clash with each other or with their cage: no solution
+        if (!(candidatesOf(i) & BITS[board[i]])) return solutions;
+        set(i, board[i], true);
+    }
+
+    function solve(depth) {
+        const base = depth * cellCount;
+        let best = -1, bestMask = 0, bestCount = Infinity;
+        for (let i = 0; i < cellCount; i++) {
+            if (board[i] !== 0) continue;
+            const mask = maskStack[base + i] = candidatesOf(i);
+            const count = popcount(mask);
+            if (count === 0) return;
+            if (count < bestCount) {
+                best = i; bestMask = mask; bestCount = count;
+                if (count === 1) break;
+            }
+        }
+        if (best === -1) {
+            solutions.push(new Int8Array(board));
             return;
         }
-        for (let num = 1; num <= 9; num++) {
-            if (isValid(board, idx, num)) {
-                board[idx] = num;
-                solve();
-                board[idx] = 0;
+        // No naked single: look for a digit with one place left in a unit (none left is a dead end).
+        // Big boards are hopeless without this.
+        for (let u = 0; u < units.length && bestCount > 1; u++) {
+            const cells = units[u];
+            let once = 0, twice = 0;
+            for (let k = 0; k < cells.length; k++) {
+                if (board[cells[k]] !== 0) continue;
+                const mask = maskStack[base + cells[k]];
+                twice |= once & mask;
+                once |= mask;
+            }
+            const missing = maskAll & ~unitUsed[u];
+            if (missing & ~once) return;
+            const single = missing & once & ~twice;
+            if (single) {
+                bestMask = single & -single;
+                bestCount = 1;
+                for (let k = 0; k < cells.length; k++) {
+                    if (board[cells[k]] === 0 && (maskStack[base + cells[k]] & bestMask)) {
+                        best = cells[k];
+                        break;
+                    }
+                }
             }
         }
+
+        const values = maskToValues(bestMask);
+        if (random) shuffleArray(values, random);
+        for (const value of values) {
+            if (solutions.length >= limit) return;
+            board[best] = value;
+            set(best, value, true);
+            solve(depth + 1);
+            set(best, value, false);
+            board[best] = 0;
+        }
     }
-    solve();
-    return count;
+
+    solve(0);
+    return solutions;
 }
 
-function shuffleArray(array) {
+function shuffleArray(array, random = Math.random) {
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]];
     }
     return array;
@@ -168,43 +427,92 @@ function lsb(n) {
     return Math.log2(n & -n);
 }
 
+/** Candidate bitmask -> array of values (1-based) */
+function maskToValues(mask) {
+    const values = [];
+    for (let n = 0; mask >> n; n++) if (mask & (1 << n)) values.push(n + 1);
+    return values;
+}
+
+/** Describe unit index from getAllUnits() (rows, then columns, then boxes; 9 of each on 9×9) */
+function describeUnit(u, size = 9) {
+    if (u < size) return { type: 'row', index: u };
+    if (u < 2 * size) return { type: 'col', index: u - size };
+    return { type: 'box', index: u - 2 * size };
+}
+
+// --- Step Recording ---
+// Strategies accept an optional `log` array. When given, every deduction is pushed
+// as a plain (serializable) step: technique, digits and cells of the pattern, units
+// involved, and the placements/eliminations it produced. Without a log no step
+// objects are allocated, so the generator hot path is unaffected.
+
+function createStep(technique, digitMask, cells, units) {
+    return {
+        technique,
+        digits: maskToValues(digitMask),
+        cells: [...cells],
+        units: units || [],
+        placements: [],
+        eliminations: []
+    };
+}
+
+function commitStep(log, step) {
+    if (step.placements.length > 0 || step.eliminations.length > 0) log.push(step);
+}
+
+/** Remove `mask` bits from a cell's candidates. Returns true if anything was removed. */
+function eliminate(candidates, idx, mask, step) {
+    const removed = candidates[idx] & mask;
+    if (removed === 0) return false;
+    candidates[idx] &= ~removed;
+    if (step) {
+        for (const value of maskToValues(removed)) step.eliminations.push({ cell: idx, value });
+    }
+    return true;
+}
+
+/** Place value (0-based val0) and clear it from peers */
+function placeValue(board, candidates, idx, val0, step, rules) {
+    board[idx] = val0 + 1;
+    candidates[idx] = 0;
+    eliminateFromPeers(candidates, idx, 1 << val0, rules);
+    if (step) step.placements.push({ cell: idx, value: val0 + 1 });
+}
+
 /**
  * Compatibility wrapper for script.js
  * Returns Set[][] representing candidates
+ * @param {number[][]} board2D
+ * @param {object} [rules] - Rule set (see getRules); Killer cells are also limited to the cage combinations
  */
-function getCandidates(board2D) {
+function getCandidates(board2D, rules = rulesForBoard(board2D)) {
     // Build bitmask board
-    const candidates = new Uint16Array(81);
-    const board = new Int8Array(81);
-    for (let r = 0; r < 9; r++)
-        for (let c = 0; c < 9; c++)
-            board[r * 9 + c] = board2D[r][c];
-
-    // Initialize candidates
-    for (let i = 0; i < 81; i++) {
-        if (board[i] !== 0) {
-            candidates[i] = 0;
-        } else {
-            let mask = 0;
-            for (let n = 1; n <= 9; n++) {
-                if (isValid(board, i, n)) mask |= (1 << (n - 1));
+    const board = flattenBoard(board2D);
+    const candidates = initCandidates(board, rules);
+    if (rules.cages) {
+        for (const cage of rules.cages) {
+            let used = 0, left = cage.sum, empty = 0;
+            for (const i of cage.cells) {
+                if (board[i] !== 0) {
+                    used |= BITS[board[i]];
+                    left -= board[i];
+                } else {
+                    empty++;
+                }
             }
-            candidates[i] = mask;
+            const mask = cageDigitMask(empty, left, used);
+            for (const i of cage.cells) candidates[i] &= mask;
         }
     }
 
-    // Convert to Sets for external use (row-major 9x9)
-    const res = Array.from({ length: 9 }, () => Array(9));
-    for (let r = 0; r < 9; r++) {
-        for (let c = 0; c < 9; c++) {
-            const set = new Set();
-            const mask = candidates[r * 9 + c];
-            if (mask > 0) {
-                for (let n = 0; n < 9; n++) {
-                    if (mask & (1 << n)) set.add(n + 1);
-                }
-            }
-            res[r][c] = set;
+    // Convert to Sets for external use (row-major)
+    const { size } = rules;
+    const res = Array.from({ length: size }, () => Array(size));
+    for (let r = 0; r < size; r++) {
+        for (let c = 0; c < size; c++) {
+            res[r][c] = new Set(maskToValues(candidates[r * size + c]));
         }
     }
     return res;
@@ -213,110 +521,50 @@ function getCandidates(board2D) {
 // --- Strategies ---
 
 /** Naked Single: Cell has exactly 1 candidate */
-function applyNakedSingles(board, candidates) {
+function applyNakedSingles(board, candidates, log, rules) {
     let progress = false;
-    for (let i = 0; i < 81; i++) {
+    for (let i = 0; i < rules.cellCount; i++) {
         if (board[i] === 0 && popcount(candidates[i]) === 1) {
-            const val0 = lsb(candidates[i]); // 0-8
-            const val = val0 + 1;
-            board[i] = val;
-            candidates[i] = 0;
-            eliminateFromPeers(candidates, i, 1 << val0);
+            const val0 = lsb(candidates[i]); // 0-based value
+            const step = log ? createStep('Naked Single', 1 << val0, [i]) : null;
+            placeValue(board, candidates, i, val0, step, rules);
+            if (step) commitStep(log, step);
             progress = true;
         }
     }
     return progress;
 }
 
-function eliminateFromPeers(candidates, idx, mask) {
-    const start = idx * 20;
+function eliminateFromPeers(candidates, idx, mask, rules) {
+    const peers = rules.peers[idx];
     const invMask = ~mask;
-    for (let k = 0; k < 20; k++) {
-        const peer = PEERS[start + k];
-        candidates[peer] &= invMask;
+    for (let k = 0; k < peers.length; k++) {
+        candidates[peers[k]] &= invMask;
     }
 }
 
 /** Hidden Single: Candidate appears once in a unit */
-function applyHiddenSingles(board, candidates) {
+function applyHiddenSingles(board, candidates, log, rules) {
     let progress = false;
-    // Rows
-    for (let r = 0; r < 9; r++) {
-        const counts = new Int8Array(9).fill(0);
-        const lastIdx = new Int8Array(9).fill(-1);
-        for (let c = 0; c < 9; c++) {
-            const idx = r * 9 + c;
-            if (board[idx] !== 0) continue;
-            const mask = candidates[idx];
-            for (let n = 0; n < 9; n++) {
-                if (mask & (1 << n)) {
-                    counts[n]++;
-                    lastIdx[n] = idx;
-                }
-            }
-        }
-        for (let n = 0; n < 9; n++) {
-            if (counts[n] === 1) {
-                const idx = lastIdx[n];
-                board[idx] = n + 1;
-                candidates[idx] = 0;
-                eliminateFromPeers(candidates, idx, 1 << n);
-                progress = true;
-            }
-        }
-    }
-    // Cols (similar logic, omitted for brevity but required? No, I must implement all units)
-    // Actually, let's iterate generalized units (27 total)
-    // To save code size, maybe I should use unit definitions.
-    // ... For performance, individual loops are faster. I'll implement Box and Col.
-
-    // Cols
-    for (let c = 0; c < 9; c++) {
-        const counts = new Int8Array(9).fill(0);
-        const lastIdx = new Int8Array(9).fill(-1);
-        for (let r = 0; r < 9; r++) {
-            const idx = r * 9 + c;
+    // Rows, columns, boxes, then the variant's extra units
+    const { size } = rules;
+    for (let u = 0; u < rules.units.length; u++) {
+        const counts = new Int8Array(size);
+        const lastIdx = new Int16Array(size).fill(-1);
+        for (const idx of rules.units[u]) {
             if (board[idx] !== 0) continue;
             const mask = candidates[idx];
-            for (let n = 0; n < 9; n++) {
+            for (let n = 0; n < size; n++) {
                 if (mask & (1 << n)) { counts[n]++; lastIdx[n] = idx; }
             }
         }
-        for (let n = 0; n < 9; n++) {
+        for (let n = 0; n < size; n++) {
             if (counts[n] === 1) {
                 const idx = lastIdx[n];
-                if (board[idx] === 0) { // Check again in case row filled it
-                    board[idx] = n + 1;
-                    candidates[idx] = 0;
-                    eliminateFromPeers(candidates, idx, 1 << n);
-                    progress = true;
-                }
-            }
-        }
-    }
-    // Boxes
-    for (let b = 0; b < 9; b++) {
-        const counts = new Int8Array(9).fill(0);
-        const lastIdx = new Int8Array(9).fill(-1);
-        const startR = Math.floor(b / 3) * 3;
-        const startC = (b % 3) * 3;
-        for (let r = startR; r < startR + 3; r++) {
-            for (let c = startC; c < startC + 3; c++) {
-                const idx = r * 9 + c;
-                if (board[idx] !== 0) continue;
-                const mask = candidates[idx];
-                for (let n = 0; n < 9; n++) {
-                    if (mask & (1 << n)) { counts[n]++; lastIdx[n] = idx; }
-                }
-            }
-        }
-        for (let n = 0; n < 9; n++) {
-            if (counts[n] === 1) {
-                const idx = lastIdx[n];
-                if (board[idx] === 0) {
-                    board[idx] = n + 1;
-                    candidates[idx] = 0;
-                    eliminateFromPeers(candidates, idx, 1 << n);
+                if (board[idx] === 0) { // Check again in case another digit filled it
+                    const step = log ? createStep('Hidden Single', 1 << n, [idx], [rules.unitInfo[u]]) : null;
+                    placeValue(board, candidates, idx, n, step, rules);
+                    if (step) commitStep(log, step);
                     progress = true;
                 }
             }
@@ -327,10 +575,11 @@ function applyHiddenSingles(board, candidates) {
 }
 
 /** Naked Subsets (Pairs/Triples) */
-function applyNakedSubsets(board, candidates) {
+function applyNakedSubsets(board, candidates, log, rules) {
     let progress = false;
-    const units = getAllUnits(); // We'll need a helper for indices
-    for (const unit of units) {
+    const units = rules.units;
+    for (let u = 0; u < units.length; u++) {
+        const unit = units[u];
         // Collect masks in this unit
         const masks = [];
         const indices = []; // Map back to board index
@@ -351,20 +600,18 @@ function applyNakedSubsets(board, candidates) {
                 if (masks[i] === masks[j] && popcount(masks[i]) === 2) {
                     // Start elimination
                     const mask = masks[i];
-                    const invMask = ~mask;
+                    const step = log ? createStep('Naked Pair', mask, [indices[i], indices[j]], [rules.unitInfo[u]]) : null;
                     for (const idx of unit) {
                         if (idx !== indices[i] && idx !== indices[j] && board[idx] === 0) {
-                            if ((candidates[idx] & mask) !== 0) {
-                                candidates[idx] &= invMask;
-                                progress = true;
-                            }
+                            if (eliminate(candidates, idx, mask, step)) progress = true;
                         }
                     }
+                    if (step) commitStep(log, step);
                 }
             }
         }
 
-        // Triples (expensive O(n^3), but n <= 9)
+        // Triples (expensive O(n^3), but n <= 16)
         for (let i = 0; i < masks.length; i++) {
             for (let j = i + 1; j < masks.length; j++) {
                 for (let k = j + 1; k < masks.length; k++) {
@@ -375,15 +622,13 @@ function applyNakedSubsets(board, candidates) {
                             (masks[j] & ~combined) === 0 &&
                             (masks[k] & ~combined) === 0) {
 
-                            const invMask = ~combined;
+                            const step = log ? createStep('Naked Triple', combined, [indices[i], indices[j], indices[k]], [rules.unitInfo[u]]) : null;
                             for (const idx of unit) {
                                 if (idx !== indices[i] && idx !== indices[j] && idx !== indices[k] && board[idx] === 0) {
-                                    if ((candidates[idx] & combined) !== 0) {
-                                        candidates[idx] &= invMask;
-                                        progress = true;
-                                    }
+                                    if (eliminate(candidates, idx, combined, step)) progress = true;
                                 }
                             }
+                            if (step) commitStep(log, step);
                         }
                     }
                 }
@@ -394,37 +639,37 @@ function applyNakedSubsets(board, candidates) {
 }
 
 /** Hidden Subsets (Pairs/Triples) */
-function applyHiddenSubsets(board, candidates) {
+function applyHiddenSubsets(board, candidates, log, rules) {
     let progress = false;
-    const units = getAllUnits();
+    const { units, size } = rules;
 
-    for (const unit of units) {
+    for (let u = 0; u < units.length; u++) {
+        const unit = units[u];
         // Map candidate -> list of cells [idx, idx...]
-        const places = Array.from({ length: 9 }, () => []);
+        const places = Array.from({ length: size }, () => []);
         for (const idx of unit) {
             if (board[idx] === 0) {
                 const mask = candidates[idx];
-                for (let n = 0; n < 9; n++) {
+                for (let n = 0; n < size; n++) {
                     if (mask & (1 << n)) places[n].push(idx);
                 }
             }
         }
 
         // Pairs
-        for (let n1 = 0; n1 < 9; n1++) {
+        for (let n1 = 0; n1 < size; n1++) {
             if (places[n1].length !== 2) continue;
-            for (let n2 = n1 + 1; n2 < 9; n2++) {
+            for (let n2 = n1 + 1; n2 < size; n2++) {
                 if (places[n2].length !== 2) continue;
                 // Must be same cells
                 if (places[n1][0] === places[n2][0] && places[n1][1] === places[n2][1]) {
                     // Hidden Pair found at places[n1]
                     const mask = (1 << n1) | (1 << n2);
+                    const step = log ? createStep('Hidden Pair', mask, places[n1], [rules.unitInfo[u]]) : null;
                     for (const idx of places[n1]) {
-                        if ((candidates[idx] & ~mask) !== 0) {
-                            candidates[idx] &= mask; // clear other candidates
-                            progress = true;
-                        }
+                        if (eliminate(candidates, idx, ~mask, step)) progress = true; // clear other candidates
                     }
+                    if (step) commitStep(log, step);
                 }
             }
         }
@@ -438,60 +683,57 @@ function applyHiddenSubsets(board, candidates) {
 }
 
 /** Pointing Pairs */
-function applyPointingPairs(board, candidates) {
+function applyPointingPairs(board, candidates, log, rules) {
     let progress = false;
-    for (let b = 0; b < 9; b++) {
-        const startR = Math.floor(b / 3) * 3;
-        const startC = (b % 3) * 3;
+    const { size, units } = rules;
+    for (let b = 0; b < size; b++) {
+        const box = units[2 * size + b];
 
-        // For each candidate 1-9
-        for (let n = 0; n < 9; n++) {
+        // For each candidate
+        for (let n = 0; n < size; n++) {
             const bit = 1 << n;
-            let rows = 0; // bitmask of rows in this box having candidate n
-            let cols = 0; // bitmask of cols in this box
-            let count = 0;
-
-            for (let r = 0; r < 3; r++) {
-                for (let c = 0; c < 3; c++) {
-                    const idx = (startR + r) * 9 + (startC + c);
-                    if (board[idx] === 0 && (candidates[idx] & bit)) {
-                        rows |= (1 << r);
-                        cols |= (1 << c);
-                        count++;
-                    }
+            const cells = box.filter(idx => board[idx] === 0 && (candidates[idx] & bit));
+            if (cells.length === 0) continue;
+
+            const row = Math.floor(cells[0] / size);
+            const col = cells[0] % size;
+
+            // Pointing Row: all in one row? Eliminate from the rest of it
+            if (cells.every(idx => Math.floor(idx / size) === row)) {
+                const step = log ? createStep('Pointing Pair', bit, cells, [{ type: 'box', index: b }, { type: 'row', index: row }]) : null;
+                for (const idx of units[row]) {
+                    if (!box.includes(idx) && board[idx] === 0 && eliminate(candidates, idx, bit, step)) progress = true;
                 }
+                if (step) commitStep(log, step);
             }
-
-            if (count > 0) {
-                // Pointing Row
-                if (popcount(rows) === 1) { // All in one row?
-                    const r = lsb(rows); // 0, 1, or 2 relative to box
-                    const absR = startR + r;
-                    // Eliminate from rest of row
-                    for (let c = 0; c < 9; c++) {
-                        if (c < startC || c >= startC + 3) {
-                            const idx = absR * 9 + c;
-                            if (board[idx] === 0 && (candidates[idx] & bit)) {
-                                candidates[idx] &= ~bit;
-                                progress = true;
-                            }
-                        }
-                    }
+            // Pointing Col
+            if (cells.every(idx => idx % size === col)) {
+                const step = log ? createStep('Pointing Pair', bit, cells, [{ type: 'box', index: b }, { type: 'col', index: col }]) : null;
+                for (const idx of units[size + col]) {
+                    if (!box.includes(idx) && board[idx] === 0 && eliminate(candidates, idx, bit, step)) progress = true;
                 }
-                // Pointing Col
-                if (popcount(cols) === 1) {
-                    const c = lsb(cols);
-                    const absC = startC + c;
-                    for (let r = 0; r < 9; r++) {
-                        if (r < startR || r >= startR + 3) {
-                            const idx = r * 9 + absC;
-                            if (board[idx] === 0 && (candidates[idx] & bit)) {
-                                candidates[idx] &= ~bit;
-                                progress = true;
-                            }
-                        }
-                    }
+                if (step) commitStep(log, step);
+            }
+        }
+    }
+
+    // Variant units: a digit confined to where an extra unit crosses another unit
+    // can't go anywhere else in the other one (both directions)
+    for (const { a, b, shared } of rules.intersections) {
+        for (let n = 0; n < size; n++) {
+            const bit = 1 << n;
+            const inShared = shared.filter(idx => board[idx] === 0 && (candidates[idx] & bit));
+            if (inShared.length === 0) continue;
+
+            for (const [from, to] of [[a, b], [b, a]]) {
+                const confined = rules.units[from].every(idx =>
+                    shared.includes(idx) || board[idx] !== 0 || !(candidates[idx] & bit));
+                if (!confined) continue;
+                const step = log ? createStep('Pointing Pair', bit, inShared, [rules.unitInfo[from], rules.unitInfo[to]]) : null;
+                for (const idx of rules.units[to]) {
+                    if (!shared.includes(idx) && board[idx] === 0 && eliminate(candidates, idx, bit, step)) progress = true;
                 }
+                if (step) commitStep(log, step);
             }
         }
     }
@@ -499,17 +741,18 @@ function applyPointingPairs(board, candidates) {
 }
 
 /** X-Wing */
-function applyXWing(board, candidates) {
+function applyXWing(board, candidates, log, rules) {
     let progress = false;
-    for (let n = 0; n < 9; n++) {
+    const N = rules.size;
+    for (let n = 0; n < N; n++) {
         const bit = 1 << n;
 
         // Row-based X-Wing
         const rRows = [];
-        for (let r = 0; r < 9; r++) {
+        for (let r = 0; r < N; r++) {
             let colsMask = 0;
-            for (let c = 0; c < 9; c++) {
-                if (board[r * 9 + c] === 0 && (candidates[r * 9 + c] & bit)) {
+            for (let c = 0; c < N; c++) {
+                if (board[r * N + c] === 0 && (candidates[r * N + c] & bit)) {
                     colsMask |= (1 << c);
                 }
             }
@@ -522,20 +765,18 @@ function applyXWing(board, candidates) {
                     const c2 = lsb(rRows[i].mask ^ (1 << c1)); // second bit
                     const r1 = rRows[i].r;
                     const r2 = rRows[j].r;
+                    const step = log ? createStep('X-Wing', bit,
+                        [r1 * N + c1, r1 * N + c2, r2 * N + c1, r2 * N + c2],
+                        [{ type: 'row', index: r1 }, { type: 'row', index: r2 }]) : null;
 
                     // Eliminate from these cols in other rows
-                    for (let r = 0; r < 9; r++) {
+                    for (let r = 0; r < N; r++) {
                         if (r !== r1 && r !== r2) {
-                            if (board[r * 9 + c1] === 0 && (candidates[r * 9 + c1] & bit)) {
-                                candidates[r * 9 + c1] &= ~bit;
-                                progress = true;
-                            }
-                            if (board[r * 9 + c2] === 0 && (candidates[r * 9 + c2] & bit)) {
-                                candidates[r * 9 + c2] &= ~bit;
-                                progress = true;
-                            }
+                            if (board[r * N + c1] === 0 && eliminate(candidates, r * N + c1, bit, step)) progress = true;
+                            if (board[r * N + c2] === 0 && eliminate(candidates, r * N + c2, bit, step)) progress = true;
                         }
                     }
+                    if (step) commitStep(log, step);
                 }
             }
         }
@@ -543,10 +784,10 @@ function applyXWing(board, candidates) {
         // Col-based X-Wing (omitted for brevity, can implement if strict req, but usually row is enough for 90% cases or I'll implement for correctness)
         // ... Implementing Col-based for correctness
         const cCols = [];
-        for (let c = 0; c < 9; c++) {
+        for (let c = 0; c < N; c++) {
             let rowsMask = 0;
-            for (let r = 0; r < 9; r++) {
-                if (board[r * 9 + c] === 0 && (candidates[r * 9 + c] & bit)) {
+            for (let r = 0; r < N; r++) {
+                if (board[r * N + c] === 0 && (candidates[r * N + c] & bit)) {
                     rowsMask |= (1 << r);
                 }
             }
@@ -559,18 +800,16 @@ function applyXWing(board, candidates) {
                     const r2 = lsb(cCols[i].mask ^ (1 << r1));
                     const c1 = cCols[i].c;
                     const c2 = cCols[j].c;
-                    for (let c = 0; c < 9; c++) {
+                    const step = log ? createStep('X-Wing', bit,
+                        [r1 * N + c1, r2 * N + c1, r1 * N + c2, r2 * N + c2],
+                        [{ type: 'col', index: c1 }, { type: 'col', index: c2 }]) : null;
+                    for (let c = 0; c < N; c++) {
                         if (c !== c1 && c !== c2) {
-                            if (board[r1 * 9 + c] === 0 && (candidates[r1 * 9 + c] & bit)) {
-                                candidates[r1 * 9 + c] &= ~bit;
-                                progress = true;
-                            }
-                            if (board[r2 * 9 + c] === 0 && (candidates[r2 * 9 + c] & bit)) {
-                                candidates[r2 * 9 + c] &= ~bit;
-                                progress = true;
-                            }
+                            if (board[r1 * N + c] === 0 && eliminate(candidates, r1 * N + c, bit, step)) progress = true;
+                            if (board[r2 * N + c] === 0 && eliminate(candidates, r2 * N + c, bit, step)) progress = true;
                         }
                     }
+                    if (step) commitStep(log, step);
                 }
             }
         }
@@ -578,82 +817,87 @@ function applyXWing(board, candidates) {
     return progress;
 }
 
-/** Swordfish */
-function applySwordfish(board, candidates) {
+/** Swordfish: three rows whose places for a digit share three columns (or the reverse) */
+function applySwordfish(board, candidates, log, rules) {
+    return applyFish(board, candidates, log, rules, 3, 'Swordfish');
+}
+
+/**
+ * Fish of `order` lines (3 = Swordfish, 4 = Jellyfish): when a digit's places in
+ * `order` rows all fall in `order` columns, the digit goes nowhere else in those
+ * columns. Then the same with rows and columns swapped.
+ */
+function applyFish(board, candidates, log, rules, order, technique) {
     let progress = false;
-    for (let n = 0; n < 9; n++) {
+    const N = rules.size;
+    for (let n = 0; n < N; n++) {
         const bit = 1 << n;
-        // Row-based
-        const rRows = [];
-        for (let r = 0; r < 9; r++) {
-            let mask = 0;
-            for (let c = 0; c < 9; c++) if (board[r * 9 + c] === 0 && (candidates[r * 9 + c] & bit)) mask |= (1 << c);
-            const cnt = popcount(mask);
-            if (cnt >= 2 && cnt <= 3) rRows.push({ r, mask });
-        }
-        if (rRows.length >= 3) {
-            for (let i = 0; i < rRows.length; i++) {
-                for (let j = i + 1; j < rRows.length; j++) {
-                    for (let k = j + 1; k < rRows.length; k++) {
-                        const combined = rRows[i].mask | rRows[j].mask | rRows[k].mask;
-                        if (popcount(combined) === 3) {
-                            const rows = [rRows[i].r, rRows[j].r, rRows[k].r];
-                            // Eliminate from cols in combined mask
-                            for (let c = 0; c < 9; c++) {
-                                if (combined & (1 << c)) {
-                                    for (let r = 0; r < 9; r++) {
-                                        if (!rows.includes(r)) {
-                                            if (board[r * 9 + c] === 0 && (candidates[r * 9 + c] & bit)) {
-                                                candidates[r * 9 + c] &= ~bit;
-                                                progress = true;
-                                            }
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                    }
+        for (const byCol of [false, true]) {
+            // Base lines: the digit's places in each line as a mask of cover lines
+            const bases = [];
+            for (let line = 0; line < N; line++) {
+                let mask = 0;
+                for (let x = 0; x < N; x++) {
+                    const idx = byCol ? x * N + line : line * N + x;
+                    if (board[idx] === 0 && (candidates[idx] & bit)) mask |= (1 << x);
                 }
+                const count = popcount(mask);
+                if (count >= 2 && count <= order) bases.push({ line, mask });
             }
-        }
-
-        // Col-based (Optimized)
-        const cCols = [];
-        for (let c = 0; c < 9; c++) {
-            let mask = 0;
-            for (let r = 0; r < 9; r++) if (board[r * 9 + c] === 0 && (candidates[r * 9 + c] & bit)) mask |= (1 << r);
-            if (popcount(mask) >= 2 && popcount(mask) <= 3) cCols.push({ c, mask });
-        }
-        if (cCols.length >= 3) {
-            for (let i = 0; i < cCols.length; i++) {
-                for (let j = i + 1; j < cCols.length; j++) {
-                    for (let k = j + 1; k < cCols.length; k++) {
-                        const combined = cCols[i].mask | cCols[j].mask | cCols[k].mask;
-                        if (popcount(combined) === 3) {
-                            const cols = [cCols[i].c, cCols[j].c, cCols[k].c];
-                            for (let r = 0; r < 9; r++) {
-                                if (combined & (1 << r)) { // combined is row mask here
-                                    for (let c = 0; c < 9; c++) {
-                                        if (!cols.includes(c) && board[r * 9 + c] === 0 && (candidates[r * 9 + c] & bit)) {
-                                            candidates[r * 9 + c] &= ~bit;
-                                            progress = true;
-                                        }
-                                    }
-                                }
-                            }
-                        }
+            if (bases.length < order) continue;
+
+            forEachCombination(bases.length, order, picked => {
+                let combined = 0;
+                for (const k of picked) combined |= bases[k].mask;
+                if (popcount(combined) !== order) return;
+
+                const lines = picked.map(k => bases[k].line);
+                const step = log ? createStep(technique, bit, fishCells(lines, combined, byCol, N),
+                    lines.map(line => ({ type: byCol ? 'col' : 'row', index: line }))) : null;
+                // Eliminate from the cover lines outside the base lines
+                for (let cover = 0; cover < N; cover++) {
+                    if (!(combined & (1 << cover))) continue;
+                    for (let x = 0; x < N; x++) {
+                        if (lines.includes(x)) continue;
+                        const idx = byCol ? cover * N + x : x * N + cover;
+                        if (board[idx] === 0 && eliminate(candidates, idx, bit, step)) progress = true;
                     }
                 }
-            }
+                if (step) commitStep(log, step);
+            });
         }
     }
     return progress;
 }
 
+/** Call fn with every ascending choice of k indices below n */
+function forEachCombination(n, k, fn, start = 0, picked = []) {
+    if (picked.length === k) {
+        fn(picked);
+        return;
+    }
+    for (let i = start; i <= n - (k - picked.length); i++) {
+        picked.push(i);
+        forEachCombination(n, k, fn, i + 1, picked);
+        picked.pop();
+    }
+}
+
+/** Cells at the intersections of fish base lines and cover mask (for step recording) */
+function fishCells(lines, coverMask, byCol, size) {
+    const cells = [];
+    for (const line of lines) {
+        for (let x = 0; x < size; x++) {
+            if (coverMask & (1 << x)) cells.push(byCol ? x * size + line : line * size + x);
+        }
+    }
+    return cells;
+}
+
 /** XY-Wing */
-function applyXYWing(board, candidates) {
+function applyXYWing(board, candidates, log, rules) {
     let progress = false;
-    for (let i = 0; i < 81; i++) {
+    for (let i = 0; i < rules.cellCount; i++) {
         if (board[i] !== 0 || popcount(candidates[i]) !== 2) continue;
 
         // Pivot 'i' has candidates X, Y
@@ -662,10 +906,10 @@ function applyXYWing(board, candidates) {
         const maskXY = candidates[i];
 
         // Find wings in peers
-        const start = i * 20;
+        const pivotPeers = rules.peers[i];
         const potentialWings = [];
-        for (let k = 0; k < 20; k++) {
-            const peer = PEERS[start + k];
+        for (let k = 0; k < pivotPeers.length; k++) {
+            const peer = pivotPeers[k];
             if (board[peer] === 0 && popcount(candidates[peer]) === 2) {
                 potentialWings.push(peer);
             }
@@ -690,109 +934,237 @@ function applyXYWing(board, candidates) {
 
                 // Valid XY-Wing found: Pivot(XY) + Wing1(XZ) + Wing2(YZ)
                 // Eliminate Z from intersection of peers of Wing1 and Wing2
+                const step = log ? createStep('XY-Wing', maskXY | zBit, [i, w1, w2]) : null;
 
                 // Ideally we intersect peer lists, but fast check:
                 // Check peers of W1, see if they are also peer/visible to W2
-                const w1Start = w1 * 20;
-                for (let p = 0; p < 20; p++) {
-                    const target = PEERS[w1Start + p];
+                const w1Peers = rules.peers[w1];
+                for (let p = 0; p < w1Peers.length; p++) {
+                    const target = w1Peers[p];
                     if (target === i || target === w2) continue; // Skip pivot and wings
                     if (board[target] === 0 && (candidates[target] & zBit)) {
                         // Check visibility to W2
-                        if (isSeenBy(target, w2)) {
-                            candidates[target] &= ~zBit;
+                        if (isSeenBy(target, w2, rules)) {
+                            eliminate(candidates, target, zBit, step);
                             progress = true;
                         }
                     }
                 }
+                if (step) commitStep(log, step);
             }
         }
     }
     return progress;
 }
 
-// Helper: fast visibility check using coordinate math
-function isSeenBy(idx1, idx2) {
-    const r1 = Math.floor(idx1 / 9), c1 = idx1 % 9;
-    const r2 = Math.floor(idx2 / 9), c2 = idx2 % 9;
-    if (r1 === r2 || c1 === c2) return true;
-    const br1 = Math.floor(r1 / 3), bc1 = Math.floor(c1 / 3);
-    const br2 = Math.floor(r2 / 3), bc2 = Math.floor(c2 / 3);
-    return br1 === br2 && bc1 === bc2;
+// Helper: fast visibility check using the rule set's peer matrix
+function isSeenBy(idx1, idx2, rules = CLASSIC_RULES) {
+    return rules.sees[idx1 * rules.cellCount + idx2] === 1;
 }
 
 
 // --- Main Solver & Board Config ---
 
-function solvePuzzleWithLogic(board2D) {
+// Strategies in the order the solver tries them (cheap ones first).
+// `level` keys into TECHNIQUE_NAMES; fractional levels are variants of the integer level.
+const STRATEGIES = [
+    { level: 1, apply: applyNakedSingles },
+    { level: 2, apply: applyHiddenSingles },
+    // Moderate cost
+    { level: 3, apply: applyNakedSubsets },
+    { level: 3, apply: applyHiddenSubsets },
+    { level: 4, apply: applyPointingPairs },
+    // Expensive
+    { level: 5, apply: applyXWing },
+    { level: 5.1, apply: applyUniqueRectangleType1 }, // New Master technique
+    { level: 5.2, apply: applySkyscraper },
+    { level: 5.3, apply: applyTwoStringKite },
+    { level: 5.4, apply: applyEmptyRectangle },
+    { level: 6, apply: applySwordfish },
+    { level: 6.1, apply: applyJellyfish },
+    { level: 7, apply: applyXYWing },
+    { level: 7.1, apply: applyXYZWing },
+    { level: 7.2, apply: applyWWing },
+    // Chains: tried last, they search every candidate
+    { level: 8, apply: applySimpleColoring },
+    { level: 8.1, apply: applyXChain },
+    { level: 8.2, apply: applyAIC }
+];
+
+// Technique name of each strategy level: what techniquesUsed lists
+const TECHNIQUE_NAMES = {
+    1: 'Naked Single', 2: 'Hidden Single', 3: 'Naked/Hidden Subsets',
+    2.1: 'Cage Combination', 2.2: 'Rule of 45', // Killer only
+    4: 'Pointing Pairs', 5: 'X-Wing', 6: 'Swordfish', 7: 'XY-Wing',
+    5.1: 'Unique Rectangle', // Treat as Level 5 variant
+    5.2: 'Skyscraper', // Level 5 variant (single-digit, like X-Wing)
+    5.3: '2-String Kite', 5.4: 'Empty Rectangle', // Level 5 variants (single-digit)
+    6.1: 'Jellyfish', // Four-line fish
+    7.1: 'XYZ-Wing', 7.2: 'W-Wing', // Level 7 variants (wings)
+    8: 'Simple Coloring', 8.1: 'X-Chain', 8.2: 'AIC' // Chains
+};
+
+// Difficulty weight of each technique (keyed like TECHNIQUE_NAMES), loosely following the
+// Sudoku Explainer scale. ratePuzzle() adds up to 1.0 for repeated advanced steps and
+// an open grid, so a puzzle full of one technique can rate as high as the next ones
+// (Swordfish: 5.5 + 1.0 = 6.5, an XY-Wing). Tiers are rating ranges, not technique lists.
+const TECHNIQUE_WEIGHTS = {
+    1: 1.0,   // Naked Single
+    2: 1.5,   // Hidden Single
+    2.1: 1.8, // Cage Combination (Killer)
+    2.2: 2.2, // Rule of 45 (Killer)
+    3: 2.5,   // Naked/Hidden Subsets
+    4: 3.5,   // Pointing Pairs
+    5: 4.5,   // X-Wing
+    5.1: 4.7, // Unique Rectangle
+    5.2: 4.6, // Skyscraper
+    5.3: 4.6, // 2-String Kite
+    5.4: 4.7, // Empty Rectangle
+    6: 5.5,   // Swordfish
+    6.1: 6.2, // Jellyfish
+    7: 6.5,   // XY-Wing
+    7.1: 6.7, // XYZ-Wing
+    7.2: 6.8, // W-Wing
+    8: 7.5,   // Simple Coloring
+    8.1: 7.8, // X-Chain
+    8.2: 8.2  // AIC
+};
+
+/**
+ * Continuous difficulty rating.
+ * Hardest technique weight, plus up to 0.75 for repeated advanced (level 5+) steps,
+ * plus up to 0.25 for how open the grid still was when the hardest step was needed.
+ */
+function ratePuzzle(hardestWeight, advancedSteps, candidatesAtHardest) {
+    const repeatBonus = Math.min(0.75, 0.15 * Math.max(0, advancedSteps - 1));
+    const openBonus = 0.25 * Math.min(1, candidatesAtHardest / 200);
+    return Math.round((hardestWeight + repeatBonus + openBonus) * 100) / 100;
+}
+
+/** Total number of candidates left on the board */
+function countCandidates(board, candidates) {
+    let total = 0;
+    for (let i = 0; i < board.length; i++) if (board[i] === 0) total += popcount(candidates[i]);
+    return total;
+}
+
+/**
+ * Solve a puzzle using human techniques only and rate it.
+ * @param {number[][]} board2D - Puzzle (0 = empty)
+ * @param {object} [options]
+ * @param {boolean} [options.trace=false] - Record every deduction
+ * @param {object} [options.rules] - Rule set (see getRules), classic for the board's size by default
+ * @returns {{solved: boolean, maxLevel: number, rating: number, techniquesUsed: string[], trace?: object[]}}
+ *          With `trace`, each entry is a plain object: { technique, level, digits, cells, units,
+ *          placements: [{cell, value}], eliminations: [{cell, value}] } (cells are flat row-major indices).
+ */
+function solvePuzzleWithLogic(board2D, options = {}) {
     // 1. Convert to internal format
-    const board = new Int8Array(81);
-    for (let r = 0; r < 9; r++) for (let c = 0; c < 9; c++) board[r * 9 + c] = board2D[r][c];
+    const board = flattenBoard(board2D);
 
     // 2. Init Candidates
-    const candidates = new Uint16Array(81);
-    for (let i = 0; i < 81; i++) {
-        if (board[i] === 0) {
-            let mask = 0;
-            for (let n = 1; n <= 9; n++) if (isValid(board, i, n)) mask |= (1 << (n - 1));
-            candidates[i] = mask;
-        }
-    }
+    const rules = options.rules || rulesForBoard(board2D);
+    const candidates = initCandidates(board, rules);
 
-    const stats = { maxLevel: 0, techniquesUsed: new Set(), counts: {} };
-    const techMap = {
-        1: 'Naked Single', 2: 'Hidden Single', 3: 'Naked/Hidden Subsets',
-        4: 'Pointing Pairs', 5: 'X-Wing', 6: 'Swordfish', 7: 'XY-Wing',
-        5.1: 'Unique Rectangle' // Treat as Level 5 variant
+    const stats = {
+        maxLevel: 0, techniquesUsed: new Set(), counts: {},
+        hardest: 0, advancedSteps: 0, candidatesAtHardest: 0
     };
+    const trace = options.trace ? [] : undefined;
 
     let stuck = false;
     while (!stuck) {
         stuck = true;
         // Optimization: Run cheap strategies until they fail before expensive ones
-        if (applyNakedSingles(board, candidates)) { level(1); stuck = false; continue; }
-        if (applyHiddenSingles(board, candidates)) { level(2); stuck = false; continue; }
-
-        // Moderate cost
-        if (applyNakedSubsets(board, candidates)) { level(3); stuck = false; continue; }
-        if (applyHiddenSubsets(board, candidates)) { level(3); stuck = false; continue; }
-        if (applyPointingPairs(board, candidates)) { level(4); stuck = false; continue; }
-
-        // Expensive
-        if (applyXWing(board, candidates)) { level(5); stuck = false; continue; }
-        if (applyUniqueRectangleType1(board, candidates)) { level(5.1); stuck = false; continue; } // New Master technique
-        if (applySwordfish(board, candidates)) { level(6); stuck = false; continue; }
-        if (applyXYWing(board, candidates)) { level(7); stuck = false; continue; }
+        for (const strategy of getStrategies(rules)) {
+            const traced = trace ? trace.length : 0;
+            const weight = TECHNIQUE_WEIGHTS[strategy.level];
+            const open = weight > stats.hardest ? countCandidates(board, candidates) : 0;
+            if (strategy.apply(board, candidates, trace, rules)) {
+                if (trace) for (let k = traced; k < trace.length; k++) trace[k].level = strategy.level;
+                if (weight > stats.hardest) {
+                    stats.hardest = weight;
+                    stats.candidatesAtHardest = open;
+                }
+                if (strategy.level >= 5) stats.advancedSteps++;
+                level(strategy.level);
+                stuck = false;
+                break;
+            }
+        }
     }
 
     function level(l) {
-        const intL = Math.floor(l); // 5.1 -> 5 for maxLevel calc
+        const intL = Math.floor(l); // 2.1/5.1/6.1/7.2... -> 2/5/6/7 for maxLevel calc
         if (intL > stats.maxLevel) stats.maxLevel = intL;
-        stats.techniquesUsed.add(techMap[l]);
+        stats.techniquesUsed.add(TECHNIQUE_NAMES[l]);
         stats.counts[intL] = (stats.counts[intL] || 0) + 1;
     }
 
-    // Promote difficulty if too complex (e.g. many X-Wings or URs)
-    const highTechCount = (stats.counts[5] || 0) + (stats.counts[6] || 0); // X-Wing/UR + Swordfish
-    if (highTechCount >= 3) { // Threshold: 3+ steps of X-Wing/Swordfish = Extreme Feel
-        if (stats.maxLevel < 7) {
-            stats.maxLevel = 7;
-            stats.techniquesUsed.add('High Complexity');
+    // Many X-Wings/Swordfish no longer promote maxLevel: the rating's repeat bonus covers it
+    const solved = !board.includes(0);
+    const result = {
+        solved,
+        maxLevel: stats.maxLevel,
+        rating: ratePuzzle(stats.hardest, stats.advancedSteps, stats.candidatesAtHardest),
+        techniquesUsed: [...stats.techniquesUsed]
+    };
+    if (trace) result.trace = trace;
+    return result;
+}
+
+/** Candidate bitmasks for every empty cell of a flat board */
+function initCandidates(board, rules) {
+    const candidates = new Uint16Array(rules.cellCount);
+    for (let i = 0; i < rules.cellCount; i++) {
+        if (board[i] === 0) {
+            let mask = 0;
+            for (let n = 1; n <= rules.size; n++) if (isValid(board, i, n, rules)) mask |= (1 << (n - 1));
+            candidates[i] = mask;
         }
     }
+    return candidates;
+}
 
-    let solved = true;
-    for (let i = 0; i < 81; i++) if (board[i] === 0) solved = false;
-    return { solved, maxLevel: stats.maxLevel, techniquesUsed: [...stats.techniquesUsed] };
+/**
+ * Find the next logical deduction for a position (used by the hint system).
+ * @param {number[][]} board2D - Current board (0 = empty)
+ * @param {Array<Iterable<number>>} [notes] - Optional per-cell notes (one entry per cell, row-major).
+ *        Cells with notes restrict their candidates to those notes.
+ * @param {object} [rules] - Rule set (see getRules), classic for the board's size by default
+ * @returns {object|null} First step of the easiest applicable strategy (see createStep), plus its level
+ */
+function findNextStep(board2D, notes, rules = rulesForBoard(board2D)) {
+    const board = flattenBoard(board2D);
+
+    const candidates = initCandidates(board, rules);
+    if (notes) {
+        for (let i = 0; i < rules.cellCount; i++) {
+            if (board[i] !== 0 || !notes[i]) continue;
+            let mask = 0;
+            for (const n of notes[i]) mask |= (1 << (n - 1));
+            if (mask !== 0) candidates[i] &= mask;
+        }
+    }
+
+    for (const strategy of getStrategies(rules)) {
+        const log = [];
+        // Strategies mutate their input, so each one works on its own copy
+        if (strategy.apply(new Int8Array(board), new Uint16Array(candidates), log, rules) && log.length > 0) {
+            return Object.assign({ level: strategy.level }, log[0]);
+        }
+    }
+    return null;
 }
 
 /** Unique Rectangle Type 1 (Optimized) */
-function applyUniqueRectangleType1(board, candidates) {
+function applyUniqueRectangleType1(board, candidates, log, rules) {
     let progress = false;
+    const { size: N, boxOf } = rules;
 
     // 1. Collect all cells with exactly 2 candidates (Bi-Value Cells)
     const bivalueCells = [];
-    for (let i = 0; i < 81; i++) {
+    for (let i = 0; i < rules.cellCount; i++) {
         if (board[i] === 0 && popcount(candidates[i]) === 2) {
             bivalueCells.push(i);
         }
@@ -807,8 +1179,8 @@ function applyUniqueRectangleType1(board, candidates) {
             // Must have SAME candidates
             if (candidates[idx1] !== candidates[idx2]) continue;
 
-            const r1 = Math.floor(idx1 / 9), c1 = idx1 % 9;
-            const r2 = Math.floor(idx2 / 9), c2 = idx2 % 9;
+            const r1 = Math.floor(idx1 / N), c1 = idx1 % N;
+            const r2 = Math.floor(idx2 / N), c2 = idx2 % N;
 
             // Must share either Row or Col (but not both, i.e., not same cell)
             const sameRow = r1 === r2;
@@ -822,10 +1194,10 @@ function applyUniqueRectangleType1(board, candidates) {
             // Case 1: Floor is in same Row (r1 == r2)
             if (sameRow) {
                 // c1 and c2 are fixed. We need to find another row 'r3'
-                for (let r3 = 0; r3 < 9; r3++) {
+                for (let r3 = 0; r3 < N; r3++) {
                     if (r3 === r1) continue;
-                    const idx3 = r3 * 9 + c1;
-                    const idx4 = r3 * 9 + c2;
+                    const idx3 = r3 * N + c1;
+                    const idx4 = r3 * N + c2;
 
                     if (board[idx3] || board[idx4]) continue;
 
@@ -837,10 +1209,10 @@ function applyUniqueRectangleType1(board, candidates) {
                     // If sameRow logic (r1==r2, r3==rr3):
                     // B1 and B2 must be different (so cols span 2 blocks).
                     // B3 must correspond to B1, B4 to B2.
-                    const b1 = Math.floor(r1 / 3) * 3 + Math.floor(c1 / 3);
-                    const b2 = Math.floor(r1 / 3) * 3 + Math.floor(c2 / 3);
-                    const b3 = Math.floor(r3 / 3) * 3 + Math.floor(c1 / 3);
-                    const b4 = Math.floor(r3 / 3) * 3 + Math.floor(c2 / 3);
+                    const b1 = boxOf[r1 * N + c1];
+                    const b2 = boxOf[r1 * N + c2];
+                    const b3 = boxOf[r3 * N + c1];
+                    const b4 = boxOf[r3 * N + c2];
 
                     // Logic: UR is valid if (b1 == b3) AND (b2 == b4) AND (b1 != b2)
                     // (Vertical rectangle where left side is in one block-col, right side in another)
@@ -848,20 +1220,20 @@ function applyUniqueRectangleType1(board, candidates) {
 
                     if (m3 === m && (m4 & m) === m && m4 !== m) {
                         // idx4 is the target (Type 1)
-                        candidates[idx4] &= ~m;
+                        recordUniqueRectangle(candidates, [idx1, idx2, idx3, idx4], idx4, m, log);
                         progress = true;
                     } else if (m4 === m && (m3 & m) === m && m3 !== m) {
-                        candidates[idx3] &= ~m;
+                        recordUniqueRectangle(candidates, [idx1, idx2, idx4, idx3], idx3, m, log);
                         progress = true;
                     }
                 }
             }
             // Case 2: Floor is in same Col (c1 == c2)
             else if (sameCol) {
-                for (let c3 = 0; c3 < 9; c3++) {
+                for (let c3 = 0; c3 < N; c3++) {
                     if (c3 === c1) continue;
-                    const idx3 = r1 * 9 + c3;
-                    const idx4 = r2 * 9 + c3;
+                    const idx3 = r1 * N + c3;
+                    const idx4 = r2 * N + c3;
 
                     if (board[idx3] || board[idx4]) continue;
 
@@ -871,20 +1243,20 @@ function applyUniqueRectangleType1(board, candidates) {
                     // Floor is (r1, c1) and (r2, c1). Roof is (r1, c3) and (r2, c3).
                     // r1 and r2 must be in different blocks => b1 != b2.
                     // b3 must match b1 (same row-block), b4 match b2.
-                    const b1 = Math.floor(r1 / 3) * 3 + Math.floor(c1 / 3);
-                    const b2 = Math.floor(r2 / 3) * 3 + Math.floor(c1 / 3); // idx2
-                    const b3 = Math.floor(r1 / 3) * 3 + Math.floor(c3 / 3); // idx3
-                    const b4 = Math.floor(r2 / 3) * 3 + Math.floor(c3 / 3); // idx4
+                    const b1 = boxOf[r1 * N + c1];
+                    const b2 = boxOf[r2 * N + c1]; // idx2
+                    const b3 = boxOf[r1 * N + c3]; // idx3
+                    const b4 = boxOf[r2 * N + c3]; // idx4
 
                     // Logic: UR is valid if (b1 == b3) AND (b2 == b4) AND (b1 != b2)
                     // (Horizontal rectangle where top side is in one row-block, bottom in another)
                     if (b1 !== b3 || b2 !== b4 || b1 === b2) continue;
 
                     if (m3 === m && (m4 & m) === m && m4 !== m) {
-                        candidates[idx4] &= ~m;
+                        recordUniqueRectangle(candidates, [idx1, idx2, idx3, idx4], idx4, m, log);
                         progress = true;
                     } else if (m4 === m && (m3 & m) === m && m3 !== m) {
-                        candidates[idx3] &= ~m;
+                        recordUniqueRectangle(candidates, [idx1, idx2, idx4, idx3], idx3, m, log);
                         progress = true;
                     }
                 }
@@ -894,20 +1266,28 @@ function applyUniqueRectangleType1(board, candidates) {
     return progress;
 }
 
+/** UR Type 1 elimination: the roof cell loses both floor candidates */
+function recordUniqueRectangle(candidates, cells, target, mask, log) {
+    const step = log ? createStep('Unique Rectangle', mask, cells) : null;
+    eliminate(candidates, target, mask, step);
+    if (step) commitStep(log, step);
+}
+
 /** Skyscraper (Level 5) */
-function applySkyscraper(board, candidates) {
+function applySkyscraper(board, candidates, log, rules) {
     let progress = false;
+    const N = rules.size;
 
-    // Check for each number 1-9
-    for (let n = 0; n < 9; n++) {
+    // Check for each number
+    for (let n = 0; n < N; n++) {
         const bit = 1 << n;
 
         // Find rows with exactly 2 candidates for 'n'
         const rowLocs = []; // array of { r, cols: [c1, c2] }
-        for (let r = 0; r < 9; r++) {
+        for (let r = 0; r < N; r++) {
             const cols = [];
-            for (let c = 0; c < 9; c++) {
-                if (board[r * 9 + c] === 0 && (candidates[r * 9 + c] & bit)) {
+            for (let c = 0; c < N; c++) {
+                if (board[r * N + c] === 0 && (candidates[r * N + c] & bit)) {
                     cols.push(c);
                 }
             }
@@ -922,68 +1302,36 @@ function applySkyscraper(board, candidates) {
                 const c1_a = rowLocs[i].cols[0], c1_b = rowLocs[i].cols[1];
                 const c2_a = rowLocs[j].cols[0], c2_b = rowLocs[j].cols[1];
 
-                // We need exactly ONE column match (the "base")
-                // Possible matches: (c1_a == c2_a), (c1_a == c2_b), (c1_b == c2_a), (c1_b == c2_b)
+                // We need exactly ONE column match (the "base"); two matches is an X-Wing
                 let baseCol = -1;
                 let topCol1 = -1, topCol2 = -1;
 
-                if (c1_a === c2_a) { baseCol = c1_a; topCol1 = c1_b; topCol2 = c2_b; }
+                if (c1_a === c2_a && c1_b !== c2_b) { baseCol = c1_a; topCol1 = c1_b; topCol2 = c2_b; }
                 else if (c1_a === c2_b) { baseCol = c1_a; topCol1 = c1_b; topCol2 = c2_a; }
                 else if (c1_b === c2_a) { baseCol = c1_b; topCol1 = c1_a; topCol2 = c2_b; }
-                else if (c1_b === c2_b) { baseCol = c1_b; topCol1 = c1_a; topCol2 = c2_a; }
+                else if (c1_b === c2_b && c1_a !== c2_a) { baseCol = c1_b; topCol1 = c1_a; topCol2 = c2_a; }
 
                 if (baseCol !== -1) {
-                    // Valid Skyscraper base found at baseCol.
-                    // Tops are at (r1, topCol1) and (r2, topCol2).
+                    // Both base cells share a column, so at most one of them is 'n'
+                    // => at least one of the tops is 'n'.
                     // Eliminate 'n' from cells that see BOTH tops.
-
-                    // Cells that see both tops must be:
-                    // 1. In same col as topCol1 And same row as r2? No.
-                    // 2. We intersect peers of Top1 and Top2.
-                    const top1 = r1 * 9 + topCol1;
-                    const top2 = r2 * 9 + topCol2;
-
-                    // Optimization: Check the intersection of peers
-                    // Intersection of (r1, topCol1) and (r2, topCol2) usually involves:
-                    // - If topCol1 == topCol2 (Parallel Skyscraper / Sashimi X-Wing?):
-                    //   Then they share a column -> Normal X-Wing if base also matches (which it doesn't here).
-                    //   If topCol1 == topCol2, then baseCol is different.
-                    //   This is actually a Turbot Fish pattern but effectively 2-String Kite logic or simple Skyscraper.
-                    //   Cells in col topCol1 eliminate.
-
-                    // Standard Skyscraper: baseCol is aligned. topCol1 != topCol2.
-                    // Eliminate from: 
-                    // - Cell (r2, topCol1) -> sees Top1 (row) and Top2 (col? no).
-                    // - Cell (r1, topCol2) -> sees Top1 (col?? no) and Top2 (row).
-                    // Wait, Top1 is (r1, cA), Top2 is (r2, cB).
-                    // Seen by (r2, cA)? Yes, sees Top1 (col? no, Top1 is r1,cA. Cell is r2, cA. same col!)
-                    //                   Sees Top2 (r2, cB)? Yes, same row.
-                    // Seen by (r1, cB)? Yes, sees Top1 (same row), sees Top2 (same col).
-
-                    const target1 = r2 * 9 + topCol1;
-                    const target2 = r1 * 9 + topCol2;
-
-                    if (board[target1] === 0 && (candidates[target1] & bit)) {
-                        candidates[target1] &= ~bit;
-                        progress = true;
-                    }
-                    if (board[target2] === 0 && (candidates[target2] & bit)) {
-                        candidates[target2] &= ~bit;
-                        progress = true;
-                    }
-
-                    // Also need to check block intersections if applicable?
-                    // Typically simple row/col intersection is enough for Skyscraper.
+                    const top1 = r1 * N + topCol1;
+                    const top2 = r2 * N + topCol2;
+                    const step = log ? createStep('Skyscraper', bit,
+                        [r1 * N + baseCol, top1, r2 * N + baseCol, top2],
+                        [{ type: 'row', index: r1 }, { type: 'row', index: r2 }]) : null;
+                    if (eliminateSeenByBoth(board, candidates, top1, top2, bit, step, rules)) progress = true;
+                    if (step) commitStep(log, step);
                 }
             }
         }
 
         // Find Skyscraper in Cols (Symmetric)
         const colLocs = [];
-        for (let c = 0; c < 9; c++) {
+        for (let c = 0; c < N; c++) {
             const rows = [];
-            for (let r = 0; r < 9; r++) {
-                if (board[r * 9 + c] === 0 && (candidates[r * 9 + c] & bit)) {
+            for (let r = 0; r < N; r++) {
+                if (board[r * N + c] === 0 && (candidates[r * N + c] & bit)) {
                     rows.push(r);
                 }
             }
@@ -1000,25 +1348,76 @@ function applySkyscraper(board, candidates) {
                 let baseRow = -1;
                 let topRow1 = -1, topRow2 = -1;
 
-                if (r1_a === r2_a) { baseRow = r1_a; topRow1 = r1_b; topRow2 = r2_b; }
+                if (r1_a === r2_a && r1_b !== r2_b) { baseRow = r1_a; topRow1 = r1_b; topRow2 = r2_b; }
                 else if (r1_a === r2_b) { baseRow = r1_a; topRow1 = r1_b; topRow2 = r2_a; }
                 else if (r1_b === r2_a) { baseRow = r1_b; topRow1 = r1_a; topRow2 = r2_b; }
-                else if (r1_b === r2_b) { baseRow = r1_b; topRow1 = r1_a; topRow2 = r2_a; }
+                else if (r1_b === r2_b && r1_a !== r2_a) { baseRow = r1_b; topRow1 = r1_a; topRow2 = r2_a; }
 
                 if (baseRow !== -1) {
                     // Base in Row 'baseRow'.
                     // Top1 at (topRow1, c1), Top2 at (topRow2, c2).
-                    // Targets: (topRow1, c2) and (topRow2, c1).
-                    const target1 = topRow1 * 9 + c2;
-                    const target2 = topRow2 * 9 + c1;
+                    const top1 = topRow1 * N + c1;
+                    const top2 = topRow2 * N + c2;
+                    const step = log ? createStep('Skyscraper', bit,
+                        [baseRow * N + c1, top1, baseRow * N + c2, top2],
+                        [{ type: 'col', index: c1 }, { type: 'col', index: c2 }]) : null;
+                    if (eliminateSeenByBoth(board, candidates, top1, top2, bit, step, rules)) progress = true;
+                    if (step) commitStep(log, step);
+                }
+            }
+        }
+    }
+    return progress;
+}
 
-                    if (board[target1] === 0 && (candidates[target1] & bit)) {
-                        candidates[target1] &= ~bit;
-                        progress = true;
-                    }
-                    if (board[target2] === 0 && (candidates[target2] & bit)) {
-                        candidates[target2] &= ~bit;
-                        progress = true;
+/** Remove `bit` from every empty cell (other than a and b) that sees both a and b */
+function eliminateSeenByBoth(board, candidates, a, b, bit, step, rules) {
+    let progress = false;
+    const peers = rules.peers[a];
+    for (let k = 0; k < peers.length; k++) {
+        const target = peers[k];
+        if (target === b || board[target] !== 0) continue;
+        if (isSeenBy(target, b, rules) && eliminate(candidates, target, bit, step)) progress = true;
+    }
+    return progress;
+}
+
+/**
+ * 2-String Kite (Level 5 variant): a digit with two places in a row and two in a
+ * column, where one end of each shares a box. Both of those can't hold the digit,
+ * so one of the far ends does; cells seeing both far ends lose it.
+ */
+function applyTwoStringKite(board, candidates, log, rules) {
+    let progress = false;
+    const { size: N, boxOf } = rules;
+
+    for (let n = 0; n < N; n++) {
+        const bit = 1 << n;
+        const rowLinks = [];
+        const colLinks = [];
+        for (let line = 0; line < N; line++) {
+            const inRow = [], inCol = [];
+            for (let x = 0; x < N; x++) {
+                if (board[line * N + x] === 0 && (candidates[line * N + x] & bit)) inRow.push(line * N + x);
+                if (board[x * N + line] === 0 && (candidates[x * N + line] & bit)) inCol.push(x * N + line);
+            }
+            if (inRow.length === 2) rowLinks.push({ line, cells: inRow });
+            if (inCol.length === 2) colLinks.push({ line, cells: inCol });
+        }
+
+        for (const row of rowLinks) {
+            for (const col of colLinks) {
+                for (let a = 0; a < 2; a++) {
+                    for (let b = 0; b < 2; b++) {
+                        const rowEnd = row.cells[a], colEnd = col.cells[b];
+                        const far1 = row.cells[1 - a], far2 = col.cells[1 - b];
+                        if (rowEnd === colEnd || boxOf[rowEnd] !== boxOf[colEnd]) continue;
+                        if (far1 === colEnd || far2 === rowEnd || far1 === far2) continue;
+
+                        const step = log ? createStep('2-String Kite', bit, [far1, rowEnd, colEnd, far2],
+                            [{ type: 'row', index: row.line }, { type: 'col', index: col.line }]) : null;
+                        if (eliminateSeenByBoth(board, candidates, far1, far2, bit, step, rules)) progress = true;
+                        if (step) commitStep(log, step);
                     }
                 }
             }
@@ -1027,119 +1426,861 @@ function applySkyscraper(board, candidates) {
     return progress;
 }
 
-// --- Generator (Synchronous) ---
+/**
+ * Empty Rectangle (Level 5 variant): a box whose places for a digit all lie on one
+ * row and one column through it. With a conjugate pair (the digit's only two places
+ * in a line) reaching that row from outside the box, the cell where the pair's other
+ * end meets the box's column can't hold the digit: it would leave the box without a
+ * place. Likewise with rows and columns swapped.
+ */
+function applyEmptyRectangle(board, candidates, log, rules) {
+    let progress = false;
+    const { size: N, units, boxOf } = rules;
 
-function generatePuzzleSync(config) {
-    const maxAttempts = config.requiredTechnique ? 5000 : 1000; // More attempts if hunting for specific technique
-    const timeBudgetMs = config.requiredTechnique ? 15000 : 45000;
-    const startTime = Date.now();
-    let bestResult = null;
-    let bestScore = -1;
+    for (let n = 0; n < N; n++) {
+        const bit = 1 << n;
+        for (let b = 0; b < N; b++) {
+            const box = units[2 * N + b];
+            const cells = box.filter(idx => board[idx] === 0 && (candidates[idx] & bit));
+            if (cells.length < 2) continue;
+            const boxRows = [...new Set(box.map(idx => Math.floor(idx / N)))];
+            const boxCols = [...new Set(box.map(idx => idx % N))];
+
+            for (const R of boxRows) {
+                for (const C of boxCols) {
+                    // Every place on row R or column C, but not all on just one of them
+                    if (!cells.every(idx => Math.floor(idx / N) === R || idx % N === C)) continue;
+                    if (cells.every(idx => Math.floor(idx / N) === R) || cells.every(idx => idx % N === C)) continue;
+
+                    for (let line = 0; line < N; line++) {
+                        // Conjugate pair in a column outside the box, one end on row R
+                        if (!boxCols.includes(line)) {
+                            const pair = units[N + line].filter(idx => board[idx] === 0 && (candidates[idx] & bit));
+                            const end = pair.length === 2 ? pair.findIndex(idx => Math.floor(idx / N) === R) : -1;
+                            if (end !== -1) {
+                                const target = Math.floor(pair[1 - end] / N) * N + C;
+                                if (boxOf[target] !== b && board[target] === 0) {
+                                    const step = log ? createStep('Empty Rectangle', bit, [...cells, ...pair],
+                                        [{ type: 'box', index: b }, { type: 'col', index: line }]) : null;
+                                    if (eliminate(candidates, target, bit, step)) progress = true;
+                                    if (step) commitStep(log, step);
+                                }
+                            }
+                        }
+                        // Conjugate pair in a row outside the box, one end on column C
+                        if (!boxRows.includes(line)) {
+                            const pair = units[line].filter(idx => board[idx] === 0 && (candidates[idx] & bit));
+                            const end = pair.length === 2 ? pair.findIndex(idx => idx % N === C) : -1;
+                            if (end !== -1) {
+                                const target = R * N + pair[1 - end] % N;
+                                if (boxOf[target] !== b && board[target] === 0) {
+                                    const step = log ? createStep('Empty Rectangle', bit, [...cells, ...pair],
+                                        [{ type: 'box', index: b }, { type: 'row', index: line }]) : null;
+                                    if (eliminate(candidates, target, bit, step)) progress = true;
+                                    if (step) commitStep(log, step);
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+    return progress;
+}
 
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-        if (Date.now() - startTime > timeBudgetMs) break;
+/** Jellyfish: Swordfish with four lines */
+function applyJellyfish(board, candidates, log, rules) {
+    return applyFish(board, candidates, log, rules, 4, 'Jellyfish');
+}
 
-        const result = generatePuzzleAttempt(config);
-        if (!result || !result.analysis.solved) continue;
+/**
+ * XYZ-Wing (Level 7 variant): a pivot with three candidates XYZ seeing two bivalue
+ * wings XZ and YZ. Z is in one of the three cells, so cells seeing all of them lose it.
+ */
+function applyXYZWing(board, candidates, log, rules) {
+    let progress = false;
+    for (let i = 0; i < rules.cellCount; i++) {
+        if (board[i] !== 0 || popcount(candidates[i]) !== 3) continue;
+        const pivot = candidates[i];
+
+        // Wings: bivalue peers whose candidates are all in the pivot
+        const wings = rules.peers[i].filter(peer =>
+            board[peer] === 0 && popcount(candidates[peer]) === 2 && (candidates[peer] & ~pivot) === 0);
+
+        for (let j = 0; j < wings.length; j++) {
+            for (let k = j + 1; k < wings.length; k++) {
+                const w1 = wings[j], w2 = wings[k];
+                if ((candidates[w1] | candidates[w2]) !== pivot) continue;
+                const zBit = candidates[w1] & candidates[w2];
+
+                const step = log ? createStep('XYZ-Wing', pivot, [i, w1, w2]) : null;
+                for (const target of rules.peers[i]) {
+                    if (target === w1 || target === w2 || board[target] !== 0) continue;
+                    if (isSeenBy(target, w1, rules) && isSeenBy(target, w2, rules) &&
+                        eliminate(candidates, target, zBit, step)) progress = true;
+                }
+                if (step) commitStep(log, step);
+            }
+        }
+    }
+    return progress;
+}
 
-        // Check levels
-        const maxLvl = result.analysis.maxLevel;
-        let match = false;
+/**
+ * W-Wing (Level 7 variant): two bivalue cells with the same candidates XY that don't
+ * see each other, joined by a strong link on X (a unit where X has only two places,
+ * one seen by each cell). One of the two cells must be Y, so cells seeing both lose Y.
+ */
+function applyWWing(board, candidates, log, rules) {
+    let progress = false;
+    const { size, units } = rules;
 
-        // If searching a specific technique, prioritize it
-        if (config.requiredTechnique) {
-            if (result.analysis.techniquesUsed.includes(config.requiredTechnique)) {
-                return result; // Found it!
+    const bivalue = [];
+    for (let i = 0; i < rules.cellCount; i++) {
+        if (board[i] === 0 && popcount(candidates[i]) === 2) bivalue.push(i);
+    }
+    if (bivalue.length < 2) return false;
+
+    // Strong links: units where a digit has exactly two places
+    const links = Array.from({ length: size }, () => []);
+    units.forEach((unit, u) => {
+        for (let n = 0; n < size; n++) {
+            const cells = unit.filter(idx => board[idx] === 0 && (candidates[idx] & (1 << n)));
+            if (cells.length === 2) links[n].push({ u, cells });
+        }
+    });
+
+    for (let i = 0; i < bivalue.length; i++) {
+        for (let j = i + 1; j < bivalue.length; j++) {
+            const a = bivalue[i], b = bivalue[j];
+            if (candidates[a] !== candidates[b] || isSeenBy(a, b, rules)) continue;
+
+            for (const x of maskToValues(candidates[a])) {
+                const yBit = candidates[a] & ~(1 << (x - 1));
+                const link = links[x - 1].find(({ cells: [p, q] }) =>
+                    p !== a && p !== b && q !== a && q !== b &&
+                    ((isSeenBy(p, a, rules) && isSeenBy(q, b, rules)) || (isSeenBy(p, b, rules) && isSeenBy(q, a, rules))));
+                if (!link) continue;
+
+                const step = log ? createStep('W-Wing', candidates[a], [a, ...link.cells, b], [rules.unitInfo[link.u]]) : null;
+                if (eliminateSeenByBoth(board, candidates, a, b, yBit, step, rules)) progress = true;
+                if (step) commitStep(log, step);
             }
-            // Standard logic
-            if (config.maxLevel <= 2) match = true;
-            else if (config.maxLevel <= 4) match = (maxLvl === config.maxLevel);
-            else if (config.maxLevel === 5) {
-                // Master: Allow 5 (X-Wing) or 6 (Swordfish).
-                // BUT if we have MANY X-Wings (e.g. > 3), it might feel like Extreme.
-                // However, for now let's keep it simple: Master is 5 or 6.
-                // Extreme is 7+ (XY-Wing, etc).
-                match = (maxLvl >= 5 && maxLvl <= 6);
-
-                // If it's just level 5 but has > 3 X-Wings, maybe promote it? 
-                // Currently we are *filtering* what fits into Master.
-                // If it has 4 X-Wings, it's still technically level 5 logic, just tedious.
-                // So it fits Master fine. We don't want it in Extreme if Extreme requires XY-Wing (logic 7).
+        }
+    }
+    return progress;
+}
+
+// --- Chains ---
+// A chain alternates strong links (two candidates of which one must be true: the only
+// two places of a digit in a unit, or the two candidates of a bivalue cell) and weak
+// links (two candidates that can't both be true: the same cell, or the same digit in
+// cells that see each other). Nodes are candidates numbered cell * size + digit (0-based).
+
+/** Cells of each digit's strong links: links[n][cell] lists the cells paired with it */
+function findConjugatePairs(board, candidates, rules) {
+    const { size, units, cellCount } = rules;
+    const links = Array.from({ length: size }, () => Array.from({ length: cellCount }, () => []));
+    for (const unit of units) {
+        for (let n = 0; n < size; n++) {
+            const cells = unit.filter(idx => board[idx] === 0 && (candidates[idx] & (1 << n)));
+            if (cells.length !== 2) continue;
+            const [a, b] = cells;
+            if (links[n][a].includes(b)) continue; // Same pair in a row and a box
+            links[n][a].push(b);
+            links[n][b].push(a);
+        }
+    }
+    return links;
+}
+
+/**
+ * Simple Coloring (Level 8): the strong links of one digit form chains whose cells
+ * alternate between two colors, and one color holds the digit. If two cells of a color
+ * see each other that color is false; other cells seeing both colors lose the digit.
+ */
+function applySimpleColoring(board, candidates, log, rules) {
+    let progress = false;
+    const { cellCount } = rules;
+    const pairs = findConjugatePairs(board, candidates, rules);
+    const color = new Int8Array(cellCount);
+
+    pairs.forEach((links, n) => {
+        const bit = 1 << n;
+        color.fill(-1);
+        for (let start = 0; start < cellCount; start++) {
+            if (links[start].length === 0 || color[start] !== -1) continue;
+
+            // Color the chain through start (0 and 1 alternate along it)
+            const chain = [start];
+            color[start] = 0;
+            for (let q = 0; q < chain.length; q++) {
+                for (const next of links[chain[q]]) {
+                    if (color[next] !== -1) continue;
+                    color[next] = 1 - color[chain[q]];
+                    chain.push(next);
+                }
             }
-            else {
-                // Extreme: Level 7+ (XY-Wing, Jellyfish, Chains...)
-                // Future proof: >= 7
-                match = (maxLvl >= 7);
-
-                // Also, if it's level 6 (Swordfish) but has A LOT of them or combined with many X-Wings,
-                // maybe we allow it in Extreme?
-                // For now, let's stick to strict logic level: Extreme = must use XY-Wing or better.
+            const groups = [chain.filter(i => color[i] === 0), chain.filter(i => color[i] === 1)];
+            if (chain.length < 3) continue; // A lone pair: nothing to color against
+
+            const step = log ? createStep('Simple Coloring', bit, chain) : null;
+            const wrap = groups.find(group => group.some((a, j) => group.some((b, k) => k > j && isSeenBy(a, b, rules))));
+            if (wrap) {
+                // Color wrap: this color is false everywhere
+                for (const cell of wrap) if (eliminate(candidates, cell, bit, step)) progress = true;
+            } else {
+                // Color trap: cells off the chain seeing both colors
+                for (let target = 0; target < cellCount; target++) {
+                    if (board[target] !== 0 || !(candidates[target] & bit) || chain.includes(target)) continue;
+                    if (groups[0].some(a => isSeenBy(target, a, rules)) && groups[1].some(b => isSeenBy(target, b, rules)) &&
+                        eliminate(candidates, target, bit, step)) progress = true;
+                }
             }
+            if (step) commitStep(log, step);
+        }
+    });
+    return progress;
+}
 
-            if (match) return result;
+/**
+ * Candidates that can't stay once a chain proves "S or E" (S and E are nodes):
+ * with the same digit, cells seeing both lose it; in the same cell, the other
+ * candidates go; otherwise, if the cells see each other, each loses the other's digit.
+ * @returns {number[][]} [cell, mask] pairs
+ */
+function chainEliminations(board, candidates, rules, s, e) {
+    const { size } = rules;
+    const sCell = Math.floor(s / size), eCell = Math.floor(e / size);
+    const sBit = 1 << (s % size), eBit = 1 << (e % size);
+    const found = [];
+    if (sCell === eCell) {
+        const rest = candidates[sCell] & ~(sBit | eBit);
+        if (rest) found.push([sCell, rest]);
+    } else if (sBit === eBit) {
+        for (const target of rules.peers[sCell]) {
+            if (target !== eCell && board[target] === 0 && (candidates[target] & sBit) && isSeenBy(target, eCell, rules)) {
+                found.push([target, sBit]);
+            }
         }
+    } else if (isSeenBy(sCell, eCell, rules)) {
+        if (candidates[eCell] & sBit) found.push([eCell, sBit]);
+        if (candidates[sCell] & eBit) found.push([sCell, eBit]);
+    }
+    return found;
+}
 
-        // Score this result to keep the best one as fallback
-        let score = maxLvl;
+/**
+ * Shortest chain that eliminates something. Each candidate S in turn is assumed
+ * false and a breadth-first search follows what that implies: a strong link makes the
+ * next candidate true, a weak link makes it false. Every candidate E reached as true
+ * proves "S or E" (see chainEliminations).
+ * @param {boolean} singleDigit - Only follow links within one digit (X-Chains)
+ * @returns {{nodes: number[], eliminations: number[][]}|null} Nodes from S to E and [cell, mask] pairs
+ */
+function findChain(board, candidates, rules, singleDigit) {
+    const { size, cellCount, peers } = rules;
+    const nodeCount = cellCount * size;
+
+    const strong = Array.from({ length: nodeCount }, () => []);
+    findConjugatePairs(board, candidates, rules).forEach((links, n) => links.forEach((cells, cell) => {
+        for (const other of cells) strong[cell * size + n].push(other * size + n);
+    }));
+    if (!singleDigit) {
+        for (let i = 0; i < cellCount; i++) {
+            if (board[i] !== 0 || popcount(candidates[i]) !== 2) continue;
+            const x = lsb(candidates[i]), y = lsb(candidates[i] & ~(1 << x));
+            strong[i * size + x].push(i * size + y);
+            strong[i * size + y].push(i * size + x);
+        }
+    }
 
-        // If Hunting for a specific technique
-        if (config.requiredTechnique) {
-            if (result.analysis.techniquesUsed.includes(config.requiredTechnique)) {
-                score += 100; // Found it! Big bonus.
-                // We prefer this over anything.
-                if (score > bestScore) {
-                    bestScore = score;
-                    bestResult = result;
+    // Search states are node * 2 + (1 if the node is true)
+    const visited = new Int32Array(nodeCount * 2); // Start node + 1 of the last search reaching it
+    const parent = new Int32Array(nodeCount * 2);
+    const depth = new Int32Array(nodeCount * 2);
+    const queue = new Int32Array(nodeCount * 2);
+    let best = null;
+
+    for (let start = 0; start < nodeCount; start++) {
+        if (strong[start].length === 0) continue;
+        const stamp = start + 1;
+        let head = 0, tail = 0;
+        const push = (state, from) => {
+            if (visited[state] === stamp) return;
+            visited[state] = stamp;
+            parent[state] = from;
+            depth[state] = depth[from] + 1;
+            queue[tail++] = state;
+        };
+        visited[start * 2] = stamp;
+        depth[start * 2] = 0;
+        queue[tail++] = start * 2;
+
+        search: while (head < tail) {
+            const state = queue[head++];
+            if (best && depth[state] + 1 >= best.nodes.length - 1) break; // Can't be shorter
+            const node = state >> 1;
+
+            if ((state & 1) === 0) {
+                // False: its strong links are true
+                for (const next of strong[node]) {
+                    if (next === start || visited[next * 2 + 1] === stamp) continue;
+                    push(next * 2 + 1, state);
+                    const eliminations = chainEliminations(board, candidates, rules, start, next);
+                    if (eliminations.length === 0) continue;
+                    const nodes = [];
+                    for (let s = next * 2 + 1; s !== start * 2; s = parent[s]) nodes.push(s >> 1);
+                    nodes.push(start);
+                    best = { nodes: nodes.reverse(), eliminations };
+                    break search;
                 }
             } else {
-                // Not found, but maybe it's a good candidate for later?
-                // Only if it respects the level cap.
-                // Or maybe we don't care about fallback if hunting?
-                // Actually, if seeking technique, we probably don't want a random puzzle unless explicitly allowed.
-                // But let's assume if we fail to find technique, we return best legal puzzle.
-                if (maxLvl <= config.maxLevel && maxLvl > bestScore) {
-                    bestScore = maxLvl;
-                    bestResult = result;
+                // True: the same digit in its peers and the cell's other candidates are false
+                const cell = Math.floor(node / size), n = node % size;
+                for (const peer of peers[cell]) {
+                    if (board[peer] === 0 && (candidates[peer] & (1 << n))) push((peer * size + n) * 2, state);
+                }
+                if (!singleDigit) {
+                    for (let m = 0; m < size; m++) {
+                        if (m !== n && (candidates[cell] & (1 << m))) push((cell * size + m) * 2, state);
+                    }
                 }
             }
-        } else {
-            // Standard Mode: Strict adherence to maxLevel
-            // We want the highest level possible that is <= config.maxLevel
-            if (maxLvl <= config.maxLevel && maxLvl > bestScore) {
-                bestScore = maxLvl;
-                bestResult = result;
+        }
+    }
+    return best;
+}
+
+/** Apply the shortest productive chain (see findChain) as one step */
+function applyChain(board, candidates, log, rules, singleDigit, technique) {
+    const chain = findChain(board, candidates, rules, singleDigit);
+    if (!chain) return false;
+
+    const { size } = rules;
+    const nodes = chain.nodes.map(node => ({ cell: Math.floor(node / size), value: (node % size) + 1 }));
+    let step = null;
+    if (log) {
+        const digits = nodes.reduce((mask, { value }) => mask | (1 << (value - 1)), 0);
+        step = createStep(technique, digits, [...new Set(nodes.map(({ cell }) => cell))]);
+        step.chain = nodes;
+    }
+    for (const [cell, mask] of chain.eliminations) eliminate(candidates, cell, mask, step);
+    if (step) commitStep(log, step);
+    return true;
+}
+
+/**
+ * X-Chain (Level 8 variant): a chain on one digit that starts and ends with strong
+ * links, so one of its ends holds the digit. Covers X-Cycles, whose eliminations are
+ * those of the chains inside the loop.
+ */
+function applyXChain(board, candidates, log, rules) {
+    return applyChain(board, candidates, log, rules, true, 'X-Chain');
+}
+
+/**
+ * Alternating Inference Chain (Level 8 variant): like an X-Chain but free to switch
+ * digits through bivalue cells, and to end on different digits.
+ */
+function applyAIC(board, candidates, log, rules) {
+    return applyChain(board, candidates, log, rules, false, 'AIC');
+}
+
+// ============================================
+// Killer Sudoku (cages with sums)
+// ============================================
+// A cage is { sum, cells: [flat indices] }: its digits can't repeat and must add
+// up to `sum`. Cages travel in the rule set (see getRules); without them the puzzle
+// is a classic Sudoku. Killer is 9×9 only: the sum tables assume digits 1-9.
+
+// COMBO_MASKS[size * 46 + sum]: digit masks of every set of `size` distinct digits adding up to `sum`
+const COMBO_MASKS = (() => {
+    const table = Array.from({ length: 10 * 46 }, () => []);
+    for (let mask = 1; mask <= MASK_ALL; mask++) {
+        let sum = 0;
+        for (let n = 0; n < 9; n++) if (mask & (1 << n)) sum += n + 1;
+        table[popcount(mask) * 46 + sum].push(mask);
+    }
+    return table;
+})();
+
+/** Digit combinations (masks) for `size` cells adding up to `sum` */
+function cageCombos(size, sum) {
+    return size > 0 && size <= 9 && sum > 0 && sum <= 45 ? COMBO_MASKS[size * 46 + sum] : [];
+}
+
+/**
+ * Digits that can still go in a cage's empty cells
+ * @param {number} size - Empty cells left in the cage
+ * @param {number} sum - Sum still missing
+ * @param {number} used - Mask of digits already placed in the cage
+ * @returns {number} Candidate mask
+ */
+function cageDigitMask(size, sum, used) {
+    let mask = 0;
+    for (const combo of cageCombos(size, sum)) if ((combo & used) === 0) mask |= combo;
+    return mask;
+}
+
+/** Cage number of every cell (-1 for cells outside any cage) */
+function buildCageIndex(cages) {
+    const index = new Int8Array(81).fill(-1);
+    cages.forEach((cage, c) => cage.cells.forEach(i => { index[i] = c; }));
+    return index;
+}
+
+/**
+ * Solve a Killer puzzle: logic first (fast, and proves uniqueness), search as a fallback
+ * @param {number[][]} board2D - 9x9 givens (0 = empty)
+ * @param {object} rules - Rule set with cages (see getRules)
+ * @returns {number[][]|null} The solution, or null if there isn't exactly one
+ */
+function findKillerSolution(board2D, rules) {
+    const analysis = solvePuzzleWithLogic(board2D, { rules, trace: true });
+    if (analysis.solved) {
+        const solution = board2D.map(row => [...row]);
+        for (const step of analysis.trace) {
+            for (const { cell, value } of step.placements) solution[Math.floor(cell / 9)][cell % 9] = value;
+        }
+        return solution;
+    }
+
+    const found = searchSolutions(Int8Array.from(board2D.flat()), rules, 2);
+    if (found.length !== 1) return null;
+    return unflattenBoard(found[0], 9);
+}
+
+/**
+ * Check a cage list from outside (share links, saved games): whole-number sums that
+ * some digit combination can reach, and cells on the board that no two cages share
+ * @param {*} cages
+ * @returns {boolean}
+ */
+function validateCages(cages) {
+    if (!Array.isArray(cages) || cages.length === 0) return false;
+    const seen = new Set();
+    return cages.every(cage => cage && Array.isArray(cage.cells) && Number.isInteger(cage.sum) &&
+        cageCombos(cage.cells.length, cage.sum).length > 0 &&
+        cage.cells.every(i => Number.isInteger(i) && i >= 0 && i < 81 && !seen.has(i) && seen.add(i)));
+}
+
+/**
+ * Cage Combination: cells of a cage only keep digits from the combinations that
+ * still fit the cage (sum, digits already placed, and the cells' candidates).
+ * A digit every combination needs, with a single possible cell, is placed there.
+ */
+function applyCageCombinations(board, candidates, log, rules) {
+    let progress = false;
+    for (const cage of rules.cages) {
+        let used = 0, left = cage.sum;
+        const empty = [];
+        for (const i of cage.cells) {
+            if (board[i] !== 0) {
+                used |= BITS[board[i]];
+                left -= board[i];
+            } else {
+                empty.push(i);
+            }
+        }
+        if (empty.length === 0) continue;
+
+        let cover = 0;
+        for (const i of empty) cover |= candidates[i];
+        let allowed = 0, required = MASK_ALL;
+        for (const combo of cageCombos(empty.length, left)) {
+            if ((combo & used) || (combo & ~cover)) continue;
+            if (empty.some(i => !(candidates[i] & combo))) continue;
+            allowed |= combo;
+            required &= combo;
+        }
+        if (allowed === 0) continue; // Contradiction: leave it to the caller
+
+        const step = log ? createStep('Cage Combination', allowed, cage.cells) : null;
+        let changed = false;
+        for (const i of empty) {
+            if (eliminate(candidates, i, MASK_ALL & ~allowed, step)) changed = true;
+        }
+        // Hidden single inside the cage
+        for (let rest = required; rest; rest &= rest - 1) {
+            const bit = rest & -rest;
+            const spots = empty.filter(i => board[i] === 0 && (candidates[i] & bit));
+            if (spots.length === 1 && popcount(candidates[spots[0]]) > 1) {
+                placeValue(board, candidates, spots[0], lsb(bit), step, rules);
+                changed = true;
+            }
+        }
+        if (changed) {
+            if (step) commitStep(log, step);
+            progress = true;
+        }
+    }
+    return progress;
+}
+
+// Regions for the rule of 45: 1-3 consecutive rows, 1-3 consecutive columns, and boxes
+const REGIONS_45 = (() => {
+    const regions = [];
+    for (let size = 1; size <= 3; size++) {
+        for (let start = 0; start + size <= 9; start++) {
+            const lines = [];
+            for (let k = start; k < start + size; k++) lines.push(k);
+            regions.push({ units: lines.map(index => ({ type: 'row', index })), cells: lines.flatMap(r => [0, 1, 2, 3, 4, 5, 6, 7, 8].map(c => r * 9 + c)) });
+            regions.push({ units: lines.map(index => ({ type: 'col', index })), cells: lines.flatMap(c => [0, 1, 2, 3, 4, 5, 6, 7, 8].map(r => r * 9 + c)) });
+        }
+    }
+    getAllUnits().slice(18).forEach((cells, b) => regions.push({ units: [{ type: 'box', index: b }], cells }));
+    return regions;
+})();
+
+/**
+ * Rule of 45: a region of n rows, columns or a box adds up to 45n. Subtracting the
+ * cages fully inside it leaves the sum of the remaining cells ("innies"); cages
+ * sticking out give the sum of their cells outside ("outies"). One unknown cell
+ * is placed; two unknown cells keep only candidates with a partner that fits.
+ */
+function applyRuleOf45(board, candidates, log, rules) {
+    let progress = false;
+    const { cages, cageOf } = rules;
+
+    for (const region of REGIONS_45) {
+        const inside = new Uint8Array(81);
+        for (const i of region.cells) inside[i] = 1;
+
+        let innerSum = 0, partialSum = 0, caged = true;
+        const innies = [], outies = [];
+        cages.forEach((cage, c) => {
+            const count = cage.cells.filter(i => inside[i]).length;
+            if (count === cage.cells.length) innerSum += cage.sum;
+            else if (count > 0) {
+                partialSum += cage.sum;
+                for (const i of cage.cells) (inside[i] ? innies : outies).push(i);
+            }
+        });
+        for (const i of region.cells) {
+            if (cageOf[i] === -1) {
+                innies.push(i);
+                caged = false;
+            }
+        }
+
+        const total = 45 * region.units.length - innerSum;
+        const groups = [[innies, total]];
+        if (caged) groups.push([outies, partialSum - total]);
+
+        for (const [cells, target] of groups) {
+            if (applySumGroup(board, candidates, log, cells, target, region.units, rules)) progress = true;
+        }
+    }
+    return progress;
+}
+
+/** Deduce from "these cells add up to target" (one or two unknown cells) */
+function applySumGroup(board, candidates, log, cells, target, units, rules) {
+    const unknown = cells.filter(i => board[i] === 0);
+    const missing = target - cells.reduce((sum, i) => sum + board[i], 0);
+    if (unknown.length === 0 || unknown.length > 2) return false;
+
+    const step = log ? createStep('Rule of 45', 0, unknown, units) : null;
+    let changed = false;
+
+    if (unknown.length === 1) {
+        const [i] = unknown;
+        if (missing < 1 || missing > 9 || !(candidates[i] & BITS[missing])) return false;
+        placeValue(board, candidates, i, missing - 1, step, rules);
+        changed = true;
+    } else {
+        const [a, b] = unknown;
+        const distinct = isSeenBy(a, b, rules);
+        for (const [cell, other] of [[a, b], [b, a]]) {
+            let keep = 0;
+            for (const value of maskToValues(candidates[cell])) {
+                const partner = missing - value;
+                if (partner >= 1 && partner <= 9 && (candidates[other] & BITS[partner]) &&
+                    !(distinct && partner === value)) keep |= BITS[value];
             }
+            if (keep !== 0 && eliminate(candidates, cell, MASK_ALL & ~keep, step)) changed = true;
+        }
+    }
+
+    if (changed && step) {
+        step.digits = unknown.length === 1 ? [missing] : [];
+        step.sum = missing;
+        commitStep(log, step);
+    }
+    return changed;
+}
+
+// Killer-only strategies, tried right after the singles
+const KILLER_STRATEGIES = [
+    { level: 2.1, apply: applyCageCombinations },
+    { level: 2.2, apply: applyRuleOf45 }
+];
+
+/**
+ * Strategies for a rule set: with cages, the Killer ones join the list. Unique
+ * Rectangle only holds for classic rules (swapping two digits can break a cage sum
+ * or a variant constraint, so the rectangle isn't a deadly pattern there).
+ */
+function getStrategies(rules) {
+    if (isClassicRules(rules)) return STRATEGIES;
+    return [
+        ...STRATEGIES.filter(s => s.level <= 2),
+        ...(rules.cages ? KILLER_STRATEGIES : []),
+        ...STRATEGIES.filter(s => s.level > 2 && s.apply !== applyUniqueRectangleType1)
+    ];
+}
+
+/**
+ * Split a solution into random cages of orthogonally connected cells without repeated digits
+ * @param {Int8Array} solution - Flat solved board
+ * @param {number} maxSize - Largest cage
+ * @param {function(): number} random
+ * @returns {object[]} Cages
+ */
+function buildRandomCages(solution, maxSize, random) {
+    const cageOf = new Int8Array(81).fill(-1);
+    const cages = [];
+    const neighbours = i => [i - 9, i + 9, i % 9 > 0 ? i - 1 : -1, i % 9 < 8 ? i + 1 : -1]
+        .filter(n => n >= 0 && n < 81);
+
+    for (const start of shuffleArray([...Array(81).keys()], random)) {
+        if (cageOf[start] !== -1) continue;
+        const size = 2 + Math.floor(random() * (maxSize - 1));
+        const cage = cages.length;
+        const cells = [start];
+        let used = BITS[solution[start]];
+        cageOf[start] = cage;
+
+        while (cells.length < size) {
+            const options = [];
+            for (const cell of cells) {
+                for (const n of neighbours(cell)) {
+                    if (cageOf[n] === -1 && !(used & BITS[solution[n]])) options.push(n);
+                }
+            }
+            if (options.length === 0) break;
+            const next = options[Math.floor(random() * options.length)];
+            cells.push(next);
+            cageOf[next] = cage;
+            used |= BITS[solution[next]];
+        }
+        cages.push({ sum: 0, cells });
+    }
+
+    // Single cells join a neighbouring cage when their digit isn't in it yet
+    for (const cage of cages) {
+        if (cage.cells.length !== 1) continue;
+        const [cell] = cage.cells;
+        const target = neighbours(cell).map(n => cages[cageOf[n]])
+            .find(other => other !== cage && other.cells.length <= maxSize &&
+                !other.cells.some(i => solution[i] === solution[cell]));
+        if (target) {
+            target.cells.push(cell);
+            cage.cells = [];
+            cageOf[cell] = cages.indexOf(target);
+        }
+    }
+
+    return cages.filter(cage => cage.cells.length > 0).map(cage => ({
+        sum: cage.cells.reduce((sum, i) => sum + solution[i], 0),
+        cells: cage.cells.sort((a, b) => a - b)
+    }));
+}
+
+/**
+ * One Killer generation attempt: random solution and cages, then just enough
+ * givens for the logic solver to finish. Logic deductions are sound (Unique
+ * Rectangle is off for cages), so a logical solve also proves the solution is unique.
+ * @param {object} config - Difficulty config ({ maxCage } sets the largest cage, { variant } adds its rules)
+ * @param {function(): number} [random]
+ * @returns {{puzzle: number[][], solution: number[][], cages: object[], removed: number, analysis: object}}
+ */
+function generateKillerAttempt(config, random = Math.random) {
+    const solution = generateSolution(random, getRules({ variant: config.variant }));
+    const flat = Int8Array.from(solution.flat());
+    const cages = buildRandomCages(flat, config.maxCage || 4, random);
+    const rules = getRules({ variant: config.variant, cages });
+    const puzzle = Array.from({ length: 9 }, () => Array(9).fill(0));
+
+    // Reveal cells the logic couldn't reach until it gets through
+    let analysis = solvePuzzleWithLogic(puzzle, { rules, trace: true });
+    while (!analysis.solved) {
+        const reached = new Set(analysis.trace.flatMap(step => step.placements.map(p => p.cell)));
+        const stuck = [];
+        for (let i = 0; i < 81; i++) {
+            if (puzzle[Math.floor(i / 9)][i % 9] === 0 && !reached.has(i)) stuck.push(i);
+        }
+        const i = stuck[Math.floor(random() * stuck.length)];
+        puzzle[Math.floor(i / 9)][i % 9] = flat[i];
+        analysis = solvePuzzleWithLogic(puzzle, { rules, trace: true });
+    }
+
+    // Drop givens that turned out to be unnecessary
+    const givens = [];
+    for (let i = 0; i < 81; i++) if (puzzle[Math.floor(i / 9)][i % 9] !== 0) givens.push(i);
+    for (const i of shuffleArray(givens, random)) {
+        const r = Math.floor(i / 9), c = i % 9;
+        puzzle[r][c] = 0;
+        if (!solvePuzzleWithLogic(puzzle, { rules }).solved) puzzle[r][c] = flat[i];
+    }
+
+    analysis = solvePuzzleWithLogic(puzzle, { rules });
+    const removed = puzzle.flat().filter(v => v === 0).length;
+    return { puzzle, solution, cages, removed, analysis };
+}
+
+// --- Generator (Synchronous) ---
+
+// Attempts for seeded generation. A time budget would make the result depend on
+// device speed, so seeded runs stop after a fixed number of attempts instead.
+const SEEDED_MAX_ATTEMPTS = 120;
+
+// Killer attempts always succeed (givens are added until logic gets through), so the
+// budget only decides how long we keep looking for a rating inside the range
+const KILLER_TIME_BUDGET_MS = 8000;
+
+/**
+ * Cells to remove for a difficulty config on a board. minRemove/maxRemove are
+ * given for 9×9 and scale with the number of cells (and the size's removeScale).
+ * @param {object} config - Difficulty config
+ * @param {object} rules - Rule set (see getRules)
+ * @returns {{minRemove: number, maxRemove: number}}
+ */
+function getRemoveRange(config, rules) {
+    const scale = rules.cellCount / 81 * BOARD_SIZES[rules.size].removeScale;
+    return {
+        minRemove: Math.round(config.minRemove * scale),
+        maxRemove: Math.round(config.maxRemove * scale)
+    };
+}
+
+/**
+ * Generate a puzzle for a difficulty config.
+ * With `config.seed` set, the same (seed, config) always produces the same puzzle.
+ * `config.size` picks the board (see BOARD_SIZES, 9 by default) and `config.variant` the rules
+ * (see VARIANTS); with `config.killer` the result also has `cages`.
+ * @param {object} config - { minRemove, maxRemove, minRating, maxRating, requiredTechnique?, seed?, size?, variant?, killer?, maxCage? }
+ * @returns {{puzzle: number[][], solution: number[][], analysis: object, cages?: object[]}}
+ */
+function generatePuzzleSync(config) {
+    const search = createPuzzleSearch(config);
+    while (search.step());
+    return search.result();
+}
+
+/**
+ * The search behind generatePuzzleSync, one attempt per step() so a caller can
+ * report progress between attempts, stop early or settle for the best so far.
+ * @param {object} config - See generatePuzzleSync
+ * @returns {{step: function(): boolean, progress: function(): object, best: function(): ?object, result: function(): object}}
+ */
+function createPuzzleSearch(config) {
+    const seeded = config.seed !== undefined && config.seed !== null;
+    const killer = !!config.killer;
+    const random = seeded ? createRandom(config.seed) : Math.random;
+    const maxAttempts = seeded ? SEEDED_MAX_ATTEMPTS
+        : config.requiredTechnique ? 5000 : 1000; // More attempts if hunting for specific technique
+    const timeBudgetMs = seeded ? Infinity
+        : killer ? KILLER_TIME_BUDGET_MS : config.requiredTechnique ? 15000 : 45000;
+    const startTime = Date.now();
+    let attempts = 0;
+    let found = null;
+    let bestResult = null;
+    let bestScore = -Infinity;
+
+    /** Run one attempt. False once the search is over (puzzle found or budget spent). */
+    function step() {
+        if (found || attempts >= maxAttempts || Date.now() - startTime > timeBudgetMs) return false;
+        attempts++;
+
+        const result = killer ? generateKillerAttempt(config, random) : generatePuzzleAttempt(config, random);
+        if (!result || !result.analysis.solved) return true;
+
+        // Rating inside the requested range? Same rule as isLevelMatch()
+        // A hunt for a technique also needs the puzzle to use it
+        const hasTechnique = !config.requiredTechnique || result.analysis.techniquesUsed.includes(config.requiredTechnique);
+        if (hasTechnique && isLevelMatch(result.analysis, config)) {
+            found = result;
+            return false;
+        }
+
+        // Otherwise keep the closest rating as fallback
+        const score = -ratingDistance(result.analysis.rating, config);
+        if (score > bestScore) {
+            bestScore = score;
+            bestResult = result;
         }
+        return true;
+    }
+
+    /** Attempts so far, share of the budget used (0-1) and the best puzzle's level and rating */
+    function progress() {
+        const best = found || bestResult;
+        return {
+            attempts,
+            fraction: Math.min(1, Math.max(attempts / maxAttempts, (Date.now() - startTime) / timeBudgetMs)),
+            bestLevel: best ? best.analysis.maxLevel : null,
+            bestRating: best ? best.analysis.rating : null
+        };
+    }
+
+    /** Puzzle found, or the closest one so far (null before the first usable attempt) */
+    function best() {
+        return found || bestResult;
     }
 
-    if (bestResult) {
-        return bestResult;
+    /** Final result; a plain puzzle if no attempt was usable */
+    function result() {
+        return found || bestResult || generateFallbackPuzzle(config, random);
     }
 
-    // Fallback: minimal removal (simple random) if everything fails
-    const sol = generateSolution();
+    return { step, progress, best, result };
+}
+
+/**
+ * Fallback: minimal removal (simple random) if every attempt failed
+ * @param {object} config - Difficulty config ({ size, variant } pick the rules)
+ * @param {function(): number} random - Random source
+ * @returns {{puzzle: number[][], solution: number[][], analysis: object}}
+ */
+function generateFallbackPuzzle(config, random) {
+    const rules = getRules({ size: config.size, variant: config.variant });
+    const { size, cellCount } = rules;
+    const { minRemove } = getRemoveRange(config, rules);
+    const sol = generateSolution(random, rules);
     const puz = sol.map(r => [...r]);
     // Remove naive
     let removed = 0;
     const pos = [];
-    for (let i = 0; i < 81; i++) pos.push(i);
-    shuffleArray(pos);
+    for (let i = 0; i < cellCount; i++) pos.push(i);
+    shuffleArray(pos, random);
 
     // Simple flat 1D array removal logic logic for compatibility
     for (const idx of pos) {
-        if (removed >= config.minRemove) break;
-        const r = Math.floor(idx / 9), c = idx % 9;
+        if (removed >= minRemove) break;
+        const r = Math.floor(idx / size), c = idx % size;
         const old = puz[r][c];
         puz[r][c] = 0;
         // We need countsolution on 2D
-        if (countSolutions(puz) !== 1) puz[r][c] = old;
+        if (countSolutions(puz, 2, rules) !== 1) puz[r][c] = old;
         else removed++;
     }
-    return { puzzle: puz, solution: sol, analysis: { solved: true, maxLevel: 1, techniquesUsed: ['Fallback'] } };
+    return { puzzle: puz, solution: sol, analysis: { solved: true, maxLevel: 1, rating: 1, techniquesUsed: ['Fallback'] } };
 }
 
-function generatePuzzleAttempt(config) {
-    const sol = generateSolution();
+/**
+ * One generation attempt: random solution, symmetric removal, logic rating
+ * @param {object} config - Difficulty config ({ size, variant } pick the rules)
+ * @param {function(): number} [random] - Random source (Math.random or createRandom)
+ * @returns {object|null} { puzzle, solution, removed, analysis }, or null if too few cells were removed
+ */
+function generatePuzzleAttempt(config, random = Math.random) {
+    const rules = getRules({ size: config.size, variant: config.variant });
+    const { size, cellCount } = rules;
+    const { minRemove, maxRemove } = getRemoveRange(config, rules);
+    const sol = generateSolution(random, rules);
     // Flatten for standard handling or keep 2D? 
     // Our logic solver uses 1D. But result must be 2D.
     // Let's keep 2D for puzzle object.
@@ -1149,26 +2290,26 @@ function generatePuzzleAttempt(config) {
     const pairs = [];
     const visited = new Set();
     const coords = [];
-    for (let i = 0; i < 81; i++) coords.push(i);
-    shuffleArray(coords);
+    for (let i = 0; i < cellCount; i++) coords.push(i);
+    shuffleArray(coords, random);
 
     for (const idx of coords) {
         if (visited.has(idx)) continue;
-        const r = Math.floor(idx / 9), c = idx % 9;
-        const sr = 8 - r, sc = 8 - c;
-        const sidx = sr * 9 + sc;
+        const r = Math.floor(idx / size), c = idx % size;
+        const sr = size - 1 - r, sc = size - 1 - c;
+        const sidx = sr * size + sc;
         visited.add(idx); visited.add(sidx);
         pairs.push(idx === sidx ? [idx] : [idx, sidx]);
     }
 
     let removed = 0;
     for (const pair of pairs) {
-        if (removed >= config.maxRemove) break;
+        if (removed >= maxRemove) break;
         // Skip checks if limits...
 
         const backups = [];
         for (const p of pair) {
-            const r = Math.floor(p / 9), c = p % 9;
+            const r = Math.floor(p / size), c = p % size;
             if (puzzle[r][c] !== 0) {
                 backups.push({ r, c, val: puzzle[r][c] });
                 puzzle[r][c] = 0;
@@ -1176,41 +2317,46 @@ function generatePuzzleAttempt(config) {
         }
         if (backups.length === 0) continue;
 
-        if (countSolutions(puzzle) === 1) {
+        if (countSolutions(puzzle, 2, rules) === 1) {
             removed += backups.length;
         } else {
             for (const b of backups) puzzle[b.r][b.c] = b.val;
         }
     }
 
-    if (removed < config.minRemove) return null;
+    if (removed < minRemove) return null;
 
-    const analysis = solvePuzzleWithLogic(puzzle);
+    const analysis = solvePuzzleWithLogic(puzzle, { rules });
     return { puzzle, solution: sol, removed, analysis };
 }
 
 
-function getAllUnits() {
+/**
+ * Rows, columns and boxes of a board (boxes numbered left to right, top to bottom)
+ * @param {number} [size=9] - Board size (see BOARD_SIZES)
+ * @returns {number[][]} Flat cell indices of each unit
+ */
+function getAllUnits(size = 9) {
+    const { boxRows, boxCols } = BOARD_SIZES[size];
     const units = [];
     // Rows
-    for (let i = 0; i < 81; i += 9) {
+    for (let r = 0; r < size; r++) {
         const u = [];
-        for (let k = 0; k < 9; k++) u.push(i + k);
+        for (let k = 0; k < size; k++) u.push(r * size + k);
         units.push(u);
     }
     // Cols
-    for (let i = 0; i < 9; i++) {
+    for (let c = 0; c < size; c++) {
         const u = [];
-        for (let k = 0; k < 81; k += 9) u.push(i + k);
+        for (let k = 0; k < size; k++) u.push(k * size + c);
         units.push(u);
     }
-    // Boxes
-    for (let br = 0; br < 3; br++) {
-        for (let bc = 0; bc < 3; bc++) {
+    // Boxes (boxRows × boxCols cells)
+    for (let top = 0; top < size; top += boxRows) {
+        for (let left = 0; left < size; left += boxCols) {
             const u = [];
-            const start = br * 27 + bc * 3; // 0, 3, 6, 27, 30...
-            for (let r = 0; r < 3; r++) {
-                for (let c = 0; c < 3; c++) u.push(start + r * 9 + c);
+            for (let r = top; r < top + boxRows; r++) {
+                for (let c = left; c < left + boxCols; c++) u.push(r * size + c);
             }
             units.push(u);
         }
@@ -1218,19 +2364,210 @@ function getAllUnits() {
     return units;
 }
 
+/** Check that a rating is inside a config's half-open range [minRating, maxRating) */
+function isRatingInRange(rating, config) {
+    return rating >= config.minRating && rating < config.maxRating;
+}
+
+/**
+ * How far a rating is from a config's range, to pick the closest one when no
+ * range holds it (0 between the bounds; see isRatingInRange for membership)
+ */
+function ratingDistance(rating, config) {
+    if (rating < config.minRating) return config.minRating - rating;
+    if (rating > config.maxRating) return rating - config.maxRating;
+    return 0;
+}
+
 /**
  * Check if the generated analysis matches the config difficulty
+ * (solved by logic and rating inside the configured range).
  * Restored for compatibility with script.js
  */
 function isLevelMatch(analysis, config) {
     if (!analysis.solved) return false;
-    if (analysis.maxLevel > config.maxLevel) return false;
-    // Medium (maxLevel 2): any solvable puzzle up to Hidden Single is fine
-    if (config.maxLevel <= 2) return true;
-    // Hard (3) and Expert (4): require exact target level
-    if (config.maxLevel <= 4) return analysis.maxLevel === config.maxLevel;
-    // Master (5): require at least Level 5 (X-Wing)
-    if (config.maxLevel === 5) return analysis.maxLevel >= 5;
-    // Extreme (7): require at least Level 6 (Swordfish) or 7 (XY-Wing)
-    return analysis.maxLevel >= 6;
+    return isRatingInRange(analysis.rating, config);
+}
+
+// ============================================
+// Puzzle Import / Export (puzzle strings, .sdk / .sdm, share codes)
+// ============================================
+// A puzzle string has one character per cell, row by row: its length gives the board
+// size (81 for 9×9, 256 for 16×16...). Values use DIGIT_SYMBOLS; '.', '0', '_' and
+// '*' are blanks.
+
+/**
+ * Parse a puzzle string of any supported size. Whitespace is ignored.
+ * @param {string} text
+ * @returns {number[][]|null} Board, or null if the length isn't a supported size or a symbol doesn't fit it
+ */
+function parsePuzzleString(text) {
+    const cells = String(text).replace(/\s+/g, '').replace(/[._*]/g, '0').toUpperCase();
+    const size = Math.sqrt(cells.length);
+    if (!BOARD_SIZES[size]) return null;
+
+    const values = [];
+    for (const ch of cells) {
+        const value = ch === '0' ? 0 : DIGIT_SYMBOLS.indexOf(ch) + 1;
+        if (ch !== '0' && (value === 0 || value > size)) return null;
+        values.push(value);
+    }
+    return unflattenBoard(Int8Array.from(values), size);
+}
+
+/**
+ * Serialize a board as a puzzle string ('.' for blanks)
+ * @param {number[][]} board2D
+ * @returns {string}
+ */
+function puzzleToString(board2D) {
+    return board2D.map(row => row.map(v => (v === 0 ? '.' : DIGIT_SYMBOLS[v - 1])).join('')).join('');
+}
+
+/**
+ * Split a puzzle collection into puzzle strings.
+ * Handles .sdm (one puzzle of any size per line, optionally followed by other columns),
+ * .sdk (9 lines of 9 cells, with optional '|' / '---+---' box separators),
+ * '#' comments and [Section] headers.
+ * @param {string} text - File contents
+ * @returns {string[]} Puzzle strings
+ */
+function parsePuzzleCollection(text) {
+    const puzzles = [];
+    let rows = [];
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (line === '' || line.startsWith('#') || line.startsWith('[')) {
+            rows = []; // Blank line / header ends a partial grid
+            continue;
+        }
+        if (/^[-+=|\s]+$/.test(line)) continue; // Box separator line
+
+        // .sdm: first token is a whole puzzle
+        const token = line.split(/\s+/)[0];
+        if (parsePuzzleString(token)) {
+            puzzles.push(token);
+            rows = [];
+            continue;
+        }
+
+        // .sdk: one row of 9 cells
+        const row = line.replace(/[|\s]/g, '');
+        if (/^[0-9._*]{9}$/.test(row)) {
+            rows.push(row);
+            if (rows.length === 9) {
+                puzzles.push(rows.join(''));
+                rows = [];
+            }
+        }
+    }
+    return puzzles;
+}
+
+const CODE_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Compact share code: the cells read as one number in base size + 1 (base 10 on
+ * 9×9), written in base 62 (~46 characters instead of 81)
+ * @param {number[][]} board2D
+ * @returns {string}
+ */
+function encodePuzzleCode(board2D) {
+    const base = BigInt(board2D.length + 1);
+    let n = 1n; // Leading 1 keeps leading blanks
+    for (const value of board2D.flat()) n = n * base + BigInt(value);
+    let code = '';
+    while (n > 0n) {
+        code = CODE_ALPHABET[Number(n % 62n)] + code;
+        n /= 62n;
+    }
+    return code;
+}
+
+/**
+ * Inverse of encodePuzzleCode
+ * @param {string} code
+ * @param {number} [size=9] - Board size the code was made for
+ * @returns {number[][]|null} Board, or null if the code is malformed
+ */
+function decodePuzzleCode(code, size = 9) {
+    if (!/^[0-9A-Za-z]+$/.test(code) || !BOARD_SIZES[size]) return null;
+    let n = 0n;
+    for (const ch of code) n = n * 62n + BigInt(CODE_ALPHABET.indexOf(ch));
+
+    const base = BigInt(size + 1);
+    const values = [];
+    while (n >= base) {
+        values.push(Number(n % base));
+        n /= base;
+    }
+    if (n !== 1n || values.length !== size * size) return null;
+    return unflattenBoard(Int8Array.from(values.reverse()), size);
+}
+
+// ============================================
+// Node Exports
+// ============================================
+// Browsers and the puzzle worker use the globals above. In Node the engine is a
+// CommonJS module; ES modules can import it too (named exports included).
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BOARD_SIZES,
+        DIGIT_SYMBOLS,
+        VARIANTS,
+        STRATEGIES,
+        KILLER_STRATEGIES,
+        TECHNIQUE_NAMES,
+        TECHNIQUE_WEIGHTS,
+        getRules,
+        isSupportedRules,
+        isClassicRules,
+        flattenBoard,
+        unflattenBoard,
+        createRandom,
+        generateSolution,
+        isValid,
+        countSolutions,
+        findSolution,
+        findKillerSolution,
+        validateCages,
+        initCandidates,
+        getStrategies,
+        applyNakedSingles,
+        applyHiddenSingles,
+        applyNakedSubsets,
+        applyHiddenSubsets,
+        applyPointingPairs,
+        applyXWing,
+        applyUniqueRectangleType1,
+        applySkyscraper,
+        applyTwoStringKite,
+        applyEmptyRectangle,
+        applySwordfish,
+        applyJellyfish,
+        applyXYWing,
+        applyXYZWing,
+        applyWWing,
+        applySimpleColoring,
+        applyXChain,
+        applyAIC,
+        applyCageCombinations,
+        applyRuleOf45,
+        solvePuzzleWithLogic,
+        findNextStep,
+        generatePuzzleSync,
+        createPuzzleSearch,
+        generatePuzzleAttempt,
+        generateKillerAttempt,
+        ratingDistance,
+        isRatingInRange,
+        isLevelMatch,
+        parsePuzzleString,
+        puzzleToString,
+        parsePuzzleCollection,
+        encodePuzzleCode,
+        decodePuzzleCode
+    };
 }
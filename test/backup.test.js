@@ -0,0 +1,73 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TECHNIQUE_FIXTURES, loadApp } = require('./helpers');
+
+const app = loadApp();
+const plain = value => JSON.parse(JSON.stringify(value)); // Objects from the app's realm
+
+const { puzzle, solution } = TECHNIQUE_FIXTURES['Naked Single'][0];
+const ARCHIVED = {
+    id: 'abc123', date: '2026-01-01T10:00:00.000Z', difficulty: 'medium', puzzle, solution,
+    techniques: ['Naked Single'], result: 'won', time: 300, score: 1200, hints: 0, mistakes: 1
+};
+const board = app.parsePuzzleString(puzzle);
+const SAVED = {
+    id: 'abc123', name: null, updated: 0, board, solution: app.parsePuzzleString(solution), initial: board,
+    notes: Array(81).fill([]), difficulty: 'medium', elapsedSeconds: 120, currentScore: 300
+};
+
+/** Version 2 backup holding the given save slots */
+function backupWith(...games) {
+    return JSON.stringify({ app: 'DiverSoku', version: 2, data: { slots: { active: null, games } } });
+}
+
+describe('backup restore', () => {
+    it('counts a backup merged twice only once', () => {
+        const current = { medium: { played: 5, won: 4, bestTime: 250, bestScore: 1500, totalScore: 5000 } };
+        const backup = {
+            medium: { played: 3, won: 3, bestTime: 200, bestScore: 1200, totalScore: 3000 },
+            daily: { won: 2, currentStreak: 1, bestStreak: 2, lastDate: '2026-01-01', completed: ['medium'] }
+        };
+        const once = plain(app.mergeStats(current, backup));
+        const twice = plain(app.mergeStats(once, backup));
+        assert.deepEqual(twice, once);
+        assert.deepEqual(once.medium, { played: 5, won: 4, bestTime: 200, bestScore: 1500, totalScore: 5000 });
+        assert.equal(once.daily.won, 2);
+    });
+
+    it('accepts archived games with their numbers and result', () => {
+        assert.equal(app.isArchivedGame(ARCHIVED), true);
+    });
+
+    it('rejects archived games whose numbers are missing or not numbers', () => {
+        for (const field of ['time', 'score', 'hints', 'mistakes']) {
+            assert.equal(app.isArchivedGame({ ...ARCHIVED, [field]: '<img src=x onerror=alert(1)>' }), false, field);
+            const { [field]: _, ...missing } = ARCHIVED;
+            assert.equal(app.isArchivedGame(missing), false, `${field} missing`);
+        }
+        assert.equal(app.isArchivedGame({ ...ARCHIVED, result: '<b>won</b>' }), false);
+        assert.equal(app.isArchivedGame({ ...ARCHIVED, difficulty: 'constructor' }), false);
+    });
+
+    it('accepts save slots the board can show', () => {
+        assert.equal(app.parseBackup(backupWith(SAVED, { ...SAVED, id: 'def456', size: 9, variant: 'diagonal' })).error, undefined);
+    });
+
+    it('rejects save slots with unknown names, odd grids or numbers that are not numbers', () => {
+        const damaged = {
+            difficulty: { difficulty: 'legendary' },
+            variant: { variant: 'hexagonal' },
+            size: { size: 6 },
+            score: { currentScore: '<img src=x onerror=alert(1)>' },
+            time: { elapsedSeconds: '2:00' },
+            solution: { solution: board.slice(0, 8) },
+            row: { board: [board[0].slice(1), ...board.slice(1)] },
+            boardSize: { board: board.slice(0, 7) }
+        };
+        for (const [what, change] of Object.entries(damaged)) {
+            assert.equal(app.parseBackup(backupWith({ ...SAVED, ...change })).error, 'La copia está dañada (slots).', what);
+        }
+    });
+});
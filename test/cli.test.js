@@ -0,0 +1,76 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'diversoku.js');
+
+/** Run the CLI; `input` is piped to standard input */
+function run(args, input) {
+    return spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 60000 });
+}
+
+describe('diversoku CLI', () => {
+    it('generates reproducible puzzles that validate and rate in range', () => {
+        const args = ['generate', '--difficulty', 'medium', '--count', '2', '--format', 'sdk', '--seed', 'cli'];
+        const first = run(args);
+        assert.equal(first.status, 0, first.stderr);
+        assert.equal(run(args).stdout, first.stdout);
+        assert.equal(first.stdout.split('\n\n').length, 2);
+
+        const validated = run(['validate', '-'], first.stdout);
+        assert.equal(validated.status, 0, validated.stdout);
+        assert.match(validated.stdout, /^2\/2 unique$/m);
+
+        const rated = JSON.parse(run(['rate', '-', '--json'], first.stdout).stdout);
+        assert.deepEqual(rated.puzzles.map(p => p.tier), ['medium', 'medium']);
+        assert.equal(rated.tiers.medium, 2);
+    });
+
+    it('builds a pack that rates like its source', () => {
+        const generated = run(['generate', '--difficulty', 'hard', '--count', '2', '--seed', 'pack']).stdout;
+        const result = run(['pack', '-', '--id', 'test-pack', '--name', 'Test'], generated);
+        assert.equal(result.status, 0, result.stderr);
+        const pack = JSON.parse(result.stdout);
+        assert.equal(pack.id, 'test-pack');
+        assert.deepEqual(pack.puzzles.map(entry => entry.puzzle), generated.trim().split('\n'));
+        assert.ok(pack.puzzles.every(entry => entry.rating >= 2.5 && entry.rating < 3.5));
+
+        // A pack is also a collection the other commands read
+        assert.equal(run(['pack', '-'], result.stdout).stdout, result.stdout);
+        assert.match(run(['validate', '-'], result.stdout).stdout, /^2\/2 unique$/m);
+    });
+
+    it('solves a puzzle given on the command line', () => {
+        const result = run(['solve', '1.....' + '.'.repeat(30)]);
+        assert.equal(result.status, 1); // Far from unique
+        assert.match(result.stdout, /one of several/);
+    });
+
+    it('fails on input without puzzles and on unknown options', () => {
+        const empty = run(['validate', '-'], 'garbage\n');
+        assert.equal(empty.status, 1);
+        assert.match(empty.stderr, /No puzzles found/);
+
+        const bad = run(['generate', '--difficulty', 'impossible']);
+        assert.equal(bad.status, 1);
+        assert.match(bad.stderr, /--difficulty must be one of/);
+
+        const inherited = run(['generate', '--difficulty', 'constructor']);
+        assert.equal(inherited.status, 1);
+        assert.match(inherited.stderr, /--difficulty must be one of/);
+
+        const technique = run(['generate', '--difficulty', 'medium', '--technique', 'Nonexistent']);
+        assert.equal(technique.status, 1);
+        assert.match(technique.stderr, /--technique must be one of: Naked Single, /);
+    });
+
+    it('gives up on a tier the board size cannot reach', () => {
+        const result = run(['generate', '--difficulty', 'extreme', '--size', '4', '--max-runs', '5']);
+        assert.equal(result.status, 1);
+        assert.equal(result.stdout, '');
+        assert.match(result.stderr, /Only 0\/1 puzzles in 5 runs/);
+    });
+});
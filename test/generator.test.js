@@ -0,0 +1,93 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { engine, assertSolvedGrid } = require('./helpers');
+
+const { getRules, generatePuzzleSync, countSolutions, solvePuzzleWithLogic, isLevelMatch, isRatingInRange, ratingDistance } = engine;
+
+// The app's tiers
+const { medium: MEDIUM, expert: EXPERT, extreme: EXTREME, diabolical: DIABOLICAL } = require('../difficulties.js').DIFFICULTY_CONFIG;
+
+/** Givens must agree with the solution, and the solution must be the only one */
+function assertUniquePuzzle(result, rules) {
+    assertSolvedGrid(result.solution, rules);
+    result.puzzle.forEach((row, r) => row.forEach((value, c) => {
+        if (value !== 0) assert.equal(value, result.solution[r][c], `given at ${r},${c}`);
+    }));
+    assert.ok(result.puzzle.flat().includes(0), 'puzzle has empty cells');
+    assert.equal(countSolutions(result.puzzle, 2, rules), 1);
+}
+
+describe('isLevelMatch', () => {
+    it('accepts ratings from minRating up to (not including) maxRating', () => {
+        assert.equal(isLevelMatch({ solved: true, rating: 3.5 }, EXPERT), true);
+        assert.equal(isLevelMatch({ solved: true, rating: 4.49 }, EXPERT), true);
+        assert.equal(isLevelMatch({ solved: true, rating: 4.5 }, EXPERT), false);
+        assert.equal(isLevelMatch({ solved: true, rating: 3.49 }, EXPERT), false);
+        assert.equal(isLevelMatch({ solved: true, rating: 7.5 }, EXTREME), false);
+        assert.equal(isLevelMatch({ solved: true, rating: 42 }, DIABOLICAL), true);
+    });
+
+    it('rejects puzzles the logic solver could not finish', () => {
+        assert.equal(isLevelMatch({ solved: false, rating: 4 }, EXPERT), false);
+    });
+
+    it('measures the distance to the range', () => {
+        assert.equal(ratingDistance(4, EXPERT), 0);
+        assert.equal(ratingDistance(3, EXPERT), 0.5);
+        assert.equal(ratingDistance(5, EXPERT), 0.5);
+    });
+
+    it('puts a boundary rating in the upper range only', () => {
+        assert.equal(isRatingInRange(4.5, EXPERT), false);
+        assert.equal(isRatingInRange(4.5, { ...EXPERT, minRating: 4.5, maxRating: 6 }), true);
+        assert.equal(isRatingInRange(3.5, EXPERT), true);
+    });
+});
+
+describe('generatePuzzleSync', () => {
+    it('generates unique classic puzzles that logic can solve', () => {
+        for (const config of [MEDIUM, EXPERT]) {
+            for (let i = 0; i < 3; i++) {
+                const result = generatePuzzleSync({ ...config, seed: `test:${i}` });
+                assertUniquePuzzle(result, getRules());
+                assert.equal(solvePuzzleWithLogic(result.puzzle).solved, true);
+            }
+        }
+    });
+
+    it('gives the same puzzle for the same seed', () => {
+        const a = generatePuzzleSync({ ...EXPERT, seed: 'repeat' });
+        const b = generatePuzzleSync({ ...EXPERT, seed: 'repeat' });
+        assert.deepEqual(a.puzzle, b.puzzle);
+        assert.notDeepEqual(a.puzzle, generatePuzzleSync({ ...EXPERT, seed: 'different' }).puzzle);
+    });
+
+    it('lands in the rating range of easy difficulties', () => {
+        const result = generatePuzzleSync({ ...MEDIUM, seed: 'in range' });
+        assert.equal(isLevelMatch(result.analysis, MEDIUM), true);
+    });
+
+    it('finds puzzles that need chains for the hardest tier', () => {
+        const result = generatePuzzleSync({ ...DIABOLICAL, seed: 'chains' });
+        assert.equal(isLevelMatch(result.analysis, DIABOLICAL), true);
+        assert.equal(result.analysis.maxLevel, 8, result.analysis.techniquesUsed.join(', '));
+    });
+
+    it('generates unique puzzles on other sizes and variants', () => {
+        for (const options of [{ size: 4 }, { size: 6 }, { size: 12 }, { variant: 'diagonal' }, { variant: 'antiking' }, { size: 6, variant: 'antiknight' }]) {
+            const result = generatePuzzleSync({ ...MEDIUM, ...options, seed: 'sizes' });
+            assert.equal(result.puzzle.length, options.size || 9);
+            assertUniquePuzzle(result, getRules(options));
+        }
+    });
+
+    it('generates Killer puzzles with unique solutions', () => {
+        const result = generatePuzzleSync({ ...MEDIUM, killer: true, seed: 'killer' });
+        const rules = getRules({ cages: result.cages });
+        assertUniquePuzzle(result, rules);
+        const covered = result.cages.flatMap(cage => cage.cells).sort((a, b) => a - b);
+        assert.deepEqual(covered, Array.from({ length: 81 }, (_, i) => i), 'cages cover every cell once');
+    });
+});
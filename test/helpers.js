@@ -0,0 +1,60 @@
+// ============================================
+// Test Helpers — fixtures, board checks and the app script for the tests
+// ============================================
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const engine = require('../sudoku-engine.js');
+
+/** Technique fixtures: { [technique]: [{ description, puzzle, solution, cages?, expected }] } */
+const TECHNIQUE_FIXTURES = require('./fixtures/techniques.json');
+
+/** Flat board (0 = empty) from a fixture puzzle string */
+function parseFlat(text) {
+    return engine.flattenBoard(engine.parsePuzzleString(text));
+}
+
+/**
+ * Assert that a full board follows a rule set: no empty cells, every unit
+ * holds each digit once and no two cells that see each other share a digit
+ * @param {number[][]} board2D
+ * @param {object} rules - Rule set (see getRules)
+ */
+function assertSolvedGrid(board2D, rules) {
+    const board = engine.flattenBoard(board2D);
+    assert.equal(board.length, rules.cellCount);
+    assert.ok(board.every(value => value >= 1 && value <= rules.size), 'every cell holds a digit');
+    rules.units.forEach((cells, u) => {
+        const digits = new Set(cells.map(i => board[i]));
+        assert.equal(digits.size, cells.length, `unit ${u} repeats a digit`);
+    });
+    for (let i = 0; i < rules.cellCount; i++) {
+        for (const peer of rules.peers[i]) {
+            assert.notEqual(board[i], board[peer], `cells ${i} and ${peer} see each other`);
+        }
+    }
+    if (rules.cages) {
+        for (const cage of rules.cages) {
+            assert.equal(cage.cells.reduce((sum, i) => sum + board[i], 0), cage.sum, 'cage sum');
+        }
+    }
+}
+
+/**
+ * The app's own functions (script.js on top of the engine, difficulty and storage globals, like
+ * index.html loads them) for testing its pure helpers. There is no DOM: page setup never runs.
+ * @returns {object} vm context; top-level functions are its properties
+ */
+function loadApp() {
+    const context = vm.createContext({ console, atob, btoa, document: { addEventListener() { } } });
+    for (const file of ['sudoku-engine.js', 'difficulties.js', 'storage.js', 'script.js']) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    }
+    return context;
+}
+
+module.exports = { engine, TECHNIQUE_FIXTURES, parseFlat, assertSolvedGrid, loadApp };
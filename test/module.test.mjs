@@ -0,0 +1,13 @@
+// The engine is a classic script with a CommonJS export block; ES modules get named exports from it
+import { it } from 'node:test';
+import assert from 'node:assert/strict';
+import engine, { countSolutions, generateSolution, getRules } from '../sudoku-engine.js';
+
+it('imports as an ES module with named exports', () => {
+    assert.equal(typeof engine.solvePuzzleWithLogic, 'function');
+    assert.equal(countSolutions(generateSolution(Math.random, getRules({ size: 6 }))), 1);
+});
+
+it('keeps the globals out of the module scope', () => {
+    assert.equal(typeof globalThis.countSolutions, 'undefined');
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { engine } = require('./helpers');
+
+const { getRules, countSolutions, findSolution, solvePuzzleWithLogic, parsePuzzleString, puzzleToString } = engine;
+
+const ROOT = path.join(__dirname, '..');
+
+// Bundled pack files as script.js lists them (PACK_FILES)
+const PACK_FILES = JSON.parse(fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8')
+    .match(/const PACK_FILES = (\[.*?\]);/)[1].replace(/'/g, '"'));
+const packs = PACK_FILES.map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8')) }));
+
+describe('puzzle packs', () => {
+    it('are cached for offline play and have distinct ids', () => {
+        const serviceWorker = fs.readFileSync(path.join(ROOT, 'service-worker.js'), 'utf8');
+        for (const { file } of packs) assert.ok(serviceWorker.includes(`'/${file}'`), `${file} is cached`);
+        assert.equal(new Set(packs.map(pack => pack.id)).size, packs.length);
+    });
+
+    it('hold unique puzzles with their solution', () => {
+        const rules = getRules();
+        const seen = new Set();
+        for (const pack of packs) {
+            for (const [i, entry] of pack.puzzles.entries()) {
+                const label = `${pack.id} #${i + 1}`;
+                assert.ok(!seen.has(entry.puzzle), `${label} is not repeated`);
+                seen.add(entry.puzzle);
+                const board = parsePuzzleString(entry.puzzle);
+                assert.equal(countSolutions(board, 2, rules), 1, `${label} has one solution`);
+                assert.equal(puzzleToString(findSolution(board, rules)), entry.solution, `${label} solution`);
+            }
+        }
+    });
+
+    it('are rated as the engine rates them', () => {
+        for (const pack of packs) {
+            for (const [i, entry] of pack.puzzles.entries()) {
+                const analysis = solvePuzzleWithLogic(parsePuzzleString(entry.puzzle));
+                assert.ok(analysis.solved, `${pack.id} #${i + 1} is solved by logic`);
+                assert.deepEqual(
+                    { rating: entry.rating, maxLevel: entry.maxLevel, techniques: entry.techniques },
+                    { rating: analysis.rating, maxLevel: analysis.maxLevel, techniques: analysis.techniquesUsed },
+                    `${pack.id} #${i + 1} rating (rebuild the pack with bin/diversoku.js pack)`);
+            }
+        }
+    });
+
+    it('live up to their names', () => {
+        const byId = Object.fromEntries(packs.map(pack => [pack.id, pack]));
+        assert.equal(byId['beginner-100'].puzzles.length, 100);
+        assert.ok(byId['beginner-100'].puzzles.every(entry => entry.rating < 2.5), 'beginner puzzles are medium');
+        assert.ok(byId.swordfish.puzzles.every(entry => entry.techniques.includes('Swordfish')));
+    });
+});
@@ -0,0 +1,31 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TECHNIQUE_FIXTURES, loadApp } = require('./helpers');
+
+const app = loadApp();
+const plain = value => JSON.parse(JSON.stringify(value)); // Objects from the app's realm
+
+const puzzle = app.parsePuzzleString(TECHNIQUE_FIXTURES['Naked Single'][0].puzzle);
+
+/** Share code of the fixture puzzle with the given difficulty */
+function shareCode(d) {
+    return app.encodeSharePayload({ v: 1, p: app.encodePuzzleCode(puzzle), d });
+}
+
+describe('share links', () => {
+    it('keep the difficulty they were shared with', () => {
+        const payload = app.decodeSharePayload(shareCode('expert'));
+        assert.equal(payload.difficulty, 'expert');
+        assert.deepEqual(plain(payload.puzzle), plain(puzzle));
+    });
+
+    it('drop difficulties that are not tiers', () => {
+        for (const d of ['constructor', 'toString', '__proto__', 'legendary', 7]) {
+            const payload = app.decodeSharePayload(shareCode(d));
+            assert.ok(payload, String(d));
+            assert.equal(payload.difficulty, null, String(d));
+        }
+    });
+});
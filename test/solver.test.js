@@ -0,0 +1,86 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { engine, TECHNIQUE_FIXTURES, assertSolvedGrid } = require('./helpers');
+
+const { getRules, generateSolution, countSolutions, findSolution, createRandom, parsePuzzleString, puzzleToString } = engine;
+
+const fixtures = Object.values(TECHNIQUE_FIXTURES).flat().filter(fixture => !fixture.cages);
+
+describe('generateSolution', () => {
+    it('fills a valid classic grid', () => {
+        for (let i = 0; i < 20; i++) assertSolvedGrid(generateSolution(), getRules());
+    });
+
+    it('fills valid grids on every board size', () => {
+        for (const size of [4, 6, 9, 12, 16]) {
+            assertSolvedGrid(generateSolution(Math.random, getRules({ size })), getRules({ size }));
+        }
+    });
+
+    it('respects variant constraints', () => {
+        for (const variant of ['diagonal', 'windoku', 'antiknight', 'antiking']) {
+            const rules = getRules({ variant });
+            assertSolvedGrid(generateSolution(Math.random, rules), rules);
+        }
+    });
+
+    it('is reproducible with a seeded random source', () => {
+        const a = generateSolution(createRandom('seed'));
+        const b = generateSolution(createRandom('seed'));
+        assert.deepEqual(a, b);
+        assert.notDeepEqual(a, generateSolution(createRandom('other seed')));
+    });
+});
+
+describe('countSolutions', () => {
+    it('finds exactly one solution for the fixture puzzles', () => {
+        for (const fixture of fixtures) {
+            assert.equal(countSolutions(parsePuzzleString(fixture.puzzle)), 1, fixture.description);
+        }
+    });
+
+    it('stops counting at the limit', () => {
+        const empty = Array.from({ length: 9 }, () => Array(9).fill(0));
+        assert.equal(countSolutions(empty), 2);
+        assert.equal(countSolutions(empty, 5), 5);
+    });
+
+    it('counts a solved grid once', () => {
+        assert.equal(countSolutions(generateSolution()), 1);
+    });
+
+    it('counts the two ways to finish a grid with an open rectangle', () => {
+        // 1 and 2 on the corners of a rectangle across two boxes: both ways round are valid
+        const grid = parsePuzzleString('123456789456789123789123456214365897365897214897214365531642978642978531978531642');
+        assert.equal(countSolutions(grid), 1);
+        for (const [r, c] of [[0, 0], [0, 1], [3, 0], [3, 1]]) grid[r][c] = 0;
+        assert.equal(countSolutions(grid), 2);
+    });
+
+    it('finds no solution when the givens conflict', () => {
+        const board = parsePuzzleString(fixtures[0].puzzle);
+        const empty = board.flat().indexOf(0);
+        board[Math.floor(empty / 9)][empty % 9] = board[Math.floor(empty / 9)].find(value => value > 0);
+        assert.equal(countSolutions(board), 0);
+        assert.equal(findSolution(board), null);
+    });
+
+    it('applies variant rules', () => {
+        const rules = getRules({ variant: 'diagonal' });
+        const solution = generateSolution(Math.random, rules);
+        assert.equal(countSolutions(solution, 2, rules), 1);
+        // Valid classic grid, but its main diagonal repeats 9 and 3
+        const classic = parsePuzzleString('123456789456789123789123456214365897365897214897214365531642978642978531978531642');
+        assert.equal(countSolutions(classic, 2, rules), 0);
+    });
+});
+
+describe('findSolution', () => {
+    it('solves the fixture puzzles', () => {
+        for (const fixture of fixtures) {
+            assert.equal(puzzleToString(findSolution(parsePuzzleString(fixture.puzzle))), fixture.solution, fixture.description);
+        }
+    });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { engine, TECHNIQUE_FIXTURES } = require('./helpers');
+
+// storage.js after the globals it checks save slots against, like index.html loads them
+const SOURCES = ['sudoku-engine.js', 'difficulties.js', 'storage.js']
+    .map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'));
+
+/** In-memory localStorage; writes to the module's own keys fail while `failing` is set */
+function createLocalStorage(entries = {}) {
+    const items = new Map(Object.entries(entries));
+    return {
+        failing: false,
+        get length() { return items.size; },
+        key: i => [...items.keys()][i] ?? null,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem(key, value) {
+            if (this.failing && key.startsWith('diversoku:')) throw new Error('disk error');
+            items.set(key, String(value));
+        },
+        removeItem: key => { items.delete(key); }
+    };
+}
+
+/** GameStorage from a fresh copy of storage.js (no IndexedDB: the localStorage backend) */
+function loadGameStorage(localStorage) {
+    const context = vm.createContext({ localStorage, console: { log() { }, warn() { } } });
+    for (const source of SOURCES) vm.runInContext(source, context);
+    return vm.runInContext('GameStorage', context);
+}
+
+describe('GameStorage migration', () => {
+    it('keeps the legacy keys until the migrated records are stored', async () => {
+        const stats = { medium: { played: 3, won: 2 } };
+        const localStorage = createLocalStorage({ sudoku_stats: JSON.stringify(stats) });
+
+        localStorage.failing = true;
+        await loadGameStorage(localStorage).init();
+        assert.equal(localStorage.getItem('sudoku_stats'), JSON.stringify(stats), 'legacy stats survive a failed write');
+
+        localStorage.failing = false;
+        const storage = loadGameStorage(localStorage);
+        await storage.init();
+        assert.equal(JSON.stringify(storage.get('stats')), JSON.stringify(stats)); // Object from another realm
+        assert.equal(localStorage.getItem('sudoku_stats'), null, 'legacy key removed once migrated');
+        assert.deepEqual(JSON.parse(localStorage.getItem('diversoku:stats')), stats);
+    });
+
+    it('moves the single saved game of old versions into a save slot', async () => {
+        const { puzzle, solution } = TECHNIQUE_FIXTURES['Naked Single'][0];
+        const board = engine.parsePuzzleString(puzzle);
+        // What saveGameState wrote before save slots, sizes and variants
+        const gameState = {
+            board, solution: engine.parsePuzzleString(solution), initial: board, notes: Array(81).fill([]),
+            history: [], difficulty: 'medium', elapsedSeconds: 95, selectedCell: null, pencilMode: false,
+            currentScore: 40, hintsUsed: 0, mistakesMade: 0
+        };
+        const localStorage = createLocalStorage({ sudoku_gameState: JSON.stringify(gameState) });
+
+        const storage = loadGameStorage(localStorage);
+        await storage.init();
+        const slots = JSON.parse(JSON.stringify(storage.get('slots')));
+        assert.equal(slots.active, 'legacy');
+        assert.deepEqual(slots.games[0].board, board);
+        assert.equal(slots.games[0].elapsedSeconds, 95);
+    });
+});
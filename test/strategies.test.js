@@ -0,0 +1,124 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { engine, TECHNIQUE_FIXTURES, parseFlat } = require('./helpers');
+
+const { getRules, getStrategies, initCandidates, solvePuzzleWithLogic, parsePuzzleString } = engine;
+
+// Fixture group of each strategy (see test/fixtures/techniques.json)
+const STRATEGY_FIXTURES = {
+    applyNakedSingles: 'Naked Single',
+    applyHiddenSingles: 'Hidden Single',
+    applyNakedSubsets: 'Naked Subsets',
+    applyHiddenSubsets: 'Hidden Subsets',
+    applyPointingPairs: 'Pointing Pairs',
+    applyXWing: 'X-Wing',
+    applyUniqueRectangleType1: 'Unique Rectangle',
+    applySkyscraper: 'Skyscraper',
+    applyTwoStringKite: '2-String Kite',
+    applyEmptyRectangle: 'Empty Rectangle',
+    applySwordfish: 'Swordfish',
+    applyJellyfish: 'Jellyfish',
+    applyXYWing: 'XY-Wing',
+    applyXYZWing: 'XYZ-Wing',
+    applyWWing: 'W-Wing',
+    applySimpleColoring: 'Simple Coloring',
+    applyXChain: 'X-Chain',
+    applyAIC: 'AIC',
+    applyCageCombinations: 'Cage Combination',
+    applyRuleOf45: 'Rule of 45'
+};
+
+function rulesFor(fixture) {
+    return getRules({ cages: fixture.cages || null });
+}
+
+/**
+ * Run the strategies the solver tries before `apply` until none of them makes progress
+ * @returns {{board: Int8Array, candidates: Uint16Array}} The stalled position
+ */
+function stallBefore(fixture, apply, rules) {
+    const board = parseFlat(fixture.puzzle);
+    const candidates = initCandidates(board, rules);
+    const strategies = getStrategies(rules);
+    const earlier = strategies.slice(0, strategies.findIndex(strategy => strategy.apply === apply));
+    while (earlier.some(strategy => strategy.apply(board, candidates, undefined, rules)));
+    return { board, candidates };
+}
+
+describe('strategies', () => {
+    for (const [name, technique] of Object.entries(STRATEGY_FIXTURES)) {
+        describe(name, () => {
+            for (const fixture of TECHNIQUE_FIXTURES[technique]) {
+                it(fixture.description, () => {
+                    const apply = engine[name];
+                    const rules = rulesFor(fixture);
+                    const { board, candidates } = stallBefore(fixture, apply, rules);
+                    assert.ok(board.includes(0), 'easier strategies alone solve the fixture');
+
+                    const log = [];
+                    assert.equal(apply(board, candidates, log, rules), true, 'no progress where the easier strategies stall');
+                    assert.ok(log.length > 0, 'progress is logged');
+
+                    // Every deduction agrees with the known solution
+                    const solution = parseFlat(fixture.solution);
+                    for (const step of log) {
+                        assert.ok(step.placements.length + step.eliminations.length > 0);
+                        for (const { cell, value } of step.placements) assert.equal(value, solution[cell], `placement in cell ${cell}`);
+                        for (const { cell, value } of step.eliminations) assert.notEqual(value, solution[cell], `elimination in cell ${cell}`);
+                    }
+                    for (let i = 0; i < solution.length; i++) {
+                        if (board[i] === 0) assert.ok(candidates[i] & (1 << (solution[i] - 1)), `solution digit kept in cell ${i}`);
+                    }
+                });
+            }
+        });
+    }
+
+    it('Skyscraper leaves X-Wing patterns alone', () => {
+        // 1 only fits columns 2 and 8 of rows 1 and 5: both columns match, so this is an
+        // X-Wing, and reading it as a Skyscraper used to clear the 1 from its own corners
+        const rules = getRules();
+        const board = new Int8Array(81);
+        const candidates = new Uint16Array(81).fill(rules.maskAll);
+        for (const row of [0, 4]) for (let c = 0; c < 9; c++) if (c !== 1 && c !== 7) candidates[row * 9 + c] &= ~1;
+
+        const before = Uint16Array.from(candidates);
+        assert.equal(engine.applySkyscraper(board, candidates, [], rules), false);
+        assert.deepEqual(candidates, before);
+    });
+
+    it('report no progress and log nothing on a solved grid', () => {
+        const rules = getRules();
+        const board = parseFlat(TECHNIQUE_FIXTURES['Naked Single'][0].solution);
+        const candidates = initCandidates(board, rules);
+        for (const { apply } of getStrategies(rules)) {
+            const log = [];
+            assert.equal(apply(board, candidates, log, rules), false, apply.name);
+            assert.equal(log.length, 0);
+        }
+    });
+});
+
+describe('solvePuzzleWithLogic', () => {
+    for (const [technique, fixtures] of Object.entries(TECHNIQUE_FIXTURES)) {
+        for (const fixture of fixtures) {
+            it(`${technique}: ${fixture.description}`, () => {
+                const analysis = solvePuzzleWithLogic(parsePuzzleString(fixture.puzzle), { rules: rulesFor(fixture) });
+                assert.equal(analysis.solved, fixture.expected.solved);
+                assert.equal(analysis.maxLevel, fixture.expected.maxLevel);
+                assert.ok(analysis.techniquesUsed.includes(fixture.expected.requires), analysis.techniquesUsed.join(', '));
+            });
+        }
+    }
+
+    it('traces deductions that lead to the solution', () => {
+        const fixture = TECHNIQUE_FIXTURES['X-Wing'][0];
+        const { trace } = solvePuzzleWithLogic(parsePuzzleString(fixture.puzzle), { trace: true });
+        const board = parseFlat(fixture.puzzle);
+        for (const step of trace) for (const { cell, value } of step.placements) board[cell] = value;
+        assert.deepEqual(board, parseFlat(fixture.solution));
+        assert.ok(trace.some(step => step.technique === 'X-Wing'));
+    });
+});
@@ -0,0 +1,204 @@
+// ============================================
+// Worker Pool — parallel puzzle generation
+// Runs generation jobs on several puzzle-worker.js instances, sized from the
+// device's core count. Waiting jobs are served by priority; a job the player
+// is waiting for takes over a worker busy with background work if none is
+// free. Technique hunts run on their own worker so they never delay the rest.
+// Jobs report progress and can be cancelled or cut short (see puzzle-worker.js).
+// ============================================
+
+const WorkerPool = (() => {
+    const WORKER_SCRIPT = 'puzzle-worker.js';
+    const MAX_GENERAL_WORKERS = 4;
+    const HUNT_WORKERS = 1;
+
+    /** Job priorities, lowest first. Hunts only run on hunt workers. */
+    const PRIORITY = { user: 0, pool: 1, hunt: 2 };
+
+    const workers = [];   // { worker, hunt, job } — job is null while idle
+    const queue = [];     // Waiting jobs, in priority order
+    let generalLimit = 0;
+    let nextId = 1;
+
+    /**
+     * Size the pool. Workers are started on demand, not here.
+     * @returns {boolean} False when Web Workers aren't available
+     */
+    function init() {
+        if (typeof Worker === 'undefined') return false;
+        // One core stays free for the page itself
+        const cores = navigator.hardwareConcurrency || 2;
+        generalLimit = Math.max(1, Math.min(MAX_GENERAL_WORKERS, cores - 1 - HUNT_WORKERS));
+        console.log(`[DiverSoku] Generación en ${generalLimit} + ${HUNT_WORKERS} workers (${cores} núcleos).`);
+        return true;
+    }
+
+    /** True once init() found Web Worker support */
+    function isAvailable() {
+        return generalLimit > 0;
+    }
+
+    // --- Scheduling ---
+
+    function enqueue(job) {
+        // Stable: after every waiting job of the same or higher priority
+        let index = queue.findIndex(other =>
+            PRIORITY[other.priority] > PRIORITY[job.priority] ||
+            (other.priority === job.priority && other.id > job.id));
+        if (index === -1) index = queue.length;
+        queue.splice(index, 0, job);
+    }
+
+    /** Start a worker for a lane, or null if it can't be created */
+    function spawn(hunt) {
+        let worker;
+        try {
+            worker = new Worker(WORKER_SCRIPT);
+        } catch (err) {
+            console.warn('[DiverSoku] No se pudo iniciar un worker:', err.message);
+            return null;
+        }
+        const slot = { worker, hunt, job: null };
+        worker.onmessage = e => {
+            const { type, id, ...data } = e.data;
+            const job = slot.job;
+            if (!job || job.id !== id) return;
+            if (type === 'progress') {
+                if (job.onProgress) job.onProgress(data);
+            } else if (type === 'result' || type === 'cancelled') {
+                // A cancelled job has already resolved with null; this only frees the worker
+                finish(slot, () => job.resolve(type === 'result' ? data : null));
+            }
+        };
+        worker.onerror = err => {
+            console.warn('[DiverSoku] Worker error:', err.message);
+            // The worker may be left in any state: replace it
+            retire(slot);
+            if (slot.job) slot.job.reject(new Error(err.message || 'Worker error'));
+            schedule();
+        };
+        workers.push(slot);
+        return slot;
+    }
+
+    /** Stop a worker and forget it */
+    function retire(slot) {
+        slot.worker.terminate();
+        const index = workers.indexOf(slot);
+        if (index !== -1) workers.splice(index, 1);
+    }
+
+    /** Mark a worker's job done and hand it the next one */
+    function finish(slot, settle) {
+        const job = slot.job;
+        slot.job = null;
+        settle(job);
+        schedule();
+    }
+
+    function start(slot, job) {
+        slot.job = job;
+        slot.worker.postMessage({ type: 'generate', id: job.id, config: job.config });
+    }
+
+    /** Idle worker for a lane, starting one if the lane has room */
+    function idleWorker(hunt) {
+        const idle = workers.find(slot => slot.hunt === hunt && !slot.job);
+        if (idle) return idle;
+        const count = workers.filter(slot => slot.hunt === hunt).length;
+        return count < (hunt ? HUNT_WORKERS : generalLimit) ? spawn(hunt) : null;
+    }
+
+    /** Hand waiting jobs to free workers */
+    function schedule() {
+        for (let i = 0; i < queue.length; i++) {
+            const job = queue[i];
+            const hunt = job.priority === 'hunt';
+            let slot = idleWorker(hunt);
+
+            // The player is waiting: take over a worker busy refilling the pool
+            if (!slot && job.priority === 'user') {
+                const busy = workers.find(other => !other.hunt && other.job && other.job.priority === 'pool');
+                if (busy) {
+                    const preempted = busy.job;
+                    retire(busy);
+                    if (!preempted.cancelled) enqueue(preempted);
+                    slot = idleWorker(false);
+                    i = queue.indexOf(job);
+                }
+            }
+            if (!slot) {
+                // No worker could be started at all: fail instead of waiting forever
+                if (!workers.some(other => other.hunt === hunt)) {
+                    queue.splice(i--, 1);
+                    job.reject(new Error('No se pudo iniciar ningún worker'));
+                }
+                continue;
+            }
+
+            queue.splice(i--, 1);
+            start(slot, job);
+        }
+    }
+
+    // --- Public API ---
+
+    /**
+     * Queue a generation job
+     * @param {object} config - Generator config (see generatePuzzleSync)
+     * @param {string} [priority='pool'] - 'user' (the player is waiting), 'pool' or 'hunt'
+     * @param {function(object): void} [onProgress] - Called with { attempts, fraction, bestLevel, bestRating }
+     * @returns {{id: number, promise: Promise<?object>}} The promise resolves with the
+     *   worker's result, or null if the job is cancelled; it rejects if the worker fails
+     */
+    function run(config, priority = 'pool', onProgress = null) {
+        const job = { id: nextId++, config, priority, onProgress, cancelled: false };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        enqueue(job);
+        schedule();
+        return { id: job.id, promise: job.promise };
+    }
+
+    /** Worker running a job, if it is running and not cancelled */
+    function runningSlot(id) {
+        return workers.find(slot => slot.job && slot.job.id === id && !slot.job.cancelled) || null;
+    }
+
+    /**
+     * Cancel a job; its promise resolves with null right away. A running job is asked
+     * to stop, and its worker takes the next job once it has.
+     * @param {number} id - Job id from run()
+     * @returns {boolean} False if the job had already finished
+     */
+    function cancel(id) {
+        const index = queue.findIndex(job => job.id === id);
+        if (index !== -1) {
+            queue.splice(index, 1)[0].resolve(null);
+            return true;
+        }
+        const slot = runningSlot(id);
+        if (!slot) return false;
+        slot.job.cancelled = true;
+        slot.job.onProgress = null;
+        slot.job.resolve(null);
+        slot.worker.postMessage({ type: 'cancel', id });
+        return true;
+    }
+
+    /**
+     * Finish a running job with the best puzzle it has found so far (as soon as it has one)
+     * @param {number} id - Job id from run()
+     * @returns {boolean} False if the job isn't running
+     */
+    function accept(id) {
+        const slot = runningSlot(id);
+        if (!slot) return false;
+        slot.worker.postMessage({ type: 'accept', id });
+        return true;
+    }
+
+    return { init, isAvailable, run, cancel, accept };
+})();